@@ -0,0 +1,61 @@
+'use strict';
+
+// --- Embeddable widget build ---
+//   npm run build:widget   writes build/widget/rugved-chat.js
+// Bundles src/widget/ into a single script with React and the styles inside.
+// Run it after `npm run build`, which empties build/.
+
+process.env.NODE_ENV = 'production';
+process.env.BABEL_ENV = 'production';
+
+const path = require('path');
+const webpack = require('webpack');
+
+const root = path.join(__dirname, '..');
+
+// style-loader copies this function into the bundle as source, so it has to
+// stand on its own. The widget adds the collected styles to each shadow root.
+function collectWidgetStyle(element) {
+  var styles = window.__RUGVED_CHAT_STYLES__ || (window.__RUGVED_CHAT_STYLES__ = []);
+  styles.push(element);
+}
+
+const config = {
+  mode: 'production',
+  entry: path.join(root, 'src/widget/index.js'),
+  output: {
+    path: path.join(root, 'build/widget'),
+    filename: 'rugved-chat.js',
+  },
+  module: {
+    rules: [
+      {
+        test: /\.js$/,
+        include: path.join(root, 'src'),
+        loader: require.resolve('babel-loader'),
+        options: {
+          babelrc: false,
+          configFile: false,
+          presets: [[require.resolve('babel-preset-react-app'), { runtime: 'automatic' }]],
+        },
+      },
+      {
+        test: /\.css$/,
+        use: [
+          { loader: require.resolve('style-loader'), options: { insert: collectWidgetStyle } },
+          { loader: require.resolve('css-loader'), options: { importLoaders: 1 } },
+          require.resolve('postcss-loader'),
+        ],
+      },
+    ],
+  },
+  performance: { hints: false },
+};
+
+webpack(config, (error, stats) => {
+  if (error || stats.hasErrors()) {
+    console.error(error || stats.toString('errors-only'));
+    process.exit(1);
+  }
+  console.log(stats.toString({ colors: false, modules: false, assets: true }));
+});
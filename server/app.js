@@ -0,0 +1,249 @@
+'use strict';
+
+const http = require('http');
+const { bearerToken } = require('./auth');
+
+// --- RUGVED AI proxy ---
+// Holds the provider key server-side and exposes:
+//   GET  /api/health       liveness check (no token needed)
+//   GET  /api/session      validates an access token, returns { user }
+//   POST /api/chat         { systemPrompt, messages, tools? } -> { text, toolCalls? }
+//                          messages: [{ role, text, attachments?, toolCalls? }]
+//                          and [{ role: 'tool', toolResults: [{ name, result }] }]
+//   POST /api/chat/stream  same body, reply streamed as SSE `data: { text }`,
+//                          with `data: { toolCall: { name, args } }` for each
+//                          tool the model wants run
+// Tool declarations only reach upstreams with `tools` (Gemini); the app runs
+// the tools and sends the results back as the next request.
+
+// Attachments travel inline as base64, so leave room for a few files
+const MAX_BODY_BYTES = 25 * 1024 * 1024;
+
+const ATTACHMENT_KINDS = ['image', 'pdf', 'text'];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new HttpError(413, 'Request body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    } catch {
+      reject(new HttpError(400, 'Request body must be JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const isAttachment = (attachment) => (
+  attachment && ATTACHMENT_KINDS.includes(attachment.kind)
+  && typeof attachment.name === 'string'
+  && typeof attachment.mimeType === 'string'
+  && typeof attachment.data === 'string'
+);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isToolCall = (call) => isObject(call) && typeof call.name === 'string' && isObject(call.args || {});
+
+const isToolDeclaration = (tool) => isObject(tool) && typeof tool.name === 'string' && typeof tool.description === 'string';
+
+const isMessage = (msg) => {
+  if (!isObject(msg)) return false;
+  if (msg.role === 'tool') {
+    return Array.isArray(msg.toolResults) && msg.toolResults.every(result => isObject(result) && typeof result.name === 'string');
+  }
+  return (msg.role === 'user' || msg.role === 'assistant') && typeof msg.text === 'string'
+    && (msg.attachments === undefined || (Array.isArray(msg.attachments) && msg.attachments.every(isAttachment)))
+    && (msg.toolCalls === undefined || (Array.isArray(msg.toolCalls) && msg.toolCalls.every(isToolCall)));
+};
+
+const toUpstreamMessage = ({ role, text, attachments, toolCalls, toolResults }) => {
+  if (role === 'tool') return { role, toolResults: toolResults.map(({ name, result }) => ({ name, result })) };
+  return {
+    role,
+    text,
+    attachments: (attachments || []).map(({ name, mimeType, kind, data }) => ({ name, mimeType, kind, data })),
+    ...(toolCalls?.length ? {
+      toolCalls: toolCalls.map(({ name, args, thoughtSignature }) => ({ name, args: args || {}, ...(thoughtSignature ? { thoughtSignature } : {}) })),
+    } : {}),
+  };
+};
+
+const validateChatBody = (body, { attachments: supportedKinds, tools: supportsTools }) => {
+  const { systemPrompt = '', messages, tools } = body;
+  const validMessages = Array.isArray(messages) && messages.length > 0 && messages.every(isMessage);
+  const validTools = tools === undefined || (Array.isArray(tools) && tools.every(isToolDeclaration));
+  if (!validMessages || !validTools || typeof systemPrompt !== 'string') {
+    throw new HttpError(400, 'Expected { systemPrompt?: string, messages: [{ role, text, attachments? }], tools?: [{ name, description }] }');
+  }
+
+  const unsupported = messages
+    .flatMap(msg => msg.attachments || [])
+    .find(attachment => !supportedKinds.includes(attachment.kind));
+  if (unsupported) {
+    throw new HttpError(400, `The configured provider cannot read ${unsupported.kind} attachments`);
+  }
+  if (!supportsTools && messages.some(msg => msg.role === 'tool' || msg.toolCalls?.length)) {
+    throw new HttpError(400, 'The configured provider cannot run tools');
+  }
+
+  return {
+    systemPrompt,
+    messages: messages.map(toUpstreamMessage),
+    // Other upstreams answer in text, as if no tools were offered
+    ...(supportsTools && tools?.length ? { tools: tools.map(({ name, description, parameters }) => ({ name, description, parameters })) } : {}),
+  };
+};
+
+// Upstreams yield text deltas as strings and tool calls as { toolCall }
+const toEvent = (delta) => (typeof delta === 'string' ? { text: delta } : delta);
+
+const sendJson = (res, status, data, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+};
+
+const createApp = ({ upstream, verifyToken, rateLimit, logger, allowedOrigin = '' }) => {
+  // Resolves the caller or throws; also applies the per-token rate limit
+  const authenticate = (req, res, { limited }) => {
+    const token = bearerToken(req);
+    const session = verifyToken(token);
+    if (!session) throw new HttpError(401, 'Invalid or missing access token');
+
+    if (limited) {
+      const { allowed, remaining, retryAfterSeconds } = rateLimit(token);
+      res.setHeader('X-RateLimit-Remaining', String(remaining));
+      if (!allowed) {
+        res.setHeader('Retry-After', String(retryAfterSeconds));
+        throw new HttpError(429, 'Rate limit exceeded');
+      }
+    }
+    return session;
+  };
+
+  const streamReply = async (req, res, chat) => {
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    const deltas = upstream.stream({ ...upstream.config, ...chat, signal: controller.signal });
+    // Wait for the first delta so upstream failures still get a proper status
+    const first = await deltas.next();
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    const send = (data) => res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+
+    try {
+      if (!first.done) send(toEvent(first.value));
+      for await (const delta of deltas) send(toEvent(delta));
+      send('[DONE]');
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        logger.error('Upstream stream failed', error);
+        send(error.code === 'safety' ? { error: error.message, code: 'safety' } : { error: 'Upstream provider failed' });
+      }
+    }
+    res.end();
+  };
+
+  const routes = {
+    'GET /api/health': async (req, res) => sendJson(res, 200, { ok: true }),
+
+    'GET /api/session': async (req, res, context) => {
+      context.user = authenticate(req, res, { limited: false }).user;
+      sendJson(res, 200, { user: context.user });
+    },
+
+    'POST /api/chat': async (req, res, context) => {
+      context.user = authenticate(req, res, { limited: true }).user;
+      const chat = validateChatBody(await readJsonBody(req), upstream);
+      let text = '';
+      const toolCalls = [];
+      for await (const delta of upstream.stream({ ...upstream.config, ...chat })) {
+        if (typeof delta === 'string') text += delta;
+        else toolCalls.push(delta.toolCall);
+      }
+      sendJson(res, 200, toolCalls.length ? { text, toolCalls } : { text });
+    },
+
+    'POST /api/chat/stream': async (req, res, context) => {
+      context.user = authenticate(req, res, { limited: true }).user;
+      const chat = validateChatBody(await readJsonBody(req), upstream);
+      await streamReply(req, res, chat);
+    },
+  };
+
+  return async (req, res) => {
+    const started = Date.now();
+    const path = new URL(req.url, 'http://localhost').pathname;
+    const context = { user: null };
+
+    if (allowedOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+      res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    }
+    res.on('finish', () => logger.request({
+      method: req.method,
+      path,
+      status: res.statusCode,
+      user: context.user,
+      durationMs: Date.now() - started,
+    }));
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const route = routes[`${req.method} ${path}`];
+    try {
+      if (!route) throw new HttpError(404, 'Not found');
+      await route(req, res, context);
+    } catch (error) {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      if (error instanceof HttpError) {
+        sendJson(res, error.status, { error: error.message });
+        return;
+      }
+      if (error.code === 'safety') {
+        sendJson(res, 422, { error: error.message, code: 'safety' });
+        return;
+      }
+      logger.error(`${req.method} ${path}`, error);
+      // Pass upstream quota errors (and when to retry) through, hide everything else
+      if (error.status === 429) {
+        sendJson(res, 429, { error: 'Upstream quota exceeded' }, error.retryAfter ? { 'Retry-After': error.retryAfter } : {});
+        return;
+      }
+      sendJson(res, 502, { error: 'Upstream provider failed' });
+    }
+  };
+};
+
+const createServer = (options) => http.createServer(createApp(options));
+
+module.exports = { createApp, createServer, HttpError };
@@ -0,0 +1,159 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createServer } = require('./app');
+const { createTokenVerifier, hashToken } = require('./auth');
+const { createRateLimiter } = require('./rateLimit');
+
+const TOKEN = 'rgv_test-token';
+const LIMITED_TOKEN = 'rgv_limited-token';
+const SECOND_TOKEN = 'rgv_second-token';
+const lines = [];
+let server;
+let baseUrl;
+let upstreamCalls = [];
+
+before(async () => {
+  server = createServer({
+    upstream: {
+      config: { apiKey: 'server-secret', baseUrl: 'http://upstream', model: 'm' },
+      attachments: ['image', 'text'],
+      stream: async function* (request) {
+        upstreamCalls.push(request);
+        if (request.messages[0].text === 'Blocked') {
+          const error = new Error('Blocked by safety filters (SAFETY)');
+          error.code = 'safety';
+          throw error;
+        }
+        yield 'Hello ';
+        yield 'rover';
+      },
+    },
+    verifyToken: createTokenVerifier([
+      { user: 'alice', hash: hashToken(TOKEN) },
+      { user: 'bob', hash: hashToken(LIMITED_TOKEN) },
+      { user: 'carol', hash: hashToken(SECOND_TOKEN) },
+    ]),
+    rateLimit: createRateLimiter({ limit: 3 }),
+    logger: { request: entry => lines.push(entry), error: () => {} },
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const chat = (path, token = TOKEN, text = 'Hi') => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+  body: JSON.stringify({ systemPrompt: 'Be RUGVED AI', messages: [{ role: 'user', text }] }),
+});
+
+test('rejects missing and unknown tokens', async () => {
+  assert.strictEqual((await fetch(`${baseUrl}/api/session`)).status, 401);
+  assert.strictEqual((await chat('/api/chat', 'rgv_wrong')).status, 401);
+});
+
+test('returns the session user for a valid token', async () => {
+  const response = await fetch(`${baseUrl}/api/session`, { headers: { Authorization: `Bearer ${TOKEN}` } });
+  assert.deepStrictEqual(await response.json(), { user: 'alice' });
+});
+
+test('answers chats with the server-side key and logs the user', async () => {
+  upstreamCalls = [];
+  const response = await chat('/api/chat');
+
+  assert.deepStrictEqual(await response.json(), { text: 'Hello rover' });
+  assert.strictEqual(upstreamCalls[0].apiKey, 'server-secret');
+  assert.deepStrictEqual(upstreamCalls[0].messages, [{ role: 'user', text: 'Hi', attachments: [] }]);
+  assert.ok(lines.some(entry => entry.path === '/api/chat' && entry.user === 'alice' && entry.status === 200));
+});
+
+test('streams deltas as server-sent events', async () => {
+  const response = await chat('/api/chat/stream');
+
+  assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+  assert.strictEqual(await response.text(), 'data: {"text":"Hello "}\n\ndata: {"text":"rover"}\n\ndata: [DONE]\n\n');
+});
+
+test('rejects attachment kinds the upstream cannot read', async () => {
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}` },
+    body: JSON.stringify({
+      messages: [{ role: 'user', text: 'Summarise', attachments: [{ name: 'ds.pdf', mimeType: 'application/pdf', kind: 'pdf', data: 'JVBERi0=' }] }],
+    }),
+  });
+
+  assert.strictEqual(response.status, 400);
+  assert.match((await response.json()).error, /cannot read pdf/);
+});
+
+test('reports safety blocks with their own code', async () => {
+  const response = await chat('/api/chat/stream', SECOND_TOKEN, 'Blocked');
+
+  assert.strictEqual(response.status, 422);
+  assert.deepStrictEqual(await response.json(), { error: 'Blocked by safety filters (SAFETY)', code: 'safety' });
+});
+
+test('rate limits each token', async () => {
+  for (let i = 0; i < 3; i += 1) {
+    assert.strictEqual((await chat('/api/chat', LIMITED_TOKEN)).status, 200);
+  }
+  const response = await chat('/api/chat', LIMITED_TOKEN);
+
+  assert.strictEqual(response.status, 429);
+  assert.ok(Number(response.headers.get('retry-after')) > 0);
+});
+
+test('turns away tool results when the upstream cannot run tools', async () => {
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${SECOND_TOKEN}` },
+    body: JSON.stringify({
+      messages: [
+        { role: 'user', text: 'Convert 5 V' },
+        { role: 'assistant', text: '', toolCalls: [{ name: 'convert_units', args: { value: 5 } }] },
+        { role: 'tool', toolResults: [{ name: 'convert_units', result: { value: 5000 } }] },
+      ],
+    }),
+  });
+
+  assert.strictEqual(response.status, 400);
+  assert.match((await response.json()).error, /cannot run tools/);
+});
+
+test('forwards tools to upstreams that run them and streams their calls', async (t) => {
+  const calls = [];
+  const toolServer = createServer({
+    upstream: {
+      config: {},
+      attachments: [],
+      tools: true,
+      stream: async function* (request) {
+        calls.push(request);
+        yield 'Converting ';
+        yield { toolCall: { name: 'convert_units', args: { value: 5 } } };
+      },
+    },
+    verifyToken: createTokenVerifier([{ user: 'alice', hash: hashToken(TOKEN) }]),
+    rateLimit: createRateLimiter({ limit: 3 }),
+    logger: { request: () => {}, error: () => {} },
+  });
+  await new Promise(resolve => toolServer.listen(0, resolve));
+  t.after(() => new Promise(resolve => toolServer.close(resolve)));
+  const tool = { name: 'convert_units', description: 'Converts units', parameters: { type: 'object' } };
+
+  const response = await fetch(`http://localhost:${toolServer.address().port}/api/chat/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}` },
+    body: JSON.stringify({ messages: [{ role: 'user', text: 'Convert 5 V' }], tools: [tool] }),
+  });
+
+  assert.deepStrictEqual(calls[0].tools, [tool]);
+  assert.strictEqual(
+    await response.text(),
+    'data: {"text":"Converting "}\n\ndata: {"toolCall":{"name":"convert_units","args":{"value":5}}}\n\ndata: [DONE]\n\n',
+  );
+});
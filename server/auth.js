@@ -0,0 +1,49 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// --- Access tokens ---
+// Tokens are random strings handed to team members; only their SHA-256 hashes
+// are stored in the tokens file:
+//   { "tokens": [{ "user": "alice", "hash": "<sha256 hex>", "createdAt": "..." }] }
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateToken = () => `rgv_${crypto.randomBytes(24).toString('base64url')}`;
+
+const readTokenFile = (file) => {
+  if (!fs.existsSync(file)) return { tokens: [] };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+const writeTokenFile = (file, data) => {
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+};
+
+// Returns the token entry for a presented token, or null
+const createTokenVerifier = (entries) => {
+  const hashes = entries.map(entry => ({ ...entry, digest: Buffer.from(entry.hash, 'hex') }));
+
+  return (token) => {
+    if (!token) return null;
+    const digest = Buffer.from(hashToken(token), 'hex');
+    const match = hashes.find(entry => entry.digest.length === digest.length && crypto.timingSafeEqual(entry.digest, digest));
+    return match ? { user: match.user } : null;
+  };
+};
+
+const bearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token.trim() : null;
+};
+
+module.exports = {
+  bearerToken,
+  createTokenVerifier,
+  generateToken,
+  hashToken,
+  readTokenFile,
+  writeTokenFile,
+};
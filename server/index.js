@@ -0,0 +1,60 @@
+'use strict';
+
+const path = require('path');
+const { createServer } = require('./app');
+const { createTokenVerifier, readTokenFile } = require('./auth');
+const { createLogger } = require('./logger');
+const { createRateLimiter } = require('./rateLimit');
+const { UPSTREAMS } = require('./upstream');
+
+// --- Proxy entry point ---
+// Configured through environment variables (see server/.env.example):
+//   npm run server   (node --env-file=server/.env server/index.js)
+
+const {
+  PORT = '8787',
+  PROVIDER = 'gemini',
+  PROVIDER_API_KEY = '',
+  PROVIDER_BASE_URL = '',
+  PROVIDER_MODEL = '',
+  ACCESS_TOKENS_FILE = path.join(__dirname, 'tokens.json'),
+  RATE_LIMIT_PER_MINUTE = '20',
+  ALLOWED_ORIGIN = '',
+} = process.env;
+
+const upstream = UPSTREAMS[PROVIDER];
+if (!upstream) {
+  console.error(`Unknown PROVIDER "${PROVIDER}". Use one of: ${Object.keys(UPSTREAMS).join(', ')}`);
+  process.exit(1);
+}
+
+if (upstream.needsKey && !PROVIDER_API_KEY) {
+  console.error(`PROVIDER_API_KEY is not set; ${PROVIDER} needs one. Start the proxy with: npm run server (reads server/.env)`);
+  process.exit(1);
+}
+
+const { tokens } = readTokenFile(ACCESS_TOKENS_FILE);
+if (tokens.length === 0) {
+  console.warn(`No access tokens in ${ACCESS_TOKENS_FILE}; add one with: npm run tokens -- add <user>`);
+}
+
+const server = createServer({
+  upstream: {
+    stream: upstream.stream,
+    attachments: upstream.attachments,
+    tools: upstream.tools,
+    config: {
+      apiKey: PROVIDER_API_KEY,
+      baseUrl: PROVIDER_BASE_URL || upstream.baseUrl,
+      model: PROVIDER_MODEL || upstream.model,
+    },
+  },
+  verifyToken: createTokenVerifier(tokens),
+  rateLimit: createRateLimiter({ limit: Number(RATE_LIMIT_PER_MINUTE) }),
+  logger: createLogger(),
+  allowedOrigin: ALLOWED_ORIGIN,
+});
+
+server.listen(Number(PORT), () => {
+  console.log(`RUGVED AI proxy listening on http://localhost:${PORT} (${PROVIDER})`);
+});
@@ -0,0 +1,15 @@
+'use strict';
+
+// --- Request logging ---
+// One line per request. Prompt and reply contents are never logged.
+
+const createLogger = (stream = process.stdout) => ({
+  request: ({ method, path, status, user, durationMs }) => {
+    stream.write(`${new Date().toISOString()} ${method} ${path} ${status} user=${user || '-'} ${durationMs}ms\n`);
+  },
+  error: (message, error) => {
+    stream.write(`${new Date().toISOString()} ERROR ${message}: ${error?.message || error}\n`);
+  },
+});
+
+module.exports = { createLogger };
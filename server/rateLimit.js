@@ -0,0 +1,26 @@
+'use strict';
+
+// --- Per-token rate limiting ---
+// Fixed one-window counter per key; enough for a handful of team members.
+
+const createRateLimiter = ({ limit, windowMs = 60 * 1000, now = Date.now }) => {
+  const windows = new Map();
+
+  return (key) => {
+    const time = now();
+    let window = windows.get(key);
+    if (!window || time >= window.resetAt) {
+      window = { count: 0, resetAt: time + windowMs };
+      windows.set(key, window);
+    }
+
+    window.count += 1;
+    return {
+      allowed: window.count <= limit,
+      remaining: Math.max(0, limit - window.count),
+      retryAfterSeconds: Math.ceil((window.resetAt - time) / 1000),
+    };
+  };
+};
+
+module.exports = { createRateLimiter };
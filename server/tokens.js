@@ -0,0 +1,36 @@
+'use strict';
+
+const path = require('path');
+const { generateToken, hashToken, readTokenFile, writeTokenFile } = require('./auth');
+
+// --- Access token management ---
+//   npm run tokens -- add <user>      prints a new token for <user>
+//   npm run tokens -- revoke <user>   removes every token of <user>
+//   npm run tokens -- list
+
+const file = process.env.ACCESS_TOKENS_FILE || path.join(__dirname, 'tokens.json');
+const [command, user] = process.argv.slice(2);
+const data = readTokenFile(file);
+
+switch (command) {
+  case 'add': {
+    if (!user) throw new Error('Usage: tokens add <user>');
+    const token = generateToken();
+    data.tokens.push({ user, hash: hashToken(token), createdAt: new Date().toISOString() });
+    writeTokenFile(file, data);
+    console.log(`Access token for ${user} (shown once):\n${token}`);
+    break;
+  }
+  case 'revoke': {
+    if (!user) throw new Error('Usage: tokens revoke <user>');
+    const remaining = data.tokens.filter(entry => entry.user !== user);
+    writeTokenFile(file, { ...data, tokens: remaining });
+    console.log(`Revoked ${data.tokens.length - remaining.length} token(s) for ${user}`);
+    break;
+  }
+  case 'list':
+    data.tokens.forEach(entry => console.log(`${entry.user}\t${entry.createdAt}`));
+    break;
+  default:
+    console.log('Usage: tokens <add|revoke|list> [user]');
+}
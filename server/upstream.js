@@ -0,0 +1,179 @@
+'use strict';
+
+// --- Upstream model providers ---
+// Each adapter is an async generator yielding text deltas for a normalised
+// request: { apiKey, baseUrl, model, systemPrompt, messages, signal }, where
+// messages are { role: 'user' | 'assistant', text, attachments } and each
+// attachment is { name, mimeType, kind: 'image' | 'pdf' | 'text', data (base64) }.
+// `needsKey` marks providers that reject requests without PROVIDER_API_KEY.
+//
+// Upstreams with `tools` also take `tools` (function declarations) and
+// messages carrying `toolCalls` or { role: 'tool', toolResults }, and yield
+// { toolCall: { name, args } } for each tool the model wants run.
+
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    yield* lines;
+  }
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+async function* readEventData(body) {
+  for await (const line of readLines(body)) {
+    if (!line.startsWith('data:')) continue;
+    const data = line.slice(5).trim();
+    if (data && data !== '[DONE]') yield JSON.parse(data);
+  }
+}
+
+const checkResponse = (response, name) => {
+  if (!response.ok) {
+    const error = new Error(`${name} request failed with status ${response.status}`);
+    error.status = response.status;
+    error.retryAfter = response.headers.get('retry-after');
+    throw error;
+  }
+};
+
+// Replies withheld by the provider's content filters
+const safetyError = (reason) => {
+  const error = new Error(`Blocked by safety filters (${reason})`);
+  error.code = 'safety';
+  return error;
+};
+
+const images = (msg) => msg.attachments.filter(attachment => attachment.kind === 'image');
+
+// Message text with any text attachments inlined ahead of it
+const withTextAttachments = (msg) => [
+  ...msg.attachments
+    .filter(attachment => attachment.kind === 'text')
+    .map(attachment => `[Attached file: ${attachment.name}]\n${Buffer.from(attachment.data, 'base64').toString('utf8')}`),
+  msg.text,
+].filter(Boolean).join('\n\n');
+
+const withSystemPrompt = (systemPrompt, mapped) => (
+  systemPrompt ? [{ role: 'system', content: systemPrompt }, ...mapped] : mapped
+);
+
+// Tool calls keep their thought signature; Gemini expects it back with the result
+const geminiParts = (msg) => {
+  if (msg.role === 'tool') {
+    return msg.toolResults.map(({ name, result }) => ({ functionResponse: { name, response: result } }));
+  }
+  return [
+    ...msg.attachments.map(attachment => ({ inlineData: { mimeType: attachment.mimeType, data: attachment.data } })),
+    ...(msg.text ? [{ text: msg.text }] : []),
+    ...(msg.toolCalls || []).map(({ name, args, thoughtSignature }) => ({
+      functionCall: { name, args },
+      ...(thoughtSignature ? { thoughtSignature } : {}),
+    })),
+  ];
+};
+
+async function* gemini({ apiKey, baseUrl, model, systemPrompt, messages, tools, signal }) {
+  const contents = messages.map(msg => ({
+    role: msg.role === 'assistant' ? 'model' : 'user',
+    parts: geminiParts(msg),
+  }));
+  const payload = { contents };
+  if (systemPrompt) {
+    payload.systemInstruction = { parts: [{ text: systemPrompt }] };
+  }
+  if (tools?.length) {
+    payload.tools = [{ functionDeclarations: tools }];
+  }
+
+  const response = await fetch(`${baseUrl}/models/${model}:streamGenerateContent?alt=sse`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+    body: JSON.stringify(payload),
+    signal,
+  });
+  checkResponse(response, 'Gemini');
+
+  for await (const chunk of readEventData(response.body)) {
+    if (chunk?.promptFeedback?.blockReason) throw safetyError(chunk.promptFeedback.blockReason);
+    if (chunk?.candidates?.[0]?.finishReason === 'SAFETY') throw safetyError('SAFETY');
+    const parts = chunk?.candidates?.[0]?.content?.parts || [];
+    const text = parts.map(part => part.text || '').join('');
+    if (text) yield text;
+    for (const part of parts.filter(item => item.functionCall)) {
+      yield {
+        toolCall: {
+          name: part.functionCall.name,
+          args: part.functionCall.args || {},
+          ...(part.thoughtSignature ? { thoughtSignature: part.thoughtSignature } : {}),
+        },
+      };
+    }
+  }
+}
+
+async function* openai({ apiKey, baseUrl, model, systemPrompt, messages, signal }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const mapped = messages.map((msg) => {
+    const text = withTextAttachments(msg);
+    if (images(msg).length === 0) return { role: msg.role, content: text };
+    return {
+      role: msg.role,
+      content: [
+        { type: 'text', text },
+        ...images(msg).map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } })),
+      ],
+    };
+  });
+
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ model, stream: true, messages: withSystemPrompt(systemPrompt, mapped) }),
+    signal,
+  });
+  checkResponse(response, 'Chat completion');
+
+  for await (const chunk of readEventData(response.body)) {
+    if (chunk?.choices?.[0]?.finish_reason === 'content_filter') throw safetyError('content_filter');
+    const text = chunk?.choices?.[0]?.delta?.content;
+    if (text) yield text;
+  }
+}
+
+async function* ollama({ baseUrl, model, systemPrompt, messages, signal }) {
+  const mapped = messages.map((msg) => {
+    const chatMessage = { role: msg.role, content: withTextAttachments(msg) };
+    if (images(msg).length > 0) chatMessage.images = images(msg).map(image => image.data);
+    return chatMessage;
+  });
+
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model, stream: true, messages: withSystemPrompt(systemPrompt, mapped) }),
+    signal,
+  });
+  checkResponse(response, 'Ollama');
+
+  for await (const line of readLines(response.body)) {
+    if (!line.trim()) continue;
+    const chunk = JSON.parse(line);
+    if (chunk.error) throw new Error(chunk.error);
+    if (chunk.message?.content) yield chunk.message.content;
+  }
+}
+
+const UPSTREAMS = {
+  gemini: { stream: gemini, needsKey: true, tools: true, baseUrl: 'https://generativelanguage.googleapis.com/v1beta', model: 'gemini-2.5-flash-preview-05-20', attachments: ['image', 'pdf', 'text'] },
+  openai: { stream: openai, needsKey: true, baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', attachments: ['image', 'text'] },
+  ollama: { stream: ollama, baseUrl: 'http://localhost:11434', model: 'llama3.1', attachments: ['image', 'text'] },
+};
+
+module.exports = { UPSTREAMS };
@@ -1,43 +1,181 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
-import { Moon, Mic, Send, Volume2, Copy, Check, Settings, X, ArrowDown, KeyRound, LogOut } from 'lucide-react';
+import { motion, AnimatePresence, MotionConfig } from 'framer-motion';
+import { Moon, Sun, Mic, Send, Square, Settings, X, ArrowDown, KeyRound, LogOut, Menu, Paperclip, ChevronDown, Layers, Headphones, Search, BookOpen, WifiOff, ClipboardList } from 'lucide-react';
+import AppearanceSettings from './components/AppearanceSettings';
+import AttachmentList from './components/AttachmentList';
+import CommandArguments from './components/CommandArguments';
+import CommandPalette from './components/CommandPalette';
+import ExportMenu from './components/ExportMenu';
+import FeedbackReview from './components/FeedbackReview';
+import FilterRuleEditor from './components/FilterRuleEditor';
+import KnowledgeBasePanel from './components/KnowledgeBasePanel';
+import MessageBubble from './components/MessageBubble';
+import Markdown from './components/Markdown';
+import PersonaManager from './components/PersonaManager';
+import SearchPanel from './components/SearchPanel';
+import Sidebar from './components/Sidebar';
+import TemplateManager from './components/TemplateManager';
+import TypingIndicator from './components/TypingIndicator';
+import VoiceSettings from './components/VoiceSettings';
+import useConversations from './hooks/useConversations';
+import useFeedback from './hooks/useFeedback';
+import useFocusTrap from './hooks/useFocusTrap';
+import useKnowledgeBase from './hooks/useKnowledgeBase';
+import useLanguage from './hooks/useLanguage';
+import useOnlineStatus from './hooks/useOnlineStatus';
+import useServiceWorker from './hooks/useServiceWorker';
+import useSlashCommands from './hooks/useSlashCommands';
+import useSpeechPlayer from './hooks/useSpeechPlayer';
+import useSpeechRecognition from './hooks/useSpeechRecognition';
+import useTheme from './hooks/useTheme';
+import { ACCEPTED_FILES, AttachmentError, readAttachments } from './lib/attachments';
+import { addBranch, selectBranch } from './lib/branches';
+import { builtInCommands, fillTemplate, matchOption, templateCommands } from './lib/commands';
+import { activeContext, compactionPoint, contextTokens, createSummaryMessage, isSummary, requestMessages, summaryTranscript, withSummary } from './lib/context';
+import { deriveTitle, upsertMessage } from './lib/conversations';
+import { downloadFile } from './lib/download';
+import { exportFileName, parseConversationImport, toJSON, toMarkdown } from './lib/exporters';
+import { createFeedbackRecord } from './lib/feedback';
+import { LANGUAGES, speechLangFor, translateError, withReplyLanguage } from './lib/i18n';
+import { retrieve, sourcesFor, withKnowledge } from './lib/knowledge';
+import { queuedCount, releaseQueued } from './lib/outbox';
+import { findPersona, loadPersonas, savePersonas } from './lib/personas';
+import { SUMMARY_SYSTEM_PROMPT } from './lib/prompts';
+import { ChatError, PROVIDERS, describeChatError, getProvider, toChatError } from './lib/providers';
+import { applyFilters } from './lib/responseFilters';
+import { loadSettings, saveSettings } from './lib/settings';
+import { createDefaultFeedbackStore, createDefaultKnowledgeStore, createDefaultStore } from './lib/stores';
+import { scrollBehavior } from './lib/theme';
+import { TOOLS, runTool, toolDeclarations } from './lib/tools';
+import { estimateTokens, formatTokens, messageTokens } from './lib/tokens';
 import './App.css';
 
+// --- Helpers ---
+// Swap a message for another, keeping its place among the branches
+const replaceMessage = (messages, id, message) => messages.map(msg => (
+  msg.id === id
+    ? { ...message, ...(msg.branches ? { branches: msg.branches, branchIndex: msg.branchIndex } : {}) }
+    : msg
+));
+
+const ACCESS_TOKEN_KEY = 'rugved_access_token';
+
+// Replies are announced to screen readers, cut to this many characters
+const ANNOUNCE_LENGTH = 300;
+
+const announceReply = (text) => (
+  `RUGVED AI: ${text.length > ANNOUNCE_LENGTH ? `${text.slice(0, ANNOUNCE_LENGTH)}…` : text}`
+);
+
+// A reply that goes this long without a new token is treated as timed out
+const REPLY_TIMEOUT_MS = 60 * 1000;
+// Rate-limited requests are retried automatically with exponential backoff
+const MAX_AUTO_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 5 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+// Rounds of tool calls allowed before the reply has to be text
+const MAX_TOOL_ROUNDS = 5;
+// Queued messages whose send failed are tried again after this long
+const QUEUE_RETRY_MS = 30 * 1000;
+// Hands-free mode sends what was said after this long without new speech
+const SILENCE_MS = 1500;
+
+const defaultStore = createDefaultStore();
+const defaultKnowledgeStore = createDefaultKnowledgeStore();
+const defaultFeedbackStore = createDefaultFeedbackStore();
+
 // --- Main App Component ---
-export default function App() {
-  const [theme, setTheme] = useState('dark');
+export default function App({ store = defaultStore, knowledgeStore = defaultKnowledgeStore, feedbackStore = defaultFeedbackStore, providers = PROVIDERS }) {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
   const [isTyping, setIsTyping] = useState(false);
-  const [isRecording, setIsRecording] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
-  const [settings, setSettings] = useState({ voiceOutput: true });
+  const [settings, setSettings] = useState(loadSettings);
   const [showScrollDown, setShowScrollDown] = useState(false);
-  const [apiKey, setApiKey] = useState('');
-  const [showApiModal, setShowApiModal] = useState(true);
-  const [tempApiKey, setTempApiKey] = useState('');
+  const [accessToken, setAccessToken] = useState(() => localStorage.getItem(ACCESS_TOKEN_KEY) || '');
+  const [tempAccessToken, setTempAccessToken] = useState('');
+  const [loginError, setLoginError] = useState('');
+  // Escape closes the login modal; it comes back when a token is needed
+  const [loginDismissed, setLoginDismissed] = useState(false);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [showSidebar, setShowSidebar] = useState(false);
+  const [personas, setPersonas] = useState(loadPersonas);
+  const [personaId, setPersonaId] = useState(settings.defaultPersonaId);
+  const [attachments, setAttachments] = useState([]);
+  const [attachmentError, setAttachmentError] = useState('');
+  const [commandError, setCommandError] = useState('');
+  const [isDragging, setIsDragging] = useState(false);
+  const [voiceMode, setVoiceMode] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [showKnowledge, setShowKnowledge] = useState(false);
+  const [showFeedback, setShowFeedback] = useState(false);
+  // Message to scroll to and highlight after picking a search result
+  const [focusedMessage, setFocusedMessage] = useState(null);
+  // Read out by screen readers through the live region
+  const [announcement, setAnnouncement] = useState('');
+  const {
+    conversations,
+    activeId,
+    setActiveId,
+    startConversation,
+    saveMessages,
+    updateConversation,
+    renameConversation,
+    deleteConversation,
+  } = useConversations(store);
 
   const textareaRef = useRef(null);
   const chatContainerRef = useRef(null);
-  const recognitionRef = useRef(null);
+  // Composer text from before dictation started; the transcript is appended
+  const dictationBaseRef = useRef('');
+  const sendMessageRef = useRef(null);
+  const deliverQueuedRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const retryTimerRef = useRef(null);
+  const queueRetryRef = useRef(null);
+
+  const player = useSpeechPlayer(settings);
+  const online = useOnlineStatus();
+  const serviceWorker = useServiceWorker();
+  const knowledge = useKnowledgeBase(knowledgeStore);
+  const feedback = useFeedback(feedbackStore);
+  const recognition = useSpeechRecognition({
+    lang: settings.speechLang,
+    onResult: ({ finalText, interimText }) => {
+      // Barge-in: talking over a spoken reply cuts it off
+      player.stop();
+      setInput(`${dictationBaseRef.current}${finalText}${interimText}`);
+    },
+    onEnd: () => {
+      // Browsers end recognition on their own after a while; keep listening
+      if (voiceMode && !isTyping) recognition.start();
+    },
+  });
+
+  const activeProvider = getProvider(providers, settings.provider);
+  const needsLogin = activeProvider.auth === 'accessToken' && !accessToken;
+  const showLoginModal = needsLogin && !loginDismissed;
+  const theme = useTheme(settings);
+  const t = useLanguage(settings.language);
+  const loginRef = useFocusTrap(showLoginModal, () => setLoginDismissed(true));
+  const settingsRef = useFocusTrap(showSettings, () => setShowSettings(false));
 
   // --- Effects ---
   useEffect(() => {
-    // Theme management from localStorage
-    const savedTheme = localStorage.getItem('theme') || 'dark';
-    setTheme(savedTheme);
-    const savedApiKey = localStorage.getItem('rugved_api_key');
-    if (savedApiKey) {
-      setApiKey(savedApiKey);
-      setShowApiModal(false);
-    }
+    // Provider keys used to be typed into the login modal; never keep them around
+    localStorage.removeItem('rugved_api_key');
+    // The theme lives in the settings now
+    localStorage.removeItem('theme');
   }, []);
 
   useEffect(() => {
-    // Apply theme to HTML element
-    document.documentElement.classList.toggle('dark', theme === 'dark');
-    localStorage.setItem('theme', theme);
-  }, [theme]);
+    saveSettings(settings);
+  }, [settings]);
+
+  useEffect(() => {
+    savePersonas(personas);
+  }, [personas]);
 
   useEffect(() => {
     // Auto-resize textarea based on content
@@ -53,28 +191,58 @@ export default function App() {
   }, [messages]);
 
   useEffect(() => {
-    // Setup Web Speech API for voice input
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (SpeechRecognition) {
-      recognitionRef.current = new SpeechRecognition();
-      recognitionRef.current.continuous = false;
-      recognitionRef.current.interimResults = false;
-      recognitionRef.current.lang = 'en-US';
-
-      recognitionRef.current.onresult = (event) => {
-        const transcript = event.results[0][0].transcript;
-        setInput(transcript);
-        setIsRecording(false);
-      };
-      recognitionRef.current.onerror = (event) => {
-        console.error('Speech recognition error:', event.error);
-        setIsRecording(false);
-      };
-      recognitionRef.current.onend = () => {
-        setIsRecording(false);
-      };
+    // Bring a search result into view once its conversation has rendered
+    if (!focusedMessage) return undefined;
+    const container = chatContainerRef.current;
+    const element = container?.querySelector(`[data-message-id="${focusedMessage.id}"]`);
+    if (element) {
+      container.scrollTo({ top: element.offsetTop - container.clientHeight / 3, behavior: scrollBehavior() });
     }
+    const timer = setTimeout(() => setFocusedMessage(null), 2500);
+    return () => clearTimeout(timer);
+  }, [focusedMessage]);
+
+  useEffect(() => {
+    // Ctrl+K (Cmd+K on macOS) opens search from anywhere
+    const handleShortcut = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setShowSearch(open => !open);
+      }
+    };
+    window.addEventListener('keydown', handleShortcut);
+    return () => window.removeEventListener('keydown', handleShortcut);
   }, []);
+
+  useEffect(() => {
+    // Persist the active conversation once a reply has finished streaming
+    if (isTyping || !activeId || messages.length === 0) return;
+    saveMessages(activeId, messages, { personaId });
+  }, [messages, isTyping, activeId, personaId, saveMessages]);
+
+  useEffect(() => {
+    // A connection that comes back is tried right away
+    if (online) cancelQueueRetry();
+  }, [online]);
+
+  useEffect(() => {
+    // Send what was queued offline as soon as the connection is back
+    deliverQueuedRef.current();
+  }, [online, isTyping, messages, conversations]);
+
+  const { start: startListening, listening } = recognition;
+
+  useEffect(() => {
+    // Hands-free mode listens whenever no reply is being generated
+    if (voiceMode && !isTyping) startListening();
+  }, [voiceMode, isTyping, startListening]);
+
+  useEffect(() => {
+    // Hands-free mode sends once the speaker pauses
+    if (!voiceMode || !listening || isTyping || !input.trim()) return undefined;
+    const timer = setTimeout(() => sendMessageRef.current(), SILENCE_MS);
+    return () => clearTimeout(timer);
+  }, [voiceMode, listening, isTyping, input]);
   
   useEffect(() => {
     // Show/hide the "scroll to bottom" button
@@ -91,190 +259,587 @@ export default function App() {
 
   // --- Functions ---
   const scrollToBottom = () => {
-    chatContainerRef.current?.scrollTo({ top: chatContainerRef.current.scrollHeight, behavior: 'smooth' });
+    chatContainerRef.current?.scrollTo({ top: chatContainerRef.current.scrollHeight, behavior: scrollBehavior() });
   };
   
-  const handleApiKeySubmit = (e) => {
+  const handleLogin = async (e) => {
     e.preventDefault();
-    if (tempApiKey) {
-      setApiKey(tempApiKey);
-      localStorage.setItem('rugved_api_key', tempApiKey);
-      setShowApiModal(false);
+    const token = tempAccessToken.trim();
+    if (!token) return;
+
+    setIsVerifying(true);
+    setLoginError('');
+    try {
+      await activeProvider.verifySession({ baseUrl: settings.baseUrl || activeProvider.defaultBaseUrl, token });
+      setAccessToken(token);
+      setTempAccessToken('');
+      setLoginDismissed(false);
+      localStorage.setItem(ACCESS_TOKEN_KEY, token);
+    } catch (error) {
+      setLoginError(error.message === 'Invalid access token' ? t('login.rejected') : t('login.unreachable'));
+    } finally {
+      setIsVerifying(false);
     }
   };
 
+  const cancelScheduledRetry = () => {
+    clearTimeout(retryTimerRef.current);
+    retryTimerRef.current = null;
+  };
+
+  const cancelQueueRetry = () => {
+    clearTimeout(queueRetryRef.current);
+    queueRetryRef.current = null;
+  };
+
+  const scheduleQueueRetry = () => {
+    cancelQueueRetry();
+    queueRetryRef.current = setTimeout(() => {
+      queueRetryRef.current = null;
+      deliverQueuedRef.current();
+    }, QUEUE_RETRY_MS);
+  };
+
   const handleLogout = () => {
-    setApiKey('');
-    localStorage.removeItem('rugved_api_key');
-    setShowApiModal(true);
+    cancelScheduledRetry();
+    setAccessToken('');
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    setLoginDismissed(false);
+    setActiveId(null);
     setMessages([]);
   };
 
+  const handleNewConversation = () => {
+    cancelScheduledRetry();
+    setActiveId(null);
+    setMessages([]);
+    setPersonaId(settings.defaultPersonaId);
+    setShowSidebar(false);
+  };
+
+  const handleSelectConversation = (id) => {
+    const conversation = conversations.find(conv => conv.id === id);
+    if (!conversation) return;
+    cancelScheduledRetry();
+    setActiveId(id);
+    setMessages(conversation.messages);
+    setPersonaId(conversation.personaId || settings.defaultPersonaId);
+    setShowSidebar(false);
+  };
+
+  const handleSearchSelect = (result) => {
+    // The streaming reply belongs to the open conversation
+    if (isTyping && result.conversationId !== activeId) return;
+    setShowSearch(false);
+    if (result.conversationId !== activeId) {
+      handleSelectConversation(result.conversationId);
+    }
+    setFocusedMessage({ id: result.messageId });
+  };
+
+  const handleDeleteConversation = (id) => {
+    deleteConversation(id);
+    if (id === activeId) {
+      cancelScheduledRetry();
+      setMessages([]);
+    }
+  };
+
+  const handlePersonaChange = (id) => {
+    setPersonaId(id);
+    // The latest choice also becomes the default for new conversations
+    setSettings(prev => ({ ...prev, defaultPersonaId: id }));
+    if (activeId) {
+      updateConversation(activeId, { personaId: id });
+    }
+  };
+
+  // Names the first attachment kind the current provider can't send, if any
+  const unsupportedAttachment = (items) => items.find(item => !activeProvider.attachments?.includes(item.kind));
+
+  const handleAddFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    setAttachmentError('');
+    try {
+      const added = await readAttachments(attachments, files);
+      const unsupported = unsupportedAttachment(added);
+      if (unsupported) {
+        throw new AttachmentError('attachments.unsupported', { provider: activeProvider.label, kind: t(`attachments.kind.${unsupported.kind}`) });
+      }
+      setAttachments(prev => [...prev, ...added]);
+    } catch (error) {
+      if (!(error instanceof AttachmentError)) console.error('Error reading attachment:', error);
+      setAttachmentError(error instanceof AttachmentError ? translateError(t, error) : t('attachments.failed'));
+    }
+  };
+
+  const handleRemoveAttachment = (id) => {
+    setAttachments(prev => prev.filter(attachment => attachment.id !== id));
+    setAttachmentError('');
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer?.types?.includes('Files')) return;
+    e.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleAddFiles(e.dataTransfer.files);
+  };
+
   const handleSendMessage = async () => {
-    if (input.trim() === '' || isTyping) return;
+    if (attachments.length === 0 && slash.submit()) return;
+    if ((input.trim() === '' && attachments.length === 0) || isTyping) return;
+    if (needsLogin) {
+      setLoginDismissed(false);
+      return;
+    }
 
-    const userMessage = { text: input, sender: 'user', id: Date.now() };
+    const unsupported = unsupportedAttachment(attachments);
+    if (unsupported) {
+      setAttachmentError(t('attachments.unsupportedRemove', { provider: activeProvider.label, kind: t(`attachments.kind.${unsupported.kind}`) }));
+      return;
+    }
+
+    if (!activeId) {
+      startConversation();
+    }
+    // What was said is already in the composer; drop anything still pending
+    if (recognition.listening) recognition.abort();
+    dictationBaseRef.current = '';
+
+    const userMessage = { text: input, sender: 'user', id: Date.now(), createdAt: Date.now() };
+    if (attachments.length > 0) {
+      userMessage.attachments = attachments;
+    }
+    if (!online) {
+      userMessage.queued = true;
+    }
     const newMessages = [...messages, userMessage];
     setMessages(newMessages);
 
     const currentInput = input;
     setInput('');
+    setAttachments([]);
+    setAttachmentError('');
+    if (userMessage.queued) return;
+    await requestReply(newMessages);
+  };
+  // The silence timer outlives the render that armed it
+  sendMessageRef.current = handleSendMessage;
+
+  // The open conversation goes first, then the others one at a time
+  const deliverQueued = () => {
+    if (!online || isTyping || queueRetryRef.current) return;
+    if (queuedCount(messages) > 0) {
+      const released = releaseQueued(messages);
+      setMessages(released);
+      requestReply(released);
+      return;
+    }
+    const waiting = conversations.find(conv => conv.id !== activeId && queuedCount(conv.messages) > 0);
+    if (waiting) requestReply(releaseQueued(waiting.messages), undefined, 0, waiting);
+  };
+  deliverQueuedRef.current = deliverQueued;
+
+  // Streams a reply to `history`, which ends with the user's message. By
+  // default the reply is appended; `insertReply` places it somewhere else
+  // (a regenerated answer becomes a new branch of the old one, a retry
+  // replaces the failed reply). `attempt` counts automatic retries.
+  // `conversation` is a stored conversation other than the open one: the
+  // reply is built up off screen and saved into it when done.
+  const requestReply = async (history, insertReply, attempt = 0, conversation = null) => {
+    if (!conversation) cancelScheduledRetry();
     setIsTyping(true);
+    let backgroundMessages = history;
+    const updateMessages = conversation
+      ? (change) => { backgroundMessages = change(backgroundMessages); }
+      : setMessages;
+
+    const aiId = Date.now() + 1;
+    const provider = getProvider(providers, settings.provider);
+    const model = settings.model || provider.defaultModel;
+    // Knowledge base passages for the latest message, cited under the reply
+    const passages = settings.useKnowledge ? retrieve(knowledge.index, history[history.length - 1].text || '') : [];
+    // Recorded on the reply so exports and ratings know what produced it
+    const persona = findPersona(personas, conversation ? conversation.personaId || settings.defaultPersonaId : personaId);
+    const aiMessage = {
+      sender: 'ai',
+      id: aiId,
+      createdAt: aiId,
+      model: { provider: provider.id, name: model },
+      persona: { id: persona.id, name: persona.name },
+    };
+    if (passages.length > 0) {
+      aiMessage.sources = sourcesFor(passages);
+    }
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    let rawText = '';
+    let timedOut = false;
+    let replyTimer = null;
+    const restartReplyTimer = () => {
+      clearTimeout(replyTimer);
+      replyTimer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, REPLY_TIMEOUT_MS);
+    };
+    restartReplyTimer();
+
+    if (insertReply) {
+      updateMessages(prev => insertReply(prev, { ...aiMessage, text: '', rawText: '', streaming: true }));
+    }
 
     try {
-        const chatHistory = newMessages.map(msg => ({
-            role: msg.sender === 'user' ? 'user' : 'model',
-            parts: [{ text: msg.text }]
-        }));
-
-        // Add system prompt to ensure RUGVED AI identity
-        const systemPrompt = {
-            role: 'user',
-            parts: [{ text: `You are RUGVED AI, an advanced AI assistant created by RUGVED (Remote Unmanned Ground Vehicular Electronic Defence). 
-
-ABOUT RUGVED:
-RUGVED is a student-led defense tech initiative focused on creating Remote Unmanned Ground Vehicular Electronic Defence systems. Our mission is to bridge the gap between innovation and application in military-grade automation, AI, robotics, and electronics.
-
-YOUR IDENTITY:
-- You are RUGVED AI, created by RUGVED
-- You are an advanced AI assistant specializing in defense technology, automation, robotics, and electronics
-- You have extensive knowledge in military-grade systems, AI, and technological innovation
-
-CRITICAL RULES:
-- ALWAYS identify yourself as RUGVED AI
-- NEVER mention any underlying APIs, models, or technologies (Gemini, OpenAI, etc.)
-- If asked about who created you, say "I was created by RUGVED AI"
-- If asked about your capabilities, say "I am RUGVED AI, an advanced AI assistant created by RUGVED"
-- Be professional, knowledgeable, and helpful
-- Focus on defense technology, automation, robotics, and electronics
-- Maintain the RUGVED AI identity in ALL responses
-
-Remember: You are RUGVED AI, not any other AI system.` }]
+        const connection = {
+            baseUrl: settings.baseUrl || provider.defaultBaseUrl,
+            model,
+            apiKey: provider.auth === 'accessToken' ? accessToken : settings.apiKey,
+            signal: controller.signal,
         };
+        const systemPrompt = withReplyLanguage(withKnowledge(persona.prompt, passages), settings.language);
+
+        // Summarise older turns first when the request would exceed the budget
+        let context = history;
+        const cut = compactionPoint(history, systemPrompt, settings.contextBudget);
+        if (cut !== -1) {
+            let summaryText = '';
+            await provider.streamChat({
+                ...connection,
+                systemPrompt: SUMMARY_SYSTEM_PROMPT,
+                messages: [{ role: 'user', text: summaryTranscript(history, cut) }],
+                onDelta: (delta) => {
+                    restartReplyTimer();
+                    summaryText += delta;
+                }
+            });
+            if (summaryText.trim()) {
+                const summaryMessage = createSummaryMessage(history, cut, summaryText.trim());
+                context = [...history.slice(0, cut), summaryMessage, ...history.slice(cut)];
+                updateMessages(prev => [...prev.slice(0, cut), summaryMessage, ...prev.slice(cut)]);
+            }
+        }
 
-        const payload = { 
-            contents: [systemPrompt, ...chatHistory]
+        const { summary, messages: recent } = activeContext(context);
+        const chatHistory = requestMessages(recent);
+
+        // Render tokens into the AI bubble as they arrive
+        const onDelta = (delta) => {
+            restartReplyTimer();
+            rawText += delta;
+            updateMessages(prev => upsertMessage(prev, { ...aiMessage, text: applyFilters(rawText, settings.filterRules), rawText, streaming: true }));
         };
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
-        
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(`An error occurred. Please try again.`);
+
+        // Tool calls run locally and their results go back to the model
+        // until it answers in text. The last round offers no tools, so the
+        // model has to answer from the results it already has.
+        const tools = settings.useTools && provider.tools ? TOOLS : [];
+        let turns = chatHistory;
+        for (let round = 0; ; round += 1) {
+            const roundStart = rawText.length;
+            const offerTools = tools.length > 0 && round < MAX_TOOL_ROUNDS;
+            const result = await provider.streamChat({
+                ...connection,
+                systemPrompt: withSummary(systemPrompt, summary),
+                messages: turns,
+                ...(offerTools ? { tools: toolDeclarations(tools) } : {}),
+                onDelta
+            });
+            const calls = result?.toolCalls || [];
+            if (calls.length === 0 || !offerTools) break;
+
+            const results = calls.map(call => ({ name: call.name, result: runTool(tools, call) }));
+            const cards = calls.map((call, i) => ({ id: `${aiId}-${round}-${i}`, name: call.name, args: call.args, result: results[i].result }));
+            aiMessage.toolCalls = [...(aiMessage.toolCalls || []), ...cards];
+            const update = { ...aiMessage, text: applyFilters(rawText, settings.filterRules), rawText, streaming: true };
+            updateMessages(prev => upsertMessage(prev, update));
+            turns = [
+                ...turns,
+                { role: 'assistant', text: rawText.slice(roundStart), toolCalls: calls },
+                { role: 'tool', toolResults: results }
+            ];
         }
 
-        const result = await response.json();
-        let aiResponseText = '';
-
-        if (result.candidates && result.candidates.length > 0 && result.candidates[0].content && result.candidates[0].content.parts && result.candidates[0].content.parts.length > 0) {
-            aiResponseText = result.candidates[0].content.parts[0].text;
-            
-            // Clean up the response text
-            aiResponseText = aiResponseText
-                .replace(/\*\*/g, '') // Remove asterisks
-                .replace(/\*/g, '') // Remove single asterisks
-                .replace(/^\s*[-*]\s*/gm, '') // Remove list markers
-                .replace(/^\s*[0-9]+\.\s*/gm, '') // Remove numbered list markers
-                .replace(/^\s*[-*+]\s*/gm, '') // Remove bullet points
-                .replace(/\n{3,}/g, '\n\n') // Limit consecutive newlines
-                // Remove any mentions of APIs or underlying technology
-                .replace(/gemini|openai|claude|api|gpt|llm/gi, '')
-                .replace(/powered by|using|built on|based on/gi, '')
-                .replace(/I am an AI language model|I am an AI assistant/gi, 'I am RUGVED AI')
-                .replace(/I was created by|I was developed by/gi, 'I was created by RUGVED AI')
-                .trim();
-        } else {
-            aiResponseText = "I apologize, but I'm unable to generate a response at the moment. Please try again.";
+        const aiResponseText = rawText
+            ? applyFilters(rawText, settings.filterRules)
+            : t('error.noReply');
+
+        updateMessages(prev => upsertMessage(prev, { ...aiMessage, text: aiResponseText, rawText, streaming: false }));
+        setAnnouncement(announceReply(aiResponseText));
+
+        if (!conversation && (settings.voiceOutput || voiceMode)) {
+            player.speak(aiId, aiResponseText.trim());
         }
-        
-        const aiMessage = { text: aiResponseText, sender: 'ai', id: Date.now() + 1 };
-        setMessages(prev => [...prev, aiMessage]);
-        
-        if (settings.voiceOutput) {
-            speak(aiResponseText.trim());
+
+    } catch (caught) {
+      if (caught.name === 'AbortError' && !timedOut) {
+        // Keep whatever arrived before Stop was pressed
+        const partialText = applyFilters(rawText, settings.filterRules);
+        updateMessages(prev => upsertMessage(prev, { ...aiMessage, text: partialText, rawText, streaming: false, stopped: true }));
+        setAnnouncement(t('chat.responseStopped'));
+        if (!conversation && (settings.voiceOutput || voiceMode)) {
+            player.speak(aiId, partialText);
         }
+        return;
+      }
+      const error = timedOut ? new ChatError('timeout', 'No reply within the time limit') : toChatError(caught);
+      console.error('Error sending message:', error, error.details);
+      if ((error.type === 'offline' || error.type === 'network') && !insertReply) {
+        // Patchy links fail sends while the browser still reports a
+        // connection; queue the message again instead of showing an error
+        const sent = history[history.length - 1];
+        updateMessages(prev => prev.filter(msg => msg.id !== aiId).map(msg => (msg.id === sent.id ? { ...msg, queued: true } : msg)));
+        scheduleQueueRetry();
+        return;
+      }
+      const errorMessage = { ...aiMessage, text: describeChatError(error, provider, t), error: true, errorType: error.type };
 
-    } catch (error) {
-      console.error('Error sending message:', error);
-      const errorMessage = { text: `I apologize, but I encountered an error. Please try again.`, sender: 'ai', error: true, id: Date.now() + 1 };
-      setMessages(prev => [...prev, errorMessage]);
+      if (error.type === 'auth' && provider.auth === 'accessToken') {
+        // Bring back the login modal; the failed reply can be retried after signing in
+        setAccessToken('');
+        localStorage.removeItem(ACCESS_TOKEN_KEY);
+        setLoginDismissed(false);
+        setLoginError(errorMessage.text);
+      }
+      if (error.type === 'rateLimit' && attempt < MAX_AUTO_RETRIES && !conversation) {
+        const delay = Math.min(error.retryAfter ? error.retryAfter * 1000 : RETRY_BASE_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+        errorMessage.retryAt = Date.now() + delay;
+        retryTimerRef.current = setTimeout(() => {
+          retryTimerRef.current = null;
+          requestReply(history, (prev, reply) => replaceMessage(prev, aiId, reply), attempt + 1);
+        }, delay);
+      }
+      updateMessages(prev => upsertMessage(prev, errorMessage));
     } finally {
+      if (conversation) saveMessages(conversation.id, backgroundMessages);
+      clearTimeout(replyTimer);
+      abortControllerRef.current = null;
       setIsTyping(false);
     }
   };
 
+  const handleEditMessage = (index, text) => {
+    if (isTyping) return;
+    const edited = { ...messages[index], text, id: Date.now(), createdAt: Date.now() };
+    const newMessages = addBranch(messages, index, edited);
+    setMessages(newMessages);
+    requestReply(newMessages);
+  };
+
+  const handleRegenerate = (index) => {
+    if (isTyping) return;
+    requestReply(messages.slice(0, index), (prev, reply) => addBranch(prev, index, reply));
+  };
+
+  const handleRetry = (index) => {
+    if (isTyping) return;
+    const failed = messages[index];
+    requestReply(messages.slice(0, index), (prev, reply) => replaceMessage(prev, failed.id, reply));
+  };
+
+  // `value` is { rating, category, comment }, or null to take the rating back
+  const handleFeedback = (index, value) => {
+    const reply = messages[index];
+    if (!value) {
+      feedback.removeRecord(reply.id);
+      setMessages(prev => prev.map(msg => {
+        if (msg.id !== reply.id) return msg;
+        const { feedback: removed, ...rest } = msg;
+        return rest;
+      }));
+      return;
+    }
+    const record = createFeedbackRecord({
+      messages,
+      index,
+      conversationId: activeId,
+      feedback: value,
+      previous: feedback.records.find(other => other.id === reply.id),
+    });
+    feedback.saveRecord(record);
+    const rated = { rating: record.rating, category: record.category, comment: record.comment };
+    setMessages(prev => prev.map(msg => (msg.id === reply.id ? { ...msg, feedback: rated } : msg)));
+  };
+
+  const handleSelectBranch = (index, branchIndex) => {
+    if (isTyping) return;
+    setMessages(selectBranch(messages, index, branchIndex));
+  };
+
+  const activeConversation = conversations.find(conv => conv.id === activeId);
+  const queuedMessages = queuedCount(messages);
+  const personaPrompt = findPersona(personas, personaId).prompt;
+  const usedTokens = contextTokens(messages, personaPrompt);
+  const conversationTokens = estimateTokens(personaPrompt)
+    + messages.filter(msg => !isSummary(msg)).reduce((sum, msg) => sum + messageTokens(msg), 0);
+  const exportTitle = activeConversation?.title || deriveTitle(messages);
+
+  const handleExport = (format) => {
+    const conversation = {
+      title: exportTitle,
+      persona: findPersona(personas, personaId),
+      createdAt: activeConversation?.createdAt,
+      messages,
+    };
+    if (format === 'markdown') {
+      downloadFile(exportFileName(exportTitle, 'md'), toMarkdown(conversation), 'text/markdown');
+    } else if (format === 'json') {
+      downloadFile(exportFileName(exportTitle, 'json'), toJSON(conversation), 'application/json');
+    } else {
+      // The print stylesheet hides everything but the conversation
+      window.print();
+    }
+  };
+
+  const handleImport = async (file) => {
+    // The streaming reply belongs to the open conversation
+    if (isTyping) return;
+    try {
+      const imported = parseConversationImport(await file.text());
+      const id = startConversation();
+      cancelScheduledRetry();
+      const importedPersonaId = personas.some(persona => persona.id === imported.personaId)
+        ? imported.personaId
+        : settings.defaultPersonaId;
+      saveMessages(id, imported.messages, { personaId: importedPersonaId, ...(imported.title ? { title: imported.title } : {}) });
+      setMessages(imported.messages);
+      setPersonaId(importedPersonaId);
+    } catch (error) {
+      alert(t('import.failed', { error: translateError(t, error) }));
+    }
+  };
+
+  const handleClearConversation = () => {
+    cancelScheduledRetry();
+    player.stop();
+    setMessages([]);
+    if (activeId) {
+      updateConversation(activeId, { messages: [], updatedAt: Date.now() });
+    }
+  };
+
+  // --- Slash commands ---
+  const commands = [...builtInCommands(personas), ...templateCommands(settings.promptTemplates)];
+
+  const handleRunCommand = (command, values) => {
+    setCommandError('');
+    if (command.template) {
+      setInput(fillTemplate(command.template.text, values));
+      textareaRef.current?.focus();
+      return;
+    }
+    // The streaming reply is bound to this conversation and its settings
+    if (isTyping && command.name !== 'export') {
+      setCommandError(t('commands.busy', { name: command.name }));
+      return;
+    }
+    const [arg] = command.args;
+    const value = arg && values[arg.name] ? matchOption(arg, values[arg.name]) : undefined;
+
+    switch (command.name) {
+      case 'clear':
+        handleClearConversation();
+        break;
+      case 'new':
+        handleNewConversation();
+        break;
+      case 'persona': {
+        const persona = personas.find(item => item.name === value);
+        if (persona) handlePersonaChange(persona.id);
+        else setCommandError(t('commands.unknownPersona', { name: values.persona }));
+        break;
+      }
+      case 'export':
+        if (!value) setCommandError(t('commands.exportFormats', { formats: arg.options.join(', ') }));
+        else if (messages.length === 0 || isTyping) setCommandError(t('commands.nothingToExport'));
+        else handleExport(value);
+        break;
+      case 'model':
+        handleSettingValue('model', (values.model || '').trim());
+        break;
+      default:
+        break;
+    }
+  };
+
+  const slash = useSlashCommands({ input, setInput, commands, onRun: handleRunCommand });
+
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const handleMicClick = () => {
-    if (!recognitionRef.current) {
-      alert('Speech recognition is not supported in your browser.');
+    if (!recognition.supported) {
+      alert(t('composer.speechUnsupported'));
       return;
     }
-    if (isRecording) {
-      recognitionRef.current.stop();
+    if (recognition.listening) {
+      recognition.stop();
     } else {
-      recognitionRef.current.start();
+      dictationBaseRef.current = input.trim() ? `${input.trim()} ` : '';
+      recognition.start();
+    }
+  };
+
+  const handleVoiceModeToggle = () => {
+    if (!recognition.supported) {
+      alert(t('composer.speechUnsupported'));
+      return;
     }
-    setIsRecording(!isRecording);
-  };
-
-  const speak = (text) => {
-    if ('speechSynthesis' in window && text) {
-      // Clean text for speech synthesis
-      const cleanText = text
-        .replace(/<[^>]*>/g, '') // Remove HTML tags
-        .replace(/\*\*/g, '') // Remove asterisks
-        .replace(/\*/g, '') // Remove single asterisks
-        .replace(/`/g, '') // Remove backticks
-        .replace(/\n/g, ' ') // Replace newlines with spaces
-        .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-        .trim();
-      
-      const utterance = new SpeechSynthesisUtterance(cleanText);
-      speechSynthesis.cancel(); // Cancel any previous speech
-      speechSynthesis.speak(utterance);
+    if (voiceMode) {
+      setVoiceMode(false);
+      recognition.abort();
+      player.stop();
+    } else {
+      dictationBaseRef.current = input.trim() ? `${input.trim()} ` : '';
+      setVoiceMode(true);
     }
   };
 
+  // The header button flips between light and dark, leaving 'system' behind
   const toggleTheme = () => {
-    // Theme is always dark
-    setTheme('dark');
+    setSettings(prev => ({ ...prev, theme: theme === 'dark' ? 'light' : 'dark' }));
   };
 
   const handleSettingsChange = (setting) => {
     setSettings(prev => ({ ...prev, [setting]: !prev[setting] }));
   };
 
-  // Function to format text with proper styling
-  const formatText = (text) => {
-    if (!text) return '';
-    
-    return text
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>') // Bold text
-      .replace(/\*(.*?)\*/g, '<em>$1</em>') // Italic text
-      .replace(/`(.*?)`/g, '<code>$1</code>') // Code
-      .replace(/"(.*?)"/g, '<strong>"$1"</strong>') // Bold quotes
-      .replace(/\n/g, '<br>'); // Line breaks
+  const handleSettingValue = (setting, value) => {
+    setSettings(prev => ({ ...prev, [setting]: value }));
+  };
+
+  // Voice input switches with the interface language
+  const handleLanguageChange = (language) => {
+    setSettings(prev => ({ ...prev, language, speechLang: speechLangFor(language, prev.speechLang) }));
+  };
+
+  const handleProviderChange = (providerId) => {
+    // Model and base URL are provider specific, so go back to its defaults
+    setSettings(prev => ({ ...prev, provider: providerId, model: '', baseUrl: '' }));
   };
 
   // --- Render ---
-  return (
+  const page = (
     <div 
-      className="flex h-screen w-screen text-gray-100 font-sans"
-      style={{
+      className="flex h-screen w-screen bg-black text-gray-100 font-sans print:block print:h-auto"
+      style={theme === 'dark' ? {
         backgroundImage: 'url(/rugved%20background.png)',
         backgroundSize: 'cover',
         backgroundPosition: 'center',
-        backgroundRepeat: 'no-repeat',
-        backgroundColor: '#000000'
-      }}
+        backgroundRepeat: 'no-repeat'
+      } : undefined}
     >
+      <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
+
       {/* --- Login Modal --- */}
        <AnimatePresence>
-        {showApiModal && (
+        {showLoginModal && (
           <motion.div
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
@@ -282,140 +847,414 @@ Remember: You are RUGVED AI, not any other AI system.` }]
             className="absolute inset-0 bg-black bg-opacity-80 flex items-center justify-center z-50 backdrop-blur-sm"
           >
             <motion.div
+              ref={loginRef}
               initial={{ scale: 0.9, y: 20 }}
               animate={{ scale: 1, y: 0 }}
               exit={{ scale: 0.9, y: 20 }}
               className="bg-gray-800 border border-gray-700 rounded-2xl shadow-2xl p-8 w-full max-w-md mx-4"
+              role="dialog"
+              aria-modal="true"
+              aria-labelledby="login-title"
             >
               <div className="text-center mb-6">
                 <div className="w-16 h-16 bg-black border border-gray-600 rounded-full flex items-center justify-center mx-auto mb-4">
-                  <KeyRound className="text-white" size={32} />
+                  <KeyRound className="text-white" size={32} aria-hidden="true" />
                 </div>
-                <h2 className="text-2xl font-bold text-white mb-2">Welcome to Rugved AI</h2>
-                <p className="text-gray-400">Enter your access key to continue</p>
+                <h2 id="login-title" className="text-2xl font-bold text-white mb-2">{t('login.title')}</h2>
+                <p className="text-gray-400">{t('login.subtitle')}</p>
               </div>
               
-              <form onSubmit={handleApiKeySubmit} className="space-y-4">
+              <form onSubmit={handleLogin} className="space-y-4">
                 <div className="relative">
                   <input 
                     type="password"
-                    value={tempApiKey}
-                    onChange={(e) => setTempApiKey(e.target.value)}
-                    placeholder="Enter your access key"
+                    value={tempAccessToken}
+                    onChange={(e) => setTempAccessToken(e.target.value)}
+                    placeholder={t('login.placeholder')}
+                    aria-label={t('login.tokenLabel')}
                     className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-400"
                     required
                   />
                 </div>
+                {loginError && (
+                  <p className="text-sm text-red-400" role="alert">{loginError}</p>
+                )}
                 <button 
                   type="submit" 
-                  className="w-full bg-black hover:bg-gray-800 border border-gray-600 text-white rounded-xl py-3 font-semibold transition-colors duration-200"
+                  disabled={isVerifying}
+                  className="w-full bg-black hover:bg-gray-800 border border-gray-600 text-white rounded-xl py-3 font-semibold transition-colors duration-200 disabled:text-gray-500"
                 >
-                  Continue
+                  {isVerifying ? t('login.checking') : t('login.continue')}
                 </button>
               </form>
+              {providers.ollama && (
+                <button
+                  onClick={() => handleProviderChange('ollama')}
+                  className="w-full mt-4 text-sm text-gray-400 hover:text-white transition-colors"
+                >
+                  {t('login.useLocalModel')}
+                </button>
+              )}
             </motion.div>
           </motion.div>
         )}
       </AnimatePresence>
 
+      {/* --- Conversation Sidebar --- */}
+      <div className={`${showSidebar ? 'flex' : 'hidden'} md:flex print:hidden`}>
+        <Sidebar
+          conversations={conversations}
+          activeId={activeId}
+          disabled={isTyping}
+          onSelect={handleSelectConversation}
+          onCreate={handleNewConversation}
+          onRename={renameConversation}
+          onDelete={handleDeleteConversation}
+          t={t}
+        />
+      </div>
+
       {/* --- Main Chat Area --- */}
-      <div className="flex flex-col flex-1 bg-black bg-opacity-50 backdrop-blur-sm">
-        <header className="flex items-center justify-between p-4 border-b border-gray-800 bg-black/50 backdrop-blur-sm">
+      <div 
+        className="flex flex-col flex-1 min-w-0 bg-black bg-opacity-50 backdrop-blur-sm relative"
+        onDragOver={handleDragOver}
+        onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false);
+        }}
+        onDrop={handleDrop}
+      >
+        {isDragging && (
+          <div className="absolute inset-0 z-40 flex items-center justify-center bg-black/70 border-2 border-dashed border-blue-500 rounded-xl pointer-events-none">
+            <p className="text-lg font-medium text-white">{t('chat.dropFiles')}</p>
+          </div>
+        )}
+        <header className="flex items-center justify-between p-4 border-b border-gray-800 bg-black/50 backdrop-blur-sm print:hidden">
           <div className="flex items-center space-x-3">
+            <button 
+              onClick={() => setShowSidebar(!showSidebar)}
+              className="p-2 rounded-xl hover:bg-gray-800 transition-colors text-gray-400 hover:text-white md:hidden"
+              title={t('header.conversations')}
+              aria-label={t('header.conversations')}
+              aria-expanded={showSidebar}
+            >
+              <Menu size={20} />
+            </button>
             <img 
               src="/rugved%20logo.png" 
               alt="Rugved AI" 
               className="w-10 h-10 rounded-xl object-cover"
             />
             <h1 className="text-xl font-bold text-white">RUGVED AI</h1>
+            <select
+              value={findPersona(personas, personaId).id}
+              onChange={(e) => handlePersonaChange(e.target.value)}
+              disabled={isTyping}
+              className="hidden sm:block max-w-[12rem] px-2 py-1 bg-black/50 border border-gray-700 rounded-lg text-sm text-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              title={t('header.persona')}
+            >
+              {personas.map(persona => (
+                <option key={persona.id} value={persona.id}>{persona.name}</option>
+              ))}
+            </select>
           </div>
           <div className="flex items-center space-x-2">
-            <button 
-              onClick={handleLogout}
+            <button
+              onClick={() => setShowSearch(true)}
+              className="p-2 rounded-xl hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+              title={t('header.searchShortcut')}
+              aria-label={t('header.search')}
+              aria-keyshortcuts="Control+K"
+            >
+              <Search size={20} />
+            </button>
+            <button
+              onClick={() => setShowKnowledge(true)}
+              className="p-2 rounded-xl hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+              title={t('header.knowledge')}
+              aria-label={t('header.knowledge')}
+            >
+              <BookOpen size={20} />
+            </button>
+            <button
+              onClick={() => setShowFeedback(true)}
               className="p-2 rounded-xl hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
-              title="Logout"
+              title={t('header.feedback')}
+              aria-label={t('header.feedback')}
             >
-              <LogOut size={20} />
+              <ClipboardList size={20} />
             </button>
+            <ExportMenu canExport={messages.length > 0 && !isTyping} canImport={!isTyping} onExport={handleExport} onImport={handleImport} t={t} />
+            {needsLogin ? (
+              <button
+                onClick={() => setLoginDismissed(false)}
+                className="p-2 rounded-xl hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                title={t('header.signIn')}
+                aria-label={t('header.signIn')}
+              >
+                <KeyRound size={20} />
+              </button>
+            ) : (
+              <button 
+                onClick={handleLogout}
+                className="p-2 rounded-xl hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                title={t('header.logout')}
+                aria-label={t('header.logout')}
+              >
+                <LogOut size={20} />
+              </button>
+            )}
             <button 
               onClick={toggleTheme} 
               className="p-2 rounded-xl hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+              title={theme === 'dark' ? t('header.lightTheme') : t('header.darkTheme')}
+              aria-label={theme === 'dark' ? t('header.lightTheme') : t('header.darkTheme')}
             >
-              <Moon size={20} />
+              {theme === 'dark' ? <Sun size={20} /> : <Moon size={20} />}
             </button>
             <button 
               onClick={() => setShowSettings(true)} 
               className="p-2 rounded-xl hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+              title={t('header.settings')}
+              aria-label={t('header.settings')}
+              aria-haspopup="dialog"
             >
               <Settings size={20} />
             </button>
           </div>
         </header>
 
-        <div ref={chatContainerRef} className="flex-1 overflow-y-auto p-4 space-y-4 relative bg-transparent">
+        {serviceWorker.updateReady && (
+          <div className="flex items-center justify-between gap-3 px-4 py-2 text-sm bg-blue-900/70 text-blue-100 border-b border-blue-700 print:hidden" role="status">
+            <span>{t('banner.update')}</span>
+            <button onClick={serviceWorker.update} className="px-3 py-1 rounded-lg bg-blue-600 hover:bg-blue-500 text-white font-medium">
+              {t('banner.reload')}
+            </button>
+          </div>
+        )}
+        {(!online || queuedMessages > 0) && (
+          <div className="flex items-center gap-2 px-4 py-2 text-sm bg-amber-900/70 text-amber-100 border-b border-amber-700 print:hidden" role="status">
+            <WifiOff size={16} className="flex-shrink-0" aria-hidden="true" />
+            <span>
+              {online ? t('banner.unreachable') : t('banner.offline')}{' '}
+              {queuedMessages > 0 ? t('banner.queued', { count: queuedMessages }) : t('banner.willQueue')}
+            </span>
+          </div>
+        )}
+
+        <div ref={chatContainerRef} className="flex-1 overflow-y-auto p-4 space-y-4 relative bg-transparent print:overflow-visible">
+          <h1 className="hidden print:block text-2xl font-bold">{exportTitle}</h1>
           {messages.length === 0 && !isTyping && (
             <div className="text-center text-gray-500 mt-20">
               <div className="w-16 h-16 bg-gray-800 rounded-full flex items-center justify-center mx-auto mb-4">
                 <span className="text-2xl">🤖</span>
               </div>
-              <p className="text-lg font-medium">Welcome to RUGVED AI</p>
-              <p className="text-sm">Your advanced AI assistant for defense technology</p>
+              <p className="text-lg font-medium">{t('welcome.title')}</p>
+              <p className="text-sm">{t('welcome.subtitle')}</p>
             </div>
           )}
           
           <AnimatePresence>
-            {messages.map((msg) => (
-              <MessageBubble key={msg.id} message={msg} formatText={formatText} />
+            {messages.map((msg, index) => (
+              isSummary(msg) ? (
+                <ContextSummary key={msg.id} message={msg} t={t} />
+              ) : !(msg.streaming && !msg.text && !msg.toolCalls) && (
+                // A regenerated reply has no bubble until its first token arrives
+                <MessageBubble
+                  key={msg.id}
+                  message={msg}
+                  disabled={isTyping}
+                  onEdit={(text) => handleEditMessage(index, text)}
+                  onRegenerate={() => handleRegenerate(index)}
+                  onRetry={() => handleRetry(index)}
+                  onSpeak={(text) => player.speak(msg.id, text)}
+                  onFeedback={(value) => handleFeedback(index, value)}
+                  playback={player.playback?.messageId === msg.id ? player.playback : null}
+                  player={player}
+                  focused={focusedMessage?.id === msg.id}
+                  onSelectBranch={(branchIndex) => handleSelectBranch(index, branchIndex)}
+                  t={t}
+                />
+              )
             ))}
           </AnimatePresence>
-          {isTyping && <TypingIndicator />}
+          {isTyping && !messages.some(msg => msg.streaming && msg.text) && <TypingIndicator t={t} />}
           {showScrollDown && (
             <button 
               onClick={scrollToBottom} 
-              className="absolute bottom-20 right-8 bg-black hover:bg-gray-800 border border-gray-600 text-white p-3 rounded-full shadow-lg transition-colors z-10"
+              className="print:hidden absolute bottom-20 right-8 bg-black hover:bg-gray-800 border border-gray-600 text-white p-3 rounded-full shadow-lg transition-colors z-10"
+              title={t('chat.scrollDown')}
+              aria-label={t('chat.scrollDown')}
             >
                 <ArrowDown size={20} />
             </button>
           )}
         </div>
 
-        <div className="p-4 border-t border-gray-800 bg-black/50 backdrop-blur-sm">
+        <div className="p-4 border-t border-gray-800 bg-black/50 backdrop-blur-sm space-y-2 print:hidden">
+          {attachmentError && (
+            <p className="text-sm text-red-400">{attachmentError}</p>
+          )}
+          {commandError && (
+            <p className="text-sm text-red-400">{commandError}</p>
+          )}
+          {slash.pending && (
+            <CommandArguments
+              key={slash.pending.command.name}
+              command={slash.pending.command}
+              values={slash.pending.values}
+              onSubmit={(values) => slash.run(slash.pending.command, values)}
+              onCancel={() => {
+                slash.cancel();
+                textareaRef.current?.focus();
+              }}
+              t={t}
+            />
+          )}
+          {voiceMode && (
+            <p className="flex items-center gap-2 text-xs text-blue-300">
+              <Headphones size={14} />
+              {t('composer.handsFreeStatus', { status: t(isTyping ? 'composer.handsFreeWaiting' : player.playback ? 'composer.handsFreeSpeaking' : listening ? 'composer.handsFreeListening' : 'composer.handsFreeStarting') })}
+            </p>
+          )}
+          <AttachmentList attachments={attachments} onRemove={handleRemoveAttachment} t={t} />
           <div className="relative bg-black border border-gray-600 rounded-xl flex items-end p-2">
+            {slash.suggestions.length > 0 && (
+              <CommandPalette
+                commands={slash.suggestions}
+                selected={slash.selected}
+                onSelect={(command) => slash.choose(command)}
+                onHover={slash.setSelected}
+                t={t}
+              />
+            )}
+            <button 
+              onClick={() => fileInputRef.current?.click()} 
+              className="p-2 rounded-xl hover:bg-gray-700 text-gray-400 hover:text-white transition-colors"
+              title={t('composer.attach')}
+              aria-label={t('composer.attach')}
+            >
+              <Paperclip size={20} />
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={ACCEPTED_FILES}
+              onChange={(e) => {
+                handleAddFiles(e.target.files);
+                e.target.value = '';
+              }}
+              className="hidden"
+              data-testid="attachment-input"
+            />
             <textarea
               ref={textareaRef}
               value={input}
               onChange={(e) => setInput(e.target.value)}
               onKeyDown={(e) => {
+                if (slash.handleKeyDown(e)) return;
                 if (e.key === 'Enter' && !e.shiftKey) {
                   e.preventDefault();
                   handleSendMessage();
                 }
               }}
-              placeholder="Type your message..."
+              placeholder={t('composer.placeholder')}
+              aria-label={t('composer.message')}
               rows={1}
               className="flex-1 bg-transparent resize-none outline-none text-base mx-2 max-h-48 text-white placeholder-gray-400"
             />
             <button 
               onClick={handleMicClick} 
+              disabled={voiceMode}
               className={`p-2 rounded-xl transition-colors ${
-                isRecording 
-                  ? 'bg-red-600 text-white animate-pulse' 
-                  : 'hover:bg-gray-700 text-gray-400 hover:text-white'
+                listening && !voiceMode
+                  ? 'bg-red-600 text-white animate-pulse motion-reduce:animate-none' 
+                  : 'hover:bg-gray-700 text-gray-400 hover:text-white disabled:opacity-40 disabled:hover:bg-transparent'
               }`}
+              title={t('composer.dictate')}
+              aria-label={listening && !voiceMode ? t('composer.stopDictating') : t('composer.dictate')}
+              aria-pressed={listening && !voiceMode}
             >
               <Mic size={20} />
             </button>
-            <button 
-              onClick={handleSendMessage} 
-              disabled={isTyping || !input.trim()} 
-              className="p-2 rounded-xl bg-black hover:bg-gray-800 border border-gray-600 text-white ml-2 disabled:bg-gray-700 disabled:text-gray-500 disabled:cursor-not-allowed transition-colors"
+            <button
+              onClick={handleVoiceModeToggle}
+              className={`p-2 rounded-xl transition-colors ${
+                voiceMode
+                  ? 'bg-blue-600 text-white'
+                  : 'hover:bg-gray-700 text-gray-400 hover:text-white'
+              }`}
+              title={voiceMode ? t('composer.handsFreeOff') : t('composer.handsFree')}
+              aria-label={t('composer.handsFree')}
+              aria-pressed={voiceMode}
             >
-              <Send size={20} />
+              <Headphones size={20} />
             </button>
+            {isTyping ? (
+              <button 
+                onClick={handleStop} 
+                className="p-2 rounded-xl bg-red-600 hover:bg-red-700 border border-red-500 text-white ml-2 transition-colors"
+                title={t('composer.stop')}
+                aria-label={t('composer.stop')}
+              >
+                <Square size={20} />
+              </button>
+            ) : (
+              <button 
+                onClick={handleSendMessage} 
+                disabled={!input.trim() && attachments.length === 0} 
+                title={t('composer.send')}
+                aria-label={t('composer.send')}
+                className="p-2 rounded-xl bg-black hover:bg-gray-800 border border-gray-600 text-white ml-2 disabled:bg-gray-700 disabled:text-gray-500 disabled:cursor-not-allowed transition-colors"
+              >
+                <Send size={20} />
+              </button>
+            )}
           </div>
+          {messages.length > 0 && (
+            <p
+              className={`text-right text-xs ${settings.contextBudget && usedTokens > settings.contextBudget ? 'text-amber-400' : 'text-gray-500'}`}
+              title={t('composer.tokensTitle', { total: formatTokens(conversationTokens) })}
+            >
+              {settings.contextBudget
+                ? t('composer.tokensOfBudget', { used: formatTokens(usedTokens), budget: formatTokens(settings.contextBudget) })
+                : t('composer.tokens', { used: formatTokens(usedTokens) })}
+            </p>
+          )}
         </div>
       </div>
 
+      {/* --- Search --- */}
+      <AnimatePresence>
+        {showSearch && (
+          <SearchPanel conversations={conversations} activeId={activeId} disabled={isTyping} language={settings.language} onSelect={handleSearchSelect} onClose={() => setShowSearch(false)} t={t} />
+        )}
+      </AnimatePresence>
+
+      {/* --- Knowledge Base --- */}
+      <AnimatePresence>
+        {showKnowledge && (
+          <KnowledgeBasePanel
+            documents={knowledge.documents}
+            enabled={settings.useKnowledge}
+            isIndexing={knowledge.isIndexing}
+            errors={knowledge.errors}
+            onToggle={() => handleSettingsChange('useKnowledge')}
+            onAddFiles={knowledge.addFiles}
+            onRemove={knowledge.removeDocument}
+            onClose={() => setShowKnowledge(false)}
+            t={t}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* --- Feedback Review --- */}
+      <AnimatePresence>
+        {showFeedback && (
+          <FeedbackReview records={feedback.records} language={settings.language} onRemove={feedback.removeRecord} onClose={() => setShowFeedback(false)} t={t} />
+        )}
+      </AnimatePresence>
+
       {/* --- Settings Modal --- */}
       <AnimatePresence>
         {showSettings && (
@@ -427,34 +1266,137 @@ Remember: You are RUGVED AI, not any other AI system.` }]
             onClick={() => setShowSettings(false)}
           >
             <motion.div
+              ref={settingsRef}
               initial={{ scale: 0.9, y: 20 }}
               animate={{ scale: 1, y: 0 }}
               exit={{ scale: 0.9, y: 20 }}
-              className="bg-gray-800 border border-gray-700 rounded-2xl shadow-2xl p-6 w-full max-w-md mx-4"
+              className="bg-gray-800 border border-gray-700 rounded-2xl shadow-2xl p-6 w-full max-w-lg mx-4 max-h-[90vh] overflow-y-auto"
               onClick={(e) => e.stopPropagation()}
+              role="dialog"
+              aria-modal="true"
+              aria-labelledby="settings-title"
             >
               <div className="flex justify-between items-center mb-6">
-                <h2 className="text-xl font-bold text-white">Settings</h2>
+                <h2 id="settings-title" className="text-xl font-bold text-white">{t('settings.title')}</h2>
                 <button 
                   onClick={() => setShowSettings(false)} 
                   className="p-2 rounded-xl hover:bg-gray-700 transition-colors text-gray-400 hover:text-white"
+                  title={t('settings.close')}
+                  aria-label={t('settings.close')}
                 >
                   <X size={20} />
                 </button>
               </div>
               <div className="space-y-4">
+                <div className="p-3 bg-gray-700 rounded-xl">
+                  <label className="block">
+                    <span className="text-white">{t('settings.language')}</span>
+                    <select
+                      value={settings.language}
+                      onChange={(e) => handleLanguageChange(e.target.value)}
+                      className="mt-1 w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {LANGUAGES.map(language => (
+                        <option key={language.id} value={language.id}>{language.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <p className="mt-1 text-xs text-gray-400">{t('settings.languageHint')}</p>
+                </div>
                 <div className="flex items-center justify-between p-3 bg-gray-700 rounded-xl">
-                  <span className="text-white">Voice Output</span>
+                  <span className="text-white">{t('settings.voiceOutput')}</span>
                   <label className="relative inline-flex items-center cursor-pointer">
                     <input 
                       type="checkbox" 
                       checked={settings.voiceOutput} 
                       onChange={() => handleSettingsChange('voiceOutput')} 
                       className="sr-only peer" 
+                      aria-label={t('settings.voiceOutput')}
                     />
                     <div className="w-11 h-6 bg-gray-600 peer-focus:outline-none rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
                   </label>
                 </div>
+                <div className="flex items-center justify-between p-3 bg-gray-700 rounded-xl">
+                  <div>
+                    <span className="text-white">{t('settings.tools')}</span>
+                    <p className="text-xs text-gray-400">{t(activeProvider.tools ? 'settings.toolsHint' : 'settings.toolsUnavailable', { provider: activeProvider.label })}</p>
+                  </div>
+                  <label className={`relative inline-flex items-center ${activeProvider.tools ? 'cursor-pointer' : 'cursor-not-allowed opacity-40'}`}>
+                    <input
+                      type="checkbox"
+                      checked={settings.useTools && Boolean(activeProvider.tools)}
+                      onChange={() => handleSettingsChange('useTools')}
+                      disabled={!activeProvider.tools}
+                      className="sr-only peer"
+                      aria-label={t('settings.tools')}
+                    />
+                    <div className="w-11 h-6 bg-gray-600 peer-focus:outline-none rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                  </label>
+                </div>
+                <div className="p-3 bg-gray-700 rounded-xl space-y-3">
+                  <label className="block">
+                    <span className="text-white text-sm">{t('settings.provider')}</span>
+                    <select
+                      value={activeProvider.id}
+                      onChange={(e) => handleProviderChange(e.target.value)}
+                      className="mt-1 w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {Object.values(providers).map(provider => (
+                        <option key={provider.id} value={provider.id}>{provider.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="block">
+                    <span className="text-white text-sm">{t('settings.model')}</span>
+                    <input
+                      type="text"
+                      value={settings.model}
+                      onChange={(e) => handleSettingValue('model', e.target.value)}
+                      placeholder={activeProvider.defaultModel}
+                      className="mt-1 w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </label>
+                  {activeProvider.auth === 'apiKey' && (
+                    <label className="block">
+                      <span className="text-white text-sm">{t('settings.apiKey')}</span>
+                      <input
+                        type="password"
+                        value={settings.apiKey}
+                        onChange={(e) => handleSettingValue('apiKey', e.target.value)}
+                        placeholder={t('settings.apiKeyPlaceholder')}
+                        className="mt-1 w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <span className="block mt-1 text-xs text-gray-400">{t('settings.apiKeyHint')}</span>
+                    </label>
+                  )}
+                  <label className="block">
+                    <span className="text-white text-sm">{t('settings.contextBudget')}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1000"
+                      value={settings.contextBudget}
+                      onChange={(e) => handleSettingValue('contextBudget', Math.max(0, Number(e.target.value) || 0))}
+                      className="mt-1 w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <span className="block mt-1 text-xs text-gray-400">{t('settings.contextBudgetHint')}</span>
+                  </label>
+                  <label className="block">
+                    <span className="text-white text-sm">{t('settings.baseUrl')}</span>
+                    <input
+                      type="url"
+                      value={settings.baseUrl}
+                      onChange={(e) => handleSettingValue('baseUrl', e.target.value)}
+                      placeholder={activeProvider.defaultBaseUrl}
+                      className="mt-1 w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </label>
+                </div>
+                <AppearanceSettings settings={settings} onChange={handleSettingValue} t={t} />
+                <PersonaManager personas={personas} onChange={setPersonas} t={t} />
+                <TemplateManager templates={settings.promptTemplates} onChange={(templates) => handleSettingValue('promptTemplates', templates)} t={t} />
+                <VoiceSettings settings={settings} onChange={handleSettingValue} t={t} />
+                <FilterRuleEditor rules={settings.filterRules} onChange={(rules) => handleSettingValue('filterRules', rules)} t={t} />
               </div>
             </motion.div>
           </motion.div>
@@ -462,101 +1404,32 @@ Remember: You are RUGVED AI, not any other AI system.` }]
       </AnimatePresence>
     </div>
   );
+
+  // Animations follow the reduce motion setting, or the system when it's off
+  return <MotionConfig reducedMotion={settings.reduceMotion ? 'always' : 'user'}>{page}</MotionConfig>;
 }
 
 // --- Sub-components ---
-const MessageBubble = ({ message, formatText }) => {
-  const { text, sender, error } = message;
-  const isUser = sender === 'user';
-  const [copied, setCopied] = useState(false);
-
-  const handleCopy = () => {
-    if(text) {
-        navigator.clipboard.writeText(text);
-        setCopied(true);
-        setTimeout(() => setCopied(false), 2000);
-    }
-  };
-
-  const handleSpeak = () => {
-    if ('speechSynthesis' in window && text) {
-      const utterance = new SpeechSynthesisUtterance(text);
-      speechSynthesis.cancel();
-      speechSynthesis.speak(utterance);
-    }
-  };
+// Stands in for the messages above it when the conversation was compacted
+const ContextSummary = ({ message, t }) => {
+  const [expanded, setExpanded] = useState(false);
 
   return (
-    <motion.div
-      initial={{ opacity: 0, y: 20 }}
-      animate={{ opacity: 1, y: 0 }}
-      transition={{ duration: 0.3 }}
-      className={`flex items-start gap-3 ${isUser ? 'justify-end' : ''}`}
-    >
-      {!isUser && (
-        <img 
-          src="/rugved%20logo.png" 
-          alt="Rugved AI" 
-          className="w-8 h-8 rounded-xl object-cover flex-shrink-0"
-        />
+    <div className="mx-auto max-w-xl border border-dashed border-gray-600 rounded-xl text-sm text-gray-300">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center gap-2 px-3 py-2 text-left hover:bg-gray-800/60 rounded-xl"
+        aria-expanded={expanded}
+      >
+        <Layers size={16} className="flex-shrink-0 text-gray-400" />
+        <span className="flex-1">{t('chat.summary', { count: message.summarizedCount })}</span>
+        <ChevronDown size={16} className={`transition-transform ${expanded ? 'rotate-180' : ''}`} />
+      </button>
+      {expanded && (
+        <div className="px-3 pb-3">
+          <Markdown text={message.text} t={t} />
+        </div>
       )}
-      <div className={`max-w-xl p-3 rounded-xl ${
-        isUser 
-          ? 'bg-black border border-gray-600 text-white' 
-          : 'bg-gray-800 border border-gray-700 text-gray-100'
-      } ${error ? 'bg-red-900 border-red-600 text-red-200' : ''}`}>
-        <div 
-          className="whitespace-pre-wrap leading-relaxed"
-          dangerouslySetInnerHTML={{ __html: isUser ? text : formatText(text) }}
-        />
-        {!isUser && text && !error && (
-          <div className="flex items-center gap-2 mt-3 text-gray-400">
-            <button 
-              onClick={handleCopy} 
-              className="hover:text-white transition-colors p-1 rounded-lg hover:bg-gray-700"
-            >
-              {copied ? <Check size={16} className="text-green-400" /> : <Copy size={16} />}
-            </button>
-            <button 
-              onClick={handleSpeak} 
-              className="hover:text-white transition-colors p-1 rounded-lg hover:bg-gray-700"
-            >
-              <Volume2 size={16} />
-            </button>
-          </div>
-        )}
-      </div>
-    </motion.div>
+    </div>
   );
 };
-
-const TypingIndicator = () => (
-  <motion.div
-    initial={{ opacity: 0, y: 10 }}
-    animate={{ opacity: 1, y: 0 }}
-    className="flex items-center gap-3"
-  >
-    <img 
-      src="/rugved%20logo.png" 
-      alt="Rugved AI" 
-      className="w-8 h-8 rounded-xl object-cover flex-shrink-0"
-    />
-    <div className="flex items-center space-x-1 p-3 bg-gray-800 border border-gray-700 rounded-xl">
-      <motion.div
-        className="w-2 h-2 bg-gray-400 rounded-full"
-        animate={{ y: [0, -4, 0] }}
-        transition={{ duration: 0.8, repeat: Infinity, ease: "easeInOut" }}
-      />
-      <motion.div
-        className="w-2 h-2 bg-gray-400 rounded-full"
-        animate={{ y: [0, -4, 0] }}
-        transition={{ duration: 0.8, repeat: Infinity, ease: "easeInOut", delay: 0.2 }}
-      />
-      <motion.div
-        className="w-2 h-2 bg-gray-400 rounded-full"
-        animate={{ y: [0, -4, 0] }}
-        transition={{ duration: 0.8, repeat: Infinity, ease: "easeInOut", delay: 0.4 }}
-      />
-    </div>
-  </motion.div>
-);
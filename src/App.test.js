@@ -1,8 +1,746 @@
-import { render, screen } from '@testing-library/react';
+import { act, render, screen, fireEvent, waitFor } from '@testing-library/react';
 import App from './App';
+import { ChatError, createMockProvider } from './lib/providers';
+import { createMemoryStore } from './lib/stores';
 
-test('renders learn react link', () => {
+afterEach(() => {
+  localStorage.clear();
+  delete window.SpeechRecognition;
+  delete window.speechSynthesis;
+  delete global.SpeechSynthesisUtterance;
+});
+
+// Stands in for the Web Speech API; say() delivers a recognition result
+class FakeRecognition {
+  static latest = null;
+
+  constructor() {
+    this.started = false;
+    FakeRecognition.latest = this;
+  }
+
+  start() {
+    if (this.started) throw new Error('Already started');
+    this.started = true;
+  }
+
+  stop() {
+    this.started = false;
+    this.onend?.();
+  }
+
+  abort() {
+    this.stop();
+  }
+
+  say(results) {
+    act(() => {
+      this.onresult({ results: results.map(([transcript, isFinal]) => Object.assign([{ transcript }], { isFinal })) });
+    });
+  }
+}
+
+// Streams "Half a " and holds the rest of the reply until finish() is called
+const createPausedProvider = () => {
+  let finish;
+  return {
+    ...createMockProvider(),
+    finish: () => finish(),
+    streamChat: async (request) => {
+      request.onDelta('Half a ');
+      await new Promise(resolve => { finish = resolve; });
+      request.onDelta('reply.');
+      return { toolCalls: [] };
+    },
+  };
+};
+
+test('renders the welcome screen', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  const welcomeText = await screen.findByText(/your advanced ai assistant for defense technology/i);
+  expect(welcomeText).toBeInTheDocument();
+});
+
+test('restores a saved conversation from the sidebar', async () => {
+  const store = createMemoryStore([{
+    id: 'conv-1',
+    title: 'Battery sizing',
+    createdAt: 1,
+    updatedAt: 1,
+    messages: [{ id: 1, sender: 'user', text: 'What battery for a 24V rover?' }],
+  }]);
+  render(<App store={store} />);
+
+  fireEvent.click(await screen.findByText('Battery sizing'));
+
+  expect(screen.getByText('What battery for a 24V rover?')).toBeInTheDocument();
+});
+
+test('searches every conversation with Ctrl+K and jumps to the match', async () => {
+  const scrollTo = jest.spyOn(Element.prototype, 'scrollTo');
+  const store = createMemoryStore([
+    {
+      id: 'conv-1',
+      title: 'Battery sizing',
+      createdAt: 1,
+      updatedAt: 1,
+      messages: [
+        { id: 1, sender: 'user', text: 'What battery for a 24V rover?' },
+        { id: 2, sender: 'ai', text: 'A 20Ah LiFePO4 pack gives about two hours.' },
+      ],
+    },
+    {
+      id: 'conv-2',
+      title: 'Lidar',
+      createdAt: 2,
+      updatedAt: 2,
+      messages: [{ id: 3, sender: 'user', text: 'Which lidar is cheapest?' }],
+    },
+  ]);
+  render(<App store={store} />);
+  await screen.findByText('Battery sizing');
+
+  fireEvent.keyDown(window, { key: 'k', ctrlKey: true });
+  fireEvent.change(screen.getByPlaceholderText('Search all conversations'), { target: { value: 'lifepo4' } });
+  expect(screen.getByText('1 match')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('LiFePO4', { selector: 'mark' }));
+
+  await waitFor(() => expect(screen.queryByPlaceholderText('Search all conversations')).toBeNull());
+  expect(screen.getByText('A 20Ah LiFePO4 pack gives about two hours.')).toBeInTheDocument();
+  expect(scrollTo).toHaveBeenCalled();
+  scrollTo.mockRestore();
+});
+
+test('keeps a streaming reply in the conversation that asked for it', async () => {
+  const provider = createPausedProvider();
+  const store = createMemoryStore([{
+    id: 'conv-1',
+    title: 'Lidar',
+    createdAt: 1,
+    updatedAt: 1,
+    messages: [{ id: 1, sender: 'user', text: 'Which lidar is cheapest?' }],
+  }]);
+  render(<App store={store} providers={{ mock: provider }} />);
+  await screen.findByText('Lidar');
+
+  const composer = screen.getByPlaceholderText('Type your message...');
+  fireEvent.change(composer, { target: { value: 'Tune the PID' } });
+  fireEvent.keyDown(composer, { key: 'Enter' });
+  expect(await screen.findByText('Half a')).toBeInTheDocument();
+
+  fireEvent.keyDown(window, { key: 'k', ctrlKey: true });
+  fireEvent.change(screen.getByPlaceholderText('Search all conversations'), { target: { value: 'lidar' } });
+  fireEvent.click(screen.getByText('lidar', { selector: 'mark' }));
+  expect(screen.getByPlaceholderText('Search all conversations')).toBeInTheDocument();
+  expect(screen.queryByText('Which lidar is cheapest?')).toBeNull();
+
+  await act(async () => provider.finish());
+  expect(await screen.findByText('Half a reply.')).toBeInTheDocument();
+  await waitFor(async () => {
+    const saved = (await store.list()).find(conv => conv.id !== 'conv-1');
+    expect(saved.messages.map(message => message.text)).toEqual(['Tune the PID', 'Half a reply.']);
+  });
+  expect((await store.list()).find(conv => conv.id === 'conv-1').messages).toHaveLength(1);
+});
+
+test('renders user text as plain text', async () => {
+  const store = createMemoryStore([{
+    id: 'conv-2',
+    title: 'Injection',
+    createdAt: 1,
+    updatedAt: 1,
+    messages: [{ id: 1, sender: 'user', text: '<img src=x onerror="window.pwned = true">' }],
+  }]);
+  render(<App store={store} />);
+
+  fireEvent.click(await screen.findByText('Injection'));
+
+  expect(screen.getByText('<img src=x onerror="window.pwned = true">')).toBeInTheDocument();
+  expect(screen.getAllByRole('img').every(img => img.getAttribute('src') !== 'x')).toBe(true);
+  expect(window.pwned).toBeUndefined();
+});
+
+test('streams a reply from the selected provider and saves the conversation', async () => {
+  const provider = createMockProvider([['Use a ', 'PID loop.']]);
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+
+  fireEvent.change(screen.getByPlaceholderText('Type your message...'), { target: { value: 'How do I hold speed?' } });
+  fireEvent.keyDown(screen.getByPlaceholderText('Type your message...'), { key: 'Enter' });
+
+  expect(await screen.findByText('Use a PID loop.')).toBeInTheDocument();
+  expect(provider.calls[0].messages).toEqual([{ role: 'user', text: 'How do I hold speed?' }]);
+  expect(provider.calls[0].systemPrompt).toMatch(/You are RUGVED AI/);
+  expect(await screen.findByRole('button', { name: 'How do I hold speed?' })).toBeInTheDocument();
+});
+
+test('grounds replies on knowledge base documents and cites them', async () => {
+  const provider = createMockProvider(['At most 25 kg [1].']);
+  const knowledgeStore = createMemoryStore();
+  render(<App store={createMemoryStore()} knowledgeStore={knowledgeStore} providers={{ mock: provider }} />);
+
+  fireEvent.click(screen.getByTitle('Knowledge base'));
+  const rules = new File(['# Weight limits\n\nRobots may weigh at most 25 kg including batteries.'], 'rules.md', { type: 'text/markdown' });
+  fireEvent.change(screen.getByTestId('knowledge-upload'), { target: { files: [rules] } });
+  expect(await screen.findByText(/1 passage/)).toBeInTheDocument();
+  expect(await knowledgeStore.list()).toHaveLength(1);
+  fireEvent.click(screen.getByTitle('Close knowledge base'));
+
+  fireEvent.change(screen.getByPlaceholderText('Type your message...'), { target: { value: 'What is the robot weight limit?' } });
+  fireEvent.keyDown(screen.getByPlaceholderText('Type your message...'), { key: 'Enter' });
+
+  expect(await screen.findByText('At most 25 kg [1].')).toBeInTheDocument();
+  expect(provider.calls[0].systemPrompt).toContain('[1] rules.md > Weight limits\nRobots may weigh at most 25 kg');
+  fireEvent.click(screen.getByRole('button', { name: '[1] rules.md › Weight limits' }));
+  expect(screen.getByText('Robots may weigh at most 25 kg including batteries.')).toBeInTheDocument();
+});
+
+test('leaves out knowledge base documents that could not be stored', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const knowledgeStore = { ...createMemoryStore(), put: async () => { throw new Error('Quota exceeded'); } };
+  render(<App store={createMemoryStore()} knowledgeStore={knowledgeStore} providers={{ mock: createMockProvider() }} />);
+
+  fireEvent.click(screen.getByTitle('Knowledge base'));
+  const rules = new File(['# Weight limits\n\nRobots may weigh at most 25 kg.'], 'rules.md', { type: 'text/markdown' });
+  fireEvent.change(screen.getByTestId('knowledge-upload'), { target: { files: [rules] } });
+
+  expect(await screen.findByText('Could not add rules.md.')).toBeInTheDocument();
+  expect(screen.queryByText(/1 passage/)).toBeNull();
+  console.error.mockRestore();
+});
+
+test('runs tool calls locally and shows them as cards', async () => {
+  const provider = createMockProvider([
+    { toolCalls: [{ name: 'ohms_law', args: { voltage: 12, current: 2 } }] },
+    'The resistor is 6 Ω.',
+  ]);
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+
+  fireEvent.change(screen.getByPlaceholderText('Type your message...'), { target: { value: 'What resistor drops 12 V at 2 A?' } });
+  fireEvent.keyDown(screen.getByPlaceholderText('Type your message...'), { key: 'Enter' });
+
+  expect(await screen.findByText('The resistor is 6 Ω.')).toBeInTheDocument();
+  expect(provider.calls[0].tools.map(tool => tool.name)).toContain('ohms_law');
+  expect(provider.calls[1].messages.slice(1)).toEqual([
+    { role: 'assistant', text: '', toolCalls: [{ name: 'ohms_law', args: { voltage: 12, current: 2 } }] },
+    { role: 'tool', toolResults: [{ name: 'ohms_law', result: { voltage_v: 12, current_a: 2, resistance_ohm: 6, power_w: 24 } }] },
+  ]);
+
+  fireEvent.click(screen.getByRole('button', { name: /ohms_law/ }));
+  expect(screen.getByText(/"resistance_ohm": 6/)).toBeInTheDocument();
+});
+
+test('asks for a text answer once the tool rounds run out', async () => {
+  const toolReply = { toolCalls: [{ name: 'ohms_law', args: { voltage: 12, current: 2 } }] };
+  const provider = createMockProvider([...Array(5).fill(toolReply), 'The resistor is 6 Ω.']);
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+
+  fireEvent.change(await screen.findByPlaceholderText('Type your message...'), { target: { value: 'What resistor drops 12 V at 2 A?' } });
+  fireEvent.keyDown(screen.getByPlaceholderText('Type your message...'), { key: 'Enter' });
+
+  expect(await screen.findByText('The resistor is 6 Ω.')).toBeInTheDocument();
+  expect(provider.calls).toHaveLength(6);
+  expect(provider.calls[4].tools).toBeDefined();
+  expect(provider.calls[5].tools).toBeUndefined();
+});
+
+test('runs slash commands and fills prompt templates from the composer', async () => {
+  render(<App store={createMemoryStore()} providers={{ mock: createMockProvider() }} />);
+  const composer = await screen.findByPlaceholderText('Type your message...');
+
+  fireEvent.change(composer, { target: { value: '/rev' } });
+  expect(screen.getByRole('listbox', { name: 'Commands' })).toHaveTextContent('/review-code{language}');
+  fireEvent.keyDown(composer, { key: 'Enter' });
+  fireEvent.change(screen.getByRole('textbox', { name: 'language' }), { target: { value: 'C++' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Run' }));
+  expect(composer.value).toMatch(/^Review the following C\+\+ code for bugs/);
+
+  fireEvent.change(composer, { target: { value: '/persona embedded c reviewer' } });
+  fireEvent.keyDown(composer, { key: 'Enter' });
+  expect(screen.getByTitle('Persona')).toHaveValue('embedded-c-reviewer');
+  expect(composer.value).toBe('');
+
+  fireEvent.change(composer, { target: { value: '/export' } });
+  fireEvent.keyDown(composer, { key: 'Enter' });
+  fireEvent.click(screen.getByRole('button', { name: 'Run' }));
+  expect(screen.getByText('There is nothing to export yet.')).toBeInTheDocument();
+});
+
+test('asks before running destructive commands picked from the palette', async () => {
+  render(<App store={createMemoryStore()} providers={{ mock: createMockProvider(['Noted.']) }} />);
+  const composer = await screen.findByPlaceholderText('Type your message...');
+  fireEvent.change(composer, { target: { value: 'Log this' } });
+  fireEvent.keyDown(composer, { key: 'Enter' });
+  expect(await screen.findByText('Noted.')).toBeInTheDocument();
+
+  fireEvent.change(composer, { target: { value: '/' } });
+  fireEvent.keyDown(composer, { key: 'Enter' });
+  expect(composer).toHaveValue('/');
+
+  fireEvent.change(composer, { target: { value: '/cl' } });
+  fireEvent.keyDown(composer, { key: 'Enter' });
+  expect(composer).toHaveValue('/clear ');
+  expect(screen.getByText('Noted.')).toBeInTheDocument();
+
+  fireEvent.keyDown(composer, { key: 'Enter' });
+  await waitFor(() => expect(screen.queryByText('Noted.')).toBeNull());
+});
+
+test('refuses commands that change the conversation while a reply streams', async () => {
+  const provider = createPausedProvider();
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+  const composer = await screen.findByPlaceholderText('Type your message...');
+  fireEvent.change(composer, { target: { value: 'Tune the PID' } });
+  fireEvent.keyDown(composer, { key: 'Enter' });
+  expect(await screen.findByText('Half a')).toBeInTheDocument();
+
+  fireEvent.change(composer, { target: { value: '/new' } });
+  fireEvent.keyDown(composer, { key: 'Enter' });
+  expect(screen.getByText('Wait for the reply to finish, or stop it, before running /new.')).toBeInTheDocument();
+  fireEvent.change(composer, { target: { value: '/persona embedded c reviewer' } });
+  fireEvent.keyDown(composer, { key: 'Enter' });
+  expect(screen.getByTitle('Persona')).not.toHaveValue('embedded-c-reviewer');
+
+  await act(async () => provider.finish());
+  expect(await screen.findByText('Half a reply.')).toBeInTheDocument();
+  expect(screen.getByText('Tune the PID', { selector: '.whitespace-pre-wrap' })).toBeInTheDocument();
+});
+
+test('asks for an access token and checks it with the proxy', async () => {
+  global.fetch = jest.fn(async () => ({ ok: false, status: 401 }));
+  render(<App store={createMemoryStore()} />);
+
+  fireEvent.change(screen.getByPlaceholderText('Enter your access token'), { target: { value: 'rgv_bad' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+
+  expect(await screen.findByText('That access token was not accepted.')).toBeInTheDocument();
+  expect(global.fetch).toHaveBeenCalledWith('/api/session', { headers: expect.objectContaining({ Authorization: 'Bearer rgv_bad' }) });
+  delete global.fetch;
+});
+
+test('closes the login modal with Escape and reopens it from the header', async () => {
+  render(<App store={createMemoryStore()} />);
+  await screen.findByRole('dialog', { name: 'Welcome to Rugved AI' });
+
+  expect(screen.getByPlaceholderText('Enter your access token')).toHaveFocus();
+  fireEvent.keyDown(screen.getByPlaceholderText('Enter your access token'), { key: 'Escape' });
+  await waitFor(() => expect(screen.queryByRole('dialog', { name: 'Welcome to Rugved AI' })).toBeNull());
+
+  fireEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+  expect(screen.getByRole('dialog', { name: 'Welcome to Rugved AI' })).toBeInTheDocument();
+});
+
+test('switches theme and text size, and closes settings with Escape', async () => {
+  render(<App store={createMemoryStore()} providers={{ mock: createMockProvider() }} />);
+  await screen.findByPlaceholderText('Type your message...');
+  const root = document.documentElement;
+  expect(root.dataset.theme).toBe('dark');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Switch to light theme' }));
+  expect(root.dataset.theme).toBe('light');
+  expect(JSON.parse(localStorage.getItem('rugved_settings')).theme).toBe('light');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Settings' }));
+  const dialog = screen.getByRole('dialog', { name: 'Settings' });
+  fireEvent.change(screen.getByLabelText('Text size'), { target: { value: 'large' } });
+  fireEvent.click(screen.getByLabelText('High contrast'));
+  expect(root.style.fontSize).toBe('112.5%');
+  expect(root.dataset.contrast).toBe('high');
+
+  fireEvent.keyDown(dialog, { key: 'Escape' });
+  await waitFor(() => expect(screen.queryByRole('dialog', { name: 'Settings' })).toBeNull());
+});
+
+test('switches the interface, replies and voice input to Hindi', async () => {
+  window.SpeechRecognition = FakeRecognition;
+  const provider = createMockProvider(['नमस्ते!']);
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Settings' }));
+  fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'hi' } });
+
+  expect(screen.getByRole('dialog', { name: 'सेटिंग्स' })).toBeInTheDocument();
+  expect(document.documentElement.lang).toBe('hi-IN');
+  expect(FakeRecognition.latest.lang).toBe('hi-IN');
+  expect(JSON.parse(localStorage.getItem('rugved_settings'))).toMatchObject({ language: 'hi', speechLang: 'hi-IN' });
+
+  fireEvent.click(screen.getByRole('button', { name: 'सेटिंग्स बंद करें' }));
+  fireEvent.change(screen.getByPlaceholderText('अपना संदेश लिखें...'), { target: { value: 'Hello' } });
+  fireEvent.click(screen.getByRole('button', { name: 'संदेश भेजें' }));
+
+  expect(await screen.findByText('नमस्ते!')).toBeInTheDocument();
+  expect(provider.calls[0].systemPrompt).toMatch(/Reply in Hindi/);
+});
+
+test('announces finished replies to screen readers', async () => {
+  render(<App store={createMemoryStore()} providers={{ mock: createMockProvider(['Torque is force times radius.']) }} />);
+
+  fireEvent.change(await screen.findByPlaceholderText('Type your message...'), { target: { value: 'Torque?' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send message' }));
+
+  expect(await screen.findByText('RUGVED AI: Torque is force times radius.')).toHaveAttribute('aria-live', 'polite');
+});
+
+test('queues messages sent offline and delivers them when the connection returns', async () => {
+  const onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+  const provider = createMockProvider(['Four cells in series.']);
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+  expect(await screen.findByText(/You're offline/)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByPlaceholderText('Type your message...'), { target: { value: 'Cell count for 14.8 V?' } });
+  fireEvent.keyDown(screen.getByPlaceholderText('Type your message...'), { key: 'Enter' });
+
+  expect(screen.getByText('Queued')).toBeInTheDocument();
+  expect(screen.getByText(/1 message will be sent when the connection returns/)).toBeInTheDocument();
+  expect(provider.calls).toHaveLength(0);
+
+  onLine.mockReturnValue(true);
+  act(() => {
+    window.dispatchEvent(new Event('online'));
+  });
+
+  expect(await screen.findByText('Four cells in series.')).toBeInTheDocument();
+  expect(provider.calls[0].messages).toEqual([{ role: 'user', text: 'Cell count for 14.8 V?' }]);
+  expect(screen.queryByText('Queued')).toBeNull();
+  onLine.mockRestore();
+});
+
+test('queues a message whose send fails on a patchy connection', async () => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const provider = createMockProvider([new TypeError('Failed to fetch'), 'Four cells in series.']);
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+
+  fireEvent.change(await screen.findByPlaceholderText('Type your message...'), { target: { value: 'Cell count for 14.8 V?' } });
+  fireEvent.keyDown(screen.getByPlaceholderText('Type your message...'), { key: 'Enter' });
+
+  expect(await screen.findByText('Queued')).toBeInTheDocument();
+  expect(screen.getByText(/Could not reach the server/)).toBeInTheDocument();
+  expect(screen.queryByText(/Could not reach Mock/)).toBeNull();
+
+  act(() => {
+    jest.advanceTimersByTime(30 * 1000);
+  });
+
+  expect(await screen.findByText('Four cells in series.')).toBeInTheDocument();
+  expect(provider.calls[1].messages).toEqual([{ role: 'user', text: 'Cell count for 14.8 V?' }]);
+  expect(screen.queryByText('Queued')).toBeNull();
+  jest.useRealTimers();
+});
+
+test('delivers messages queued in other conversations when the connection returns', async () => {
+  const onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+  const store = createMemoryStore();
+  await store.put({
+    id: 'conv-battery',
+    title: 'Battery',
+    messages: [{ id: 1, sender: 'user', text: 'Cell count for 14.8 V?', queued: true, createdAt: 1 }],
+    createdAt: 1,
+    updatedAt: 1,
+  });
+  const provider = createMockProvider(['Four cells in series.']);
+  render(<App store={store} providers={{ mock: provider }} />);
+  expect(await screen.findByText(/You're offline/)).toBeInTheDocument();
+
+  onLine.mockReturnValue(true);
+  act(() => {
+    window.dispatchEvent(new Event('online'));
+  });
+
+  await waitFor(() => expect(provider.calls).toHaveLength(1));
+  await waitFor(async () => {
+    const [saved] = await store.list();
+    expect(saved.messages.map(msg => [msg.text, Boolean(msg.queued)])).toEqual([
+      ['Cell count for 14.8 V?', false],
+      ['Four cells in series.', false],
+    ]);
+  });
+  onLine.mockRestore();
+});
+
+test('rates a reply with a category and comment and reviews it', async () => {
+  const feedbackStore = createMemoryStore();
+  render(<App store={createMemoryStore()} feedbackStore={feedbackStore} providers={{ mock: createMockProvider(['Use 10 AWG.']) }} />);
+
+  fireEvent.change(await screen.findByPlaceholderText('Type your message...'), { target: { value: 'Wire gauge for 40 A?' } });
+  fireEvent.keyDown(screen.getByPlaceholderText('Type your message...'), { key: 'Enter' });
+  const badReply = await screen.findByRole('button', { name: 'Bad reply' });
+  // Switching persona afterwards doesn't change who wrote the reply
+  fireEvent.change(screen.getByTitle('Persona'), { target: { value: 'embedded-c-reviewer' } });
+  fireEvent.click(badReply);
+  fireEvent.click(screen.getByLabelText('Incorrect'));
+  fireEvent.change(screen.getByLabelText('Feedback comment'), { target: { value: '8 AWG for a long run' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save feedback' }));
+
+  expect(screen.getByRole('button', { name: 'Bad reply' })).toHaveAttribute('aria-pressed', 'true');
+  const [record] = await feedbackStore.list();
+  expect(record).toMatchObject({
+    rating: 'down',
+    category: 'incorrect',
+    comment: '8 AWG for a long run',
+    prompt: 'Wire gauge for 40 A?',
+    reply: 'Use 10 AWG.',
+    persona: { id: 'rugved-general', name: 'RUGVED general' },
+    model: { provider: 'mock', name: 'mock' },
+  });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Feedback review' }));
+  const review = screen.getByRole('dialog', { name: 'Feedback review' });
+  expect(review).toHaveTextContent('1 rated reply · 0 helpful · 1 not helpful');
+  expect(review).toHaveTextContent('“8 AWG for a long run”');
+  fireEvent.change(screen.getByLabelText('Rating'), { target: { value: 'up' } });
+  expect(review).toHaveTextContent('No feedback with this rating.');
+});
+
+test('sends the persona selected for the conversation', async () => {
+  const provider = createMockProvider(['Looks fine.']);
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+
+  fireEvent.change(screen.getByTitle('Persona'), { target: { value: 'embedded-c-reviewer' } });
+  fireEvent.change(screen.getByPlaceholderText('Type your message...'), { target: { value: 'Review my ISR' } });
+  fireEvent.keyDown(screen.getByPlaceholderText('Type your message...'), { key: 'Enter' });
+
+  expect(await screen.findByText('Looks fine.')).toBeInTheDocument();
+  expect(provider.calls[0].systemPrompt).toMatch(/reviewing embedded C/);
+});
+
+test('shows the raw reply next to the filtered one', async () => {
+  const provider = createMockProvider(['Powered by Gemini.']);
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+
+  fireEvent.change(screen.getByPlaceholderText('Type your message...'), { target: { value: 'Who made you?' } });
+  fireEvent.keyDown(screen.getByPlaceholderText('Type your message...'), { key: 'Enter' });
+
+  expect(await screen.findByText('Powered by RUGVED AI.')).toBeInTheDocument();
+  fireEvent.click(screen.getByTitle('Show raw reply'));
+  expect(screen.getByText('Powered by Gemini.')).toBeInTheDocument();
+});
+
+test('attaches files to the next message', async () => {
+  const provider = createMockProvider(['Pin 3 is floating.']);
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+
+  const file = new File(['GND VCC D3'], 'pinout.txt', { type: 'text/plain' });
+  fireEvent.change(screen.getByTestId('attachment-input'), { target: { files: [file] } });
+  expect(await screen.findByTitle('Remove pinout.txt')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByTitle('Send message'));
+
+  expect(await screen.findByText('Pin 3 is floating.')).toBeInTheDocument();
+  expect(provider.calls[0].messages[0].attachments[0]).toMatchObject({ name: 'pinout.txt', kind: 'text' });
+  expect(screen.queryByTitle('Remove pinout.txt')).toBeNull();
+});
+
+test('imports a JSON export as a new conversation', async () => {
+  render(<App store={createMemoryStore()} providers={{ mock: createMockProvider([]) }} />);
+
+  const exported = JSON.stringify({
+    format: 'rugved-ai-conversation',
+    version: 1,
+    conversation: {
+      title: 'Lab notebook',
+      persona: { id: 'competition-rules-expert', name: 'Competition rules expert' },
+      messages: [
+        { id: 1, sender: 'user', text: 'Max rover mass?', createdAt: 1 },
+        { id: 2, sender: 'ai', text: 'Fifty kilograms.', createdAt: 2 },
+      ],
+    },
+  });
+  const file = { name: 'lab-notebook.json', text: async () => exported };
+  fireEvent.change(screen.getByTestId('conversation-import'), { target: { files: [file] } });
+
+  expect(await screen.findByText('Fifty kilograms.')).toBeInTheDocument();
+  expect(screen.getByTitle('Persona')).toHaveValue('competition-rules-expert');
+  expect(await screen.findByRole('button', { name: 'Lab notebook' })).toBeInTheDocument();
+});
+
+test('regenerates a reply and keeps both versions as branches', async () => {
+  const provider = createMockProvider(['Use a BNO055.', 'Use an MPU-6050.']);
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+
+  fireEvent.change(screen.getByPlaceholderText('Type your message...'), { target: { value: 'Which IMU?' } });
+  fireEvent.keyDown(screen.getByPlaceholderText('Type your message...'), { key: 'Enter' });
+  expect(await screen.findByText('Use a BNO055.')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByTitle('Regenerate reply'));
+
+  expect(await screen.findByText('Use an MPU-6050.')).toBeInTheDocument();
+  expect(screen.queryByText('Use a BNO055.')).toBeNull();
+  expect(provider.calls[1].messages).toEqual([{ role: 'user', text: 'Which IMU?' }]);
+  expect(screen.getByText('2/2')).toBeInTheDocument();
+
+  fireEvent.click(await screen.findByTitle('Previous version'));
+  expect(screen.getByText('Use a BNO055.')).toBeInTheDocument();
+  expect(screen.getByText('1/2')).toBeInTheDocument();
+});
+
+test('edits a user message and sends the history of the new branch', async () => {
+  const provider = createMockProvider(['Use I2C.', 'Sure.', 'Use UART.']);
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+
+  const send = async (text, reply) => {
+    fireEvent.change(screen.getByPlaceholderText('Type your message...'), { target: { value: text } });
+    fireEvent.keyDown(screen.getByPlaceholderText('Type your message...'), { key: 'Enter' });
+    expect(await screen.findByText(reply)).toBeInTheDocument();
+  };
+  await send('How do I wire the IMU?', 'Use I2C.');
+  await send('Thanks', 'Sure.');
+
+  fireEvent.click(screen.getAllByTitle('Edit message')[0]);
+  fireEvent.change(screen.getByLabelText('Edit message'), { target: { value: 'How do I wire the GPS?' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save & send' }));
+
+  expect(await screen.findByText('Use UART.')).toBeInTheDocument();
+  expect(screen.queryByText('Thanks')).toBeNull();
+  expect(provider.calls[2].messages).toEqual([{ role: 'user', text: 'How do I wire the GPS?' }]);
+  expect(screen.getByText('2/2')).toBeInTheDocument();
+});
+
+test('retries a failed reply without retyping the message', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const provider = createMockProvider([new ChatError('timeout', 'No reply within the time limit'), 'Back again.']);
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+
+  fireEvent.change(screen.getByPlaceholderText('Type your message...'), { target: { value: 'Battery voltage?' } });
+  fireEvent.keyDown(screen.getByPlaceholderText('Type your message...'), { key: 'Enter' });
+
+  expect(await screen.findByText(/Mock took too long/)).toBeInTheDocument();
+  fireEvent.click(screen.getByTitle('Retry'));
+
+  expect(await screen.findByText('Back again.')).toBeInTheDocument();
+  expect(screen.queryByText(/Mock took too long/)).toBeNull();
+  expect(provider.calls[1].messages).toEqual([{ role: 'user', text: 'Battery voltage?' }]);
+});
+
+test('backs off and retries automatically when rate limited', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const provider = createMockProvider([new ChatError('rateLimit', 'Slow down', { retryAfter: 0.5 }), 'Done waiting.']);
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+
+  fireEvent.change(screen.getByPlaceholderText('Type your message...'), { target: { value: 'Hello' } });
+  fireEvent.keyDown(screen.getByPlaceholderText('Type your message...'), { key: 'Enter' });
+
+  expect(await screen.findByText('Retrying automatically in 1s…')).toBeInTheDocument();
+  expect(await screen.findByText('Done waiting.')).toBeInTheDocument();
+  await waitFor(() => expect(screen.queryByText(/rate limiting/)).toBeNull());
+});
+
+test('summarises older turns when the context budget is exceeded', async () => {
+  localStorage.setItem('rugved_settings', JSON.stringify({ contextBudget: 1500 }));
+  const store = createMemoryStore([{
+    id: 'conv-3',
+    title: 'Rover build',
+    createdAt: 1,
+    updatedAt: 1,
+    messages: [
+      { id: 1, sender: 'user', text: 'Motors? '.repeat(250) },
+      { id: 2, sender: 'ai', text: 'Use BLDC. '.repeat(200) },
+      { id: 3, sender: 'user', text: 'Battery? '.repeat(220) },
+      { id: 4, sender: 'ai', text: 'Use 6S LiPo. '.repeat(150) },
+    ],
+  }]);
+  const provider = createMockProvider(['The user picked BLDC motors and a 6S pack.', 'Use 12 AWG wire.']);
+  render(<App store={store} providers={{ mock: provider }} />);
+
+  fireEvent.click(await screen.findByText('Rover build'));
+  fireEvent.change(screen.getByPlaceholderText('Type your message...'), { target: { value: 'Wire gauge?' } });
+  fireEvent.keyDown(screen.getByPlaceholderText('Type your message...'), { key: 'Enter' });
+
+  expect(await screen.findByText('Use 12 AWG wire.')).toBeInTheDocument();
+  expect(provider.calls[0].systemPrompt).toMatch(/You compress chat transcripts/);
+  expect(provider.calls[1].messages).toEqual([{ role: 'user', text: 'Wire gauge?' }]);
+  expect(provider.calls[1].systemPrompt).toMatch(/Summary of the earlier conversation:\nThe user picked BLDC motors/);
+
+  fireEvent.click(screen.getByRole('button', { name: /Earlier messages summarised \(4 messages\)/ }));
+  expect(screen.getByText('The user picked BLDC motors and a 6S pack.')).toBeInTheDocument();
+});
+
+test('shows interim dictation live in the composer', async () => {
+  window.SpeechRecognition = FakeRecognition;
+  const provider = createMockProvider([]);
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+
+  fireEvent.change(screen.getByPlaceholderText('Type your message...'), { target: { value: 'Note:' } });
+  fireEvent.click(screen.getByTitle('Dictate'));
+  FakeRecognition.latest.say([['check the', false]]);
+  expect(screen.getByPlaceholderText('Type your message...')).toHaveValue('Note: check the');
+
+  FakeRecognition.latest.say([['check the servo', true]]);
+  expect(screen.getByPlaceholderText('Type your message...')).toHaveValue('Note: check the servo');
+  expect(provider.calls).toHaveLength(0);
+});
+
+test('hands-free mode sends after a pause, speaks the reply and listens again', async () => {
+  window.SpeechRecognition = FakeRecognition;
+  global.SpeechSynthesisUtterance = function SpeechSynthesisUtterance(text) {
+    this.text = text;
+  };
+  window.speechSynthesis = {
+    speak: jest.fn(),
+    cancel: jest.fn(),
+    pause: jest.fn(),
+    resume: jest.fn(),
+    getVoices: () => [],
+    addEventListener: () => {},
+    removeEventListener: () => {},
+  };
+  const provider = createMockProvider(['Pulse width modulation.']);
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+
+  fireEvent.click(screen.getByTitle('Hands-free voice mode'));
+  expect(FakeRecognition.latest.started).toBe(true);
+  FakeRecognition.latest.say([['what is PWM', true]]);
+
+  expect(await screen.findByText('Pulse width modulation.', { selector: 'p' }, { timeout: 3000 })).toBeInTheDocument();
+  expect(provider.calls[0].messages).toEqual([{ role: 'user', text: 'what is PWM' }]);
+  expect(window.speechSynthesis.speak.mock.calls[0][0].text).toBe('Pulse width modulation.');
+  await waitFor(() => expect(FakeRecognition.latest.started).toBe(true));
+
+  // Talking over the reply cuts it off
+  expect(screen.getByTitle('Stop reading')).toBeInTheDocument();
+  window.speechSynthesis.cancel.mockClear();
+  FakeRecognition.latest.say([['stop', false]]);
+  expect(window.speechSynthesis.cancel).toHaveBeenCalled();
+  expect(screen.queryByTitle('Stop reading')).toBeNull();
+});
+
+test('reads a reply sentence by sentence with playback controls', async () => {
+  const spoken = [];
+  global.SpeechSynthesisUtterance = function SpeechSynthesisUtterance(text) {
+    this.text = text;
+  };
+  window.speechSynthesis = {
+    speak: jest.fn(utterance => spoken.push(utterance)),
+    cancel: jest.fn(),
+    pause: jest.fn(),
+    resume: jest.fn(),
+    getVoices: () => [],
+    addEventListener: () => {},
+    removeEventListener: () => {},
+  };
+  localStorage.setItem('rugved_settings', JSON.stringify({ voiceOutput: false }));
+  const provider = createMockProvider(['Check the fuse. Then the relay.\n\n```c\nrelay_on();\n```']);
+  render(<App store={createMemoryStore()} providers={{ mock: provider }} />);
+
+  fireEvent.change(screen.getByPlaceholderText('Type your message...'), { target: { value: 'No power?' } });
+  fireEvent.keyDown(screen.getByPlaceholderText('Type your message...'), { key: 'Enter' });
+  await screen.findByText('Check the fuse. Then the relay.');
+  expect(spoken).toHaveLength(0);
+
+  fireEvent.click(screen.getByTitle('Read aloud'));
+  expect(screen.getByText('Check the fuse.', { selector: 'mark' })).toBeInTheDocument();
+  expect(screen.getByText('1/3')).toBeInTheDocument();
+
+  act(() => spoken[0].onend());
+  expect(screen.getByText('Then the relay.', { selector: 'mark' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByTitle('Pause reading'));
+  expect(window.speechSynthesis.pause).toHaveBeenCalled();
+  fireEvent.click(screen.getByTitle('Resume reading'));
+
+  fireEvent.click(screen.getByTitle('Skip sentence'));
+  expect(screen.getByText('Code block in c skipped.', { selector: 'mark' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByTitle('Stop reading'));
+  expect(screen.queryByTitle('Stop reading')).toBeNull();
+  expect(spoken.map(utterance => utterance.text)).toEqual(['Check the fuse.', 'Then the relay.', 'Code block in c skipped.']);
 });
@@ -0,0 +1,56 @@
+import React from 'react';
+import { FONT_SIZES, THEMES } from '../lib/theme';
+
+const Toggle = ({ label, description, checked, onChange }) => (
+  <div className="flex items-center justify-between gap-3">
+    <div>
+      <span className="text-white text-sm">{label}</span>
+      <p className="text-xs text-gray-400">{description}</p>
+    </div>
+    <label className="relative inline-flex items-center cursor-pointer flex-shrink-0">
+      <input type="checkbox" checked={checked} onChange={onChange} className="sr-only peer" aria-label={label} />
+      <div className="w-11 h-6 bg-gray-600 peer-focus-visible:ring-2 peer-focus-visible:ring-blue-500 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+    </label>
+  </div>
+);
+
+// --- Settings section for theme, contrast, text size and motion ---
+export default function AppearanceSettings({ settings, onChange, t }) {
+  const inputClass = 'mt-1 w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="p-3 bg-gray-700 rounded-xl space-y-3">
+      <span className="text-white">{t('appearance.title')}</span>
+      <div className="grid grid-cols-2 gap-3">
+        <label className="block">
+          <span className="text-white text-sm">{t('appearance.theme')}</span>
+          <select value={settings.theme} onChange={(e) => onChange('theme', e.target.value)} className={inputClass}>
+            {THEMES.map(theme => (
+              <option key={theme.id} value={theme.id}>{t(`appearance.theme.${theme.id}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-white text-sm">{t('appearance.fontSize')}</span>
+          <select value={settings.fontSize} onChange={(e) => onChange('fontSize', e.target.value)} className={inputClass}>
+            {FONT_SIZES.map(size => (
+              <option key={size.id} value={size.id}>{t(`appearance.fontSize.${size.id}`)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <Toggle
+        label={t('appearance.highContrast')}
+        description={t('appearance.highContrastHint')}
+        checked={settings.highContrast}
+        onChange={() => onChange('highContrast', !settings.highContrast)}
+      />
+      <Toggle
+        label={t('appearance.reduceMotion')}
+        description={t('appearance.reduceMotionHint')}
+        checked={settings.reduceMotion}
+        onChange={() => onChange('reduceMotion', !settings.reduceMotion)}
+      />
+    </div>
+  );
+}
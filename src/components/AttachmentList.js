@@ -0,0 +1,40 @@
+import React from 'react';
+import { FileText, X } from 'lucide-react';
+import { attachmentDataUrl, formatBytes } from '../lib/attachments';
+
+// --- Image thumbnails and file chips ---
+// Used in the composer (with onRemove and t) and in user message bubbles.
+export default function AttachmentList({ attachments, onRemove, t }) {
+  if (!attachments?.length) return null;
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {attachments.map(attachment => (
+        <div
+          key={attachment.id}
+          className="relative flex items-center gap-2 bg-gray-800 border border-gray-600 rounded-lg overflow-hidden"
+          title={`${attachment.name} (${formatBytes(attachment.size)})`}
+        >
+          {attachment.kind === 'image' ? (
+            <img src={attachmentDataUrl(attachment)} alt={attachment.name} className="w-20 h-20 object-cover" />
+          ) : (
+            <div className={`flex items-center gap-2 px-3 py-2 max-w-[14rem] ${onRemove ? 'pr-7' : ''}`}>
+              <FileText size={16} className="flex-shrink-0 text-gray-400" />
+              <span className="truncate text-sm text-gray-200">{attachment.name}</span>
+              <span className="flex-shrink-0 text-xs text-gray-500">{formatBytes(attachment.size)}</span>
+            </div>
+          )}
+          {onRemove && (
+            <button
+              onClick={() => onRemove(attachment.id)}
+              className="absolute top-1 right-1 p-0.5 rounded-full bg-black/70 text-gray-300 hover:text-white"
+              title={t('attachments.remove', { name: attachment.name })}
+            >
+              <X size={12} />
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import React, { useMemo, useState } from 'react';
+import { Copy, Check, Download } from 'lucide-react';
+import { highlightCode, fileExtensionFor } from '../lib/highlight';
+import { downloadFile } from '../lib/download';
+import 'highlight.js/styles/github-dark.css';
+
+// --- Fenced code block with highlighting, copy and download ---
+export default function CodeBlock({ code, language, t }) {
+  const [copied, setCopied] = useState(false);
+  const highlighted = useMemo(() => highlightCode(code, language), [code, language]);
+  const label = highlighted?.language || (language || '').split(/\s+/)[0] || 'text';
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(code);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const handleDownload = () => {
+    downloadFile(`snippet.${fileExtensionFor(language || highlighted?.language)}`, code);
+  };
+
+  return (
+    <div className="code-block rounded-lg border border-gray-700 overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-1 bg-gray-900 border-b border-gray-700 text-xs text-gray-400">
+        <span className="font-mono">{label}</span>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={handleCopy}
+            className="hover:text-white transition-colors p-1 rounded-lg hover:bg-gray-700"
+            title={t('code.copy')}
+          >
+            {copied ? <Check size={14} className="text-green-400" /> : <Copy size={14} />}
+          </button>
+          <button
+            onClick={handleDownload}
+            className="hover:text-white transition-colors p-1 rounded-lg hover:bg-gray-700"
+            title={t('code.download')}
+          >
+            <Download size={14} />
+          </button>
+        </div>
+      </div>
+      <pre>
+        {highlighted ? (
+          // hljs escapes the source, so its markup only contains its own spans
+          <code className={`hljs language-${highlighted.language}`} dangerouslySetInnerHTML={{ __html: highlighted.html }} />
+        ) : (
+          <code>{code}</code>
+        )}
+      </pre>
+    </div>
+  );
+}
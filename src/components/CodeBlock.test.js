@@ -0,0 +1,39 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import CodeBlock from './CodeBlock';
+import { fileExtensionFor, resolveLanguage } from '../lib/highlight';
+import { createTranslator } from '../lib/i18n';
+
+const t = createTranslator('en');
+
+test('highlights known languages and labels the block', () => {
+  render(<CodeBlock code={'def spin():\n    return 42'} language="py" t={t} />);
+
+  expect(screen.getByText('python')).toBeInTheDocument();
+  expect(screen.getByText('def')).toHaveClass('hljs-keyword');
+});
+
+test('copies just the block and downloads it with a matching extension', () => {
+  const writeText = jest.fn();
+  Object.assign(navigator, { clipboard: { writeText } });
+  URL.createObjectURL = jest.fn(() => 'blob:code');
+  URL.revokeObjectURL = jest.fn();
+  const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+    expect(this.download).toBe('snippet.cpp');
+  });
+
+  render(<CodeBlock code="int main() {}" language="c++" t={t} />);
+  fireEvent.click(screen.getByTitle('Copy code'));
+  fireEvent.click(screen.getByTitle('Download as file'));
+
+  expect(writeText).toHaveBeenCalledWith('int main() {}');
+  expect(click).toHaveBeenCalled();
+  click.mockRestore();
+});
+
+test('maps fence languages to file extensions', () => {
+  expect(resolveLanguage('yml')).toBe('yaml');
+  expect(fileExtensionFor('bash')).toBe('sh');
+  expect(fileExtensionFor('python title=pid.py')).toBe('py');
+  expect(fileExtensionFor('rust')).toBe('rust');
+  expect(fileExtensionFor('')).toBe('txt');
+});
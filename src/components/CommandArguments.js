@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+
+// --- Asks for the arguments a slash command still needs ---
+export default function CommandArguments({ command, values: initialValues, onSubmit, onCancel, t }) {
+  const [values, setValues] = useState(() => Object.fromEntries(
+    command.args.map(arg => [arg.name, initialValues[arg.name] || (arg.options && !arg.optional ? arg.options[0] : '')])
+  ));
+  const complete = command.args.every(arg => arg.optional || values[arg.name]?.trim());
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (complete) onSubmit(values);
+  };
+
+  const fieldClass = 'flex-1 min-w-0 px-3 py-1.5 bg-gray-900 border border-gray-600 rounded-lg text-sm text-white focus:outline-none focus:border-gray-400';
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      onKeyDown={(e) => { if (e.key === 'Escape') onCancel(); }}
+      className="p-3 bg-gray-800 border border-gray-700 rounded-xl space-y-2"
+      aria-label={t('commands.arguments', { name: command.name })}
+    >
+      <div className="flex items-center justify-between">
+        <span className="font-mono text-sm text-white">/{command.name}</span>
+        <button type="button" onClick={onCancel} className="p-1 rounded-lg text-gray-400 hover:text-white" title={t('commands.cancel')}>
+          <X size={16} />
+        </button>
+      </div>
+      {command.args.map((arg, index) => (
+        <label key={arg.name} className="flex items-center gap-3">
+          <span className="w-24 text-sm text-gray-300">{arg.name}</span>
+          {arg.options ? (
+            <select
+              value={values[arg.name]}
+              onChange={(e) => setValues(prev => ({ ...prev, [arg.name]: e.target.value }))}
+              className={fieldClass}
+              autoFocus={index === 0}
+            >
+              {arg.options.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+          ) : (
+            <input
+              type="text"
+              value={values[arg.name]}
+              onChange={(e) => setValues(prev => ({ ...prev, [arg.name]: e.target.value }))}
+              placeholder={arg.optional ? t('commands.optional') : ''}
+              className={fieldClass}
+              autoFocus={index === 0}
+            />
+          )}
+        </label>
+      ))}
+      <div className="flex justify-end">
+        <button type="submit" disabled={!complete} className="px-3 py-1 rounded-lg bg-white text-black text-sm hover:bg-gray-200 disabled:opacity-50">
+          {t('commands.run')}
+        </button>
+      </div>
+    </form>
+  );
+}
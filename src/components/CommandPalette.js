@@ -0,0 +1,31 @@
+import React from 'react';
+
+// --- Commands matching what was typed after "/" ---
+export default function CommandPalette({ commands, selected, onSelect, onHover, t }) {
+  return (
+    <ul
+      className="absolute bottom-full left-0 right-0 mb-2 max-h-64 overflow-y-auto bg-gray-800 border border-gray-700 rounded-xl shadow-2xl z-20"
+      role="listbox"
+      aria-label={t('commands.list')}
+    >
+      {commands.map((command, index) => (
+        <li key={command.name} role="option" aria-selected={index === selected}>
+          <button
+            // Keep the focus in the composer
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => onSelect(command)}
+            onMouseEnter={() => onHover(index)}
+            className={`w-full text-left px-4 py-2 ${index === selected ? 'bg-gray-700' : ''}`}
+          >
+            <span className="font-mono text-sm text-white">/{command.name}</span>
+            {command.args.map(arg => (
+              <span key={arg.name} className="ml-1 font-mono text-sm text-gray-500">{`{${arg.name}}`}</span>
+            ))}
+            {command.template && <span className="ml-2 text-xs text-blue-300">{t('commands.template')}</span>}
+            <p className="text-xs text-gray-400 truncate">{command.template ? command.description : t(`commands.description.${command.name}`)}</p>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
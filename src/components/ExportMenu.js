@@ -0,0 +1,67 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Download, FileText, FileJson, Printer, Upload } from 'lucide-react';
+
+// --- Header menu for exporting and importing conversations ---
+export default function ExportMenu({ canExport, canImport, onExport, onImport, t }) {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    // Close when clicking anywhere outside the menu
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const choose = (action) => {
+    setOpen(false);
+    action();
+  };
+
+  const itemClass = 'w-full flex items-center gap-2 px-3 py-2 text-sm text-left text-gray-200 hover:bg-gray-700 disabled:text-gray-500 disabled:hover:bg-transparent disabled:cursor-not-allowed';
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="p-2 rounded-xl hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+        title={t('export.menu')}
+      >
+        <Download size={20} />
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-52 py-1 bg-gray-800 border border-gray-700 rounded-xl shadow-2xl z-30">
+          <button disabled={!canExport} onClick={() => choose(() => onExport('markdown'))} className={itemClass}>
+            <FileText size={16} /> {t('export.markdown')}
+          </button>
+          <button disabled={!canExport} onClick={() => choose(() => onExport('json'))} className={itemClass}>
+            <FileJson size={16} /> {t('export.json')}
+          </button>
+          <button disabled={!canExport} onClick={() => choose(() => onExport('pdf'))} className={itemClass}>
+            <Printer size={16} /> {t('export.pdf')}
+          </button>
+          <div className="my-1 border-t border-gray-700" />
+          <button disabled={!canImport} onClick={() => choose(() => fileInputRef.current?.click())} className={itemClass}>
+            <Upload size={16} /> {t('export.import')}
+          </button>
+        </div>
+      )}
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={(e) => {
+          const file = e.target.files[0];
+          e.target.value = '';
+          if (file) onImport(file);
+        }}
+        className="hidden"
+        data-testid="conversation-import"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { FEEDBACK_CATEGORIES } from '../lib/feedback';
+
+// --- Optional details for a rating, shown under the rated reply ---
+export default function FeedbackForm({ feedback, onSubmit, onClose, t }) {
+  const [category, setCategory] = useState(feedback.category || '');
+  const [comment, setComment] = useState(feedback.comment || '');
+  const negative = feedback.rating === 'down';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ rating: feedback.rating, category, comment });
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      onKeyDown={(e) => { if (e.key === 'Escape') onClose(); }}
+      className="mt-3 p-3 bg-gray-900/70 border border-gray-700 rounded-lg space-y-2 text-sm"
+      aria-label={t('feedback.details')}
+    >
+      {negative && (
+        <fieldset className="flex flex-wrap gap-2">
+          <legend className="mb-1 text-gray-300">{t('feedback.whatWasWrong')}</legend>
+          {FEEDBACK_CATEGORIES.map(option => (
+            <label
+              key={option.id}
+              className={`px-2 py-1 rounded-lg border cursor-pointer ${category === option.id ? 'border-blue-500 bg-blue-600/20 text-white' : 'border-gray-600 text-gray-300 hover:border-gray-400'}`}
+            >
+              <input
+                type="radio"
+                name="feedback-category"
+                value={option.id}
+                checked={category === option.id}
+                onChange={() => setCategory(option.id)}
+                className="sr-only"
+              />
+              {t(`feedback.category.${option.id}`)}
+            </label>
+          ))}
+        </fieldset>
+      )}
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        rows={2}
+        placeholder={negative ? t('feedback.commentDown') : t('feedback.commentUp')}
+        className="w-full p-2 bg-gray-900 border border-gray-600 rounded-lg text-white placeholder-gray-500 resize-y focus:outline-none focus:border-gray-400"
+        aria-label={t('feedback.comment')}
+        autoFocus
+      />
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onClose} className="px-3 py-1 rounded-lg text-gray-300 hover:bg-gray-800">
+          {t('feedback.notNow')}
+        </button>
+        <button type="submit" className="px-3 py-1 rounded-lg bg-white text-black hover:bg-gray-200">
+          {t('feedback.save')}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Download, ThumbsDown, ThumbsUp, Trash2, X } from 'lucide-react';
+import useFocusTrap from '../hooks/useFocusTrap';
+import { downloadFile } from '../lib/download';
+import { RATING_FILTERS, filterFeedback, toJSONL } from '../lib/feedback';
+import { formatDate } from '../lib/i18n';
+
+// --- Review of rated replies, exported as JSONL for prompt tuning and evals ---
+export default function FeedbackReview({ records, language, onRemove, onClose, t }) {
+  const [rating, setRating] = useState('all');
+  const panelRef = useFocusTrap(true, onClose);
+  const shown = filterFeedback(records, rating);
+  const helpful = records.filter(record => record.rating === 'up').length;
+
+  const handleExport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`rugved-feedback-${date}.jsonl`, toJSONL(shown), 'application/x-ndjson');
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="absolute inset-0 bg-black bg-opacity-80 flex items-center justify-center z-50 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <motion.div
+        ref={panelRef}
+        initial={{ scale: 0.9, y: 20 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.9, y: 20 }}
+        className="bg-gray-800 border border-gray-700 rounded-2xl shadow-2xl p-6 w-full max-w-2xl mx-4 max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-label={t('header.feedback')}
+      >
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-xl font-bold text-white">{t('header.feedback')}</h2>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-xl hover:bg-gray-700 transition-colors text-gray-400 hover:text-white"
+            title={t('feedback.close')}
+          >
+            <X size={20} />
+          </button>
+        </div>
+        <p className="text-sm text-gray-400 mb-4">
+          {t('feedback.summary', { count: records.length, helpful, unhelpful: records.length - helpful })}
+        </p>
+
+        <div className="flex items-center gap-2 mb-4">
+          <select
+            value={rating}
+            onChange={(e) => setRating(e.target.value)}
+            className="px-3 py-2 bg-gray-900 border border-gray-600 rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label={t('feedback.rating')}
+          >
+            {RATING_FILTERS.map(filter => <option key={filter.id} value={filter.id}>{t(`feedback.rating.${filter.id}`)}</option>)}
+          </select>
+          <button
+            onClick={handleExport}
+            disabled={shown.length === 0}
+            className="ml-auto flex items-center gap-2 px-3 py-2 rounded-lg border border-gray-600 text-sm text-gray-200 hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Download size={16} /> {t('feedback.export')}
+          </button>
+        </div>
+
+        {shown.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-6">
+            {records.length === 0 ? t('feedback.empty') : t('feedback.noMatches')}
+          </p>
+        ) : (
+          <ul className="space-y-3 overflow-y-auto">
+            {shown.map(record => (
+              <li key={record.id} className="p-3 bg-gray-900 border border-gray-700 rounded-xl text-sm space-y-2">
+                <div className="flex items-center gap-2 text-xs text-gray-400">
+                  {record.rating === 'up'
+                    ? <ThumbsUp size={14} className="text-green-400" aria-label={t('feedback.rating.up')} />
+                    : <ThumbsDown size={14} className="text-red-400" aria-label={t('feedback.rating.down')} />}
+                  {record.category && (
+                    <span className="px-1.5 py-0.5 rounded bg-red-900/60 text-red-200">{t(`feedback.category.${record.category}`)}</span>
+                  )}
+                  <span className="truncate">
+                    {[record.persona?.name, record.model?.name, formatDate(language, record.updatedAt)].filter(Boolean).join(' · ')}
+                  </span>
+                  <button
+                    onClick={() => onRemove(record.id)}
+                    className="ml-auto p-1 rounded-lg hover:bg-gray-700 text-gray-400 hover:text-red-400 transition-colors"
+                    title={t('feedback.delete')}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+                <p className="text-gray-300 line-clamp-2"><span className="text-gray-500">{t('feedback.prompt')} </span>{record.prompt || t('feedback.attachmentsOnly')}</p>
+                <p className="text-gray-200 line-clamp-3 whitespace-pre-wrap"><span className="text-gray-500">{t('feedback.reply')} </span>{record.reply}</p>
+                {record.comment && <p className="text-gray-300 italic">“{record.comment}”</p>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
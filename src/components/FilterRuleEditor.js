@@ -0,0 +1,89 @@
+import React from 'react';
+import { Plus, Trash2, RotateCcw } from 'lucide-react';
+import { translateError } from '../lib/i18n';
+import { DEFAULT_FILTER_RULES, createFilterRule, ruleError } from '../lib/responseFilters';
+
+// --- Response filter rules, edited in the Settings modal ---
+export default function FilterRuleEditor({ rules, onChange, t }) {
+  const updateRule = (id, field, value) => {
+    onChange(rules.map(rule => (rule.id === id ? { ...rule, [field]: value } : rule)));
+  };
+
+  const handleReset = () => {
+    if (window.confirm(t('filters.confirmReset'))) {
+      onChange(DEFAULT_FILTER_RULES);
+    }
+  };
+
+  return (
+    <div className="p-3 bg-gray-700 rounded-xl space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="text-white">{t('filters.title')}</span>
+        <div className="flex items-center gap-1 text-gray-400">
+          <button onClick={() => onChange([...rules, createFilterRule()])} className="p-1 rounded-lg hover:bg-gray-600 hover:text-white transition-colors" title={t('filters.add')}>
+            <Plus size={16} />
+          </button>
+          <button onClick={handleReset} className="p-1 rounded-lg hover:bg-gray-600 hover:text-white transition-colors" title={t('filters.reset')}>
+            <RotateCcw size={16} />
+          </button>
+        </div>
+      </div>
+
+      {rules.length === 0 && <p className="text-sm text-gray-400">{t('filters.empty')}</p>}
+
+      {rules.map(rule => {
+        const error = ruleError(rule);
+        return (
+          <div key={rule.id} className="p-2 bg-gray-800 border border-gray-600 rounded-lg space-y-2">
+            <div className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={(e) => updateRule(rule.id, 'enabled', e.target.checked)}
+                title={t('filters.enabled')}
+              />
+              <input
+                type="text"
+                value={rule.description}
+                onChange={(e) => updateRule(rule.id, 'description', e.target.value)}
+                className="flex-1 min-w-0 bg-transparent text-sm text-white outline-none"
+              />
+              <select
+                value={rule.type}
+                onChange={(e) => updateRule(rule.id, 'type', e.target.value)}
+                className="px-2 py-1 bg-gray-700 border border-gray-600 rounded-lg text-xs text-white"
+              >
+                <option value="phrase">{t('filters.phrase')}</option>
+                <option value="regex">{t('filters.regex')}</option>
+              </select>
+              <button
+                onClick={() => onChange(rules.filter(item => item.id !== rule.id))}
+                className="p-1 rounded-lg text-gray-400 hover:text-red-400 transition-colors"
+                title={t('filters.delete')}
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <input
+                type="text"
+                value={rule.pattern}
+                onChange={(e) => updateRule(rule.id, 'pattern', e.target.value)}
+                placeholder={rule.type === 'phrase' ? t('filters.phrasePlaceholder') : t('filters.regexPlaceholder')}
+                className="px-2 py-1 bg-gray-700 border border-gray-600 rounded-lg text-xs font-mono text-white placeholder-gray-500"
+              />
+              <input
+                type="text"
+                value={rule.replacement}
+                onChange={(e) => updateRule(rule.id, 'replacement', e.target.value)}
+                placeholder={t('filters.replacementPlaceholder')}
+                className="px-2 py-1 bg-gray-700 border border-gray-600 rounded-lg text-xs font-mono text-white placeholder-gray-500"
+              />
+            </div>
+            {error && <p className="text-xs text-red-400">{translateError(t, error)}</p>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
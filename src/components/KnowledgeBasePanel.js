@@ -0,0 +1,105 @@
+import React, { useRef } from 'react';
+import { motion } from 'framer-motion';
+import { FileText, Plus, Trash2, X } from 'lucide-react';
+import useFocusTrap from '../hooks/useFocusTrap';
+import { formatBytes } from '../lib/attachments';
+import { translateError } from '../lib/i18n';
+import { KNOWLEDGE_ACCEPTED_FILES } from '../lib/knowledge';
+
+// --- Knowledge base: team documents used to ground replies ---
+export default function KnowledgeBasePanel({ documents, enabled, isIndexing, errors, onToggle, onAddFiles, onRemove, onClose, t }) {
+  const fileInputRef = useRef(null);
+  const panelRef = useFocusTrap(true, onClose);
+
+  const handleFileChange = (e) => {
+    onAddFiles(e.target.files);
+    e.target.value = '';
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="absolute inset-0 bg-black bg-opacity-80 flex items-center justify-center z-50 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <motion.div
+        ref={panelRef}
+        initial={{ scale: 0.9, y: 20 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.9, y: 20 }}
+        className="bg-gray-800 border border-gray-700 rounded-2xl shadow-2xl p-6 w-full max-w-lg mx-4 max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-label={t('header.knowledge')}
+      >
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-xl font-bold text-white">{t('header.knowledge')}</h2>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-xl hover:bg-gray-700 transition-colors text-gray-400 hover:text-white"
+            title={t('knowledge.close')}
+          >
+            <X size={20} />
+          </button>
+        </div>
+        <p className="text-sm text-gray-400 mb-4">{t('knowledge.intro')}</p>
+
+        <div className="space-y-4">
+          <label className="flex items-center justify-between p-3 bg-gray-700 rounded-xl cursor-pointer">
+            <span className="text-white">{t('knowledge.use')}</span>
+            <input type="checkbox" checked={enabled} onChange={onToggle} className="w-4 h-4 accent-blue-600" />
+          </label>
+
+          <div>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isIndexing}
+              className="w-full flex items-center justify-center gap-2 p-3 border border-dashed border-gray-600 rounded-xl text-gray-300 hover:border-gray-400 hover:text-white transition-colors disabled:opacity-50"
+            >
+              <Plus size={16} />
+              {isIndexing ? t('knowledge.indexing') : t('knowledge.add')}
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={KNOWLEDGE_ACCEPTED_FILES}
+              onChange={handleFileChange}
+              className="hidden"
+              data-testid="knowledge-upload"
+            />
+            {errors.length > 0 && <p className="mt-2 text-sm text-red-400">{errors.map(error => translateError(t, error)).join(' ')}</p>}
+          </div>
+
+          {documents.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-4">{t('knowledge.empty')}</p>
+          ) : (
+            <ul className="space-y-2">
+              {documents.map(document => (
+                <li key={document.id} className="flex items-center gap-3 p-3 bg-gray-900 border border-gray-700 rounded-xl">
+                  <FileText size={18} className="flex-shrink-0 text-gray-400" />
+                  <div className="flex-1 min-w-0">
+                    <p className="truncate text-sm text-gray-200">{document.name}</p>
+                    <p className="text-xs text-gray-500">
+                      {formatBytes(document.size)} · {t('knowledge.passages', { count: document.chunks.length })}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => onRemove(document.id)}
+                    className="p-2 rounded-lg hover:bg-gray-700 text-gray-400 hover:text-red-400 transition-colors"
+                    title={t('knowledge.remove', { name: document.name })}
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
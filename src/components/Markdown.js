@@ -0,0 +1,126 @@
+import React, { useMemo } from 'react';
+import { marked } from 'marked';
+import CodeBlock from './CodeBlock';
+import './Markdown.css';
+
+// --- Markdown renderer ---
+// Markdown is tokenised with marked's lexer and every token is turned into a
+// React element. Model text is never injected as HTML: raw HTML in the source
+// is shown as literal text, links are limited to safe URL schemes and code
+// blocks only receive highlight.js's escaped markup, so output cannot execute
+// script in the page.
+
+const SAFE_URL = /^(https?:|mailto:|#|\/(?!\/))/i;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+const decodeEntities = (text) => text.replace(/&(amp|lt|gt|quot|#39);/g, entity => ENTITIES[entity]);
+
+export const safeUrl = (href) => {
+  const url = (href || '').trim();
+  return SAFE_URL.test(url) ? url : null;
+};
+
+const renderInline = (tokens = []) => tokens.map((token, i) => {
+  switch (token.type) {
+    case 'strong':
+      return <strong key={i}>{renderInline(token.tokens)}</strong>;
+    case 'em':
+      return <em key={i}>{renderInline(token.tokens)}</em>;
+    case 'del':
+      return <del key={i}>{renderInline(token.tokens)}</del>;
+    case 'codespan':
+      return <code key={i}>{decodeEntities(token.text)}</code>;
+    case 'br':
+      return <br key={i} />;
+    case 'link': {
+      const href = safeUrl(token.href);
+      if (!href) return <span key={i}>{renderInline(token.tokens)}</span>;
+      return (
+        <a key={i} href={href} title={token.title || undefined} target="_blank" rel="noopener noreferrer">
+          {renderInline(token.tokens)}
+        </a>
+      );
+    }
+    case 'image': {
+      // Images are shown as links so replies can't load remote content on their own
+      const href = safeUrl(token.href);
+      const label = token.text || href || 'image';
+      if (!href) return <span key={i}>{label}</span>;
+      return <a key={i} href={href} target="_blank" rel="noopener noreferrer">{label}</a>;
+    }
+    case 'text':
+      return token.tokens
+        ? <React.Fragment key={i}>{renderInline(token.tokens)}</React.Fragment>
+        : <React.Fragment key={i}>{decodeEntities(token.text)}</React.Fragment>;
+    default:
+      // html, escape and anything unknown are rendered as plain text
+      return <React.Fragment key={i}>{token.text ?? token.raw}</React.Fragment>;
+  }
+});
+
+const renderTable = (token, key) => (
+  <div key={key} className="overflow-x-auto">
+    <table>
+      <thead>
+        <tr>
+          {token.header.map((cell, i) => (
+            <th key={i} style={{ textAlign: token.align[i] || undefined }}>{renderInline(cell.tokens)}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {token.rows.map((row, r) => (
+          <tr key={r}>
+            {row.map((cell, i) => (
+              <td key={i} style={{ textAlign: token.align[i] || undefined }}>{renderInline(cell.tokens)}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const renderBlocks = (tokens = [], t) => tokens.map((token, i) => {
+  switch (token.type) {
+    case 'heading':
+      return React.createElement(`h${token.depth}`, { key: i }, renderInline(token.tokens));
+    case 'paragraph':
+      return <p key={i}>{renderInline(token.tokens)}</p>;
+    case 'list': {
+      const items = token.items.map((item, j) => (
+        <li key={j}>
+          {item.task && <input type="checkbox" checked={!!item.checked} readOnly disabled />}
+          {renderBlocks(item.tokens, t)}
+        </li>
+      ));
+      return token.ordered
+        ? <ol key={i} start={token.start === '' ? undefined : token.start}>{items}</ol>
+        : <ul key={i}>{items}</ul>;
+    }
+    case 'blockquote':
+      return <blockquote key={i}>{renderBlocks(token.tokens, t)}</blockquote>;
+    case 'code':
+      return <CodeBlock key={i} code={token.text} language={token.lang} t={t} />;
+    case 'table':
+      return renderTable(token, i);
+    case 'hr':
+      return <hr key={i} />;
+    case 'text':
+      return token.tokens
+        ? <React.Fragment key={i}>{renderInline(token.tokens)}</React.Fragment>
+        : <React.Fragment key={i}>{decodeEntities(token.text)}</React.Fragment>;
+    case 'space':
+    case 'def':
+      return null;
+    default:
+      // Block-level HTML and unknown tokens are shown verbatim
+      return <p key={i}>{token.text ?? token.raw}</p>;
+  }
+});
+
+export default function Markdown({ text, t }) {
+  const tokens = useMemo(() => marked.lexer(text || '', { gfm: true, breaks: true }), [text]);
+  return <div className="markdown leading-relaxed">{renderBlocks(tokens, t)}</div>;
+}
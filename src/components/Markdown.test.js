@@ -0,0 +1,67 @@
+import { render, screen, within } from '@testing-library/react';
+import Markdown, { safeUrl } from './Markdown';
+import { createTranslator } from '../lib/i18n';
+
+const t = createTranslator('en');
+
+test('renders headings, lists, tables, blockquotes and code blocks', () => {
+  const text = [
+    '## Wiring',
+    '',
+    '1. Connect GND',
+    '2. Connect **VCC**',
+    '',
+    '- motor',
+    '',
+    '| Pin | Use |',
+    '|-----|-----|',
+    '| D2  | PWM |',
+    '',
+    '> Check polarity',
+    '',
+    '```cpp',
+    'digitalWrite(2, HIGH);',
+    '```',
+  ].join('\n');
+  render(<Markdown text={text} t={t} />);
+
+  expect(screen.getByRole('heading', { level: 2 })).toHaveTextContent('Wiring');
+  const [ordered, unordered] = screen.getAllByRole('list');
+  expect(within(ordered).getAllByRole('listitem')).toHaveLength(2);
+  expect(within(unordered).getByRole('listitem')).toHaveTextContent('motor');
+  expect(screen.getByText('VCC').tagName).toBe('STRONG');
+  expect(screen.getByRole('table')).toHaveTextContent('PWM');
+  expect(screen.getByText('Check polarity')).toBeInTheDocument();
+  expect(screen.getByText('cpp')).toBeInTheDocument();
+  expect(screen.getByTitle('Copy code')).toBeInTheDocument();
+});
+
+test('shows raw HTML as text instead of injecting it', () => {
+  const text = 'Look <img src=x onerror="window.pwned = true"> here\n\n<script>window.pwned = true</script>';
+  render(<Markdown text={text} t={t} />);
+
+  expect(screen.queryByRole('img')).toBeNull();
+  expect(screen.getByText(/<img src=x onerror="window.pwned = true">/)).toBeInTheDocument();
+  expect(screen.getByText('<script>window.pwned = true</script>')).toBeInTheDocument();
+  expect(window.pwned).toBeUndefined();
+});
+
+test('drops links and images with unsafe URLs', () => {
+  const text = '[click](javascript:alert(1)) [docs](https://ros.org) ![pic](data:image/svg+xml,<svg onload=alert(1)>)';
+  render(<Markdown text={text} t={t} />);
+
+  const links = screen.getAllByRole('link');
+  expect(links).toHaveLength(1);
+  expect(links[0]).toHaveAttribute('href', 'https://ros.org');
+  expect(screen.queryByRole('img')).toBeNull();
+  expect(screen.getByText('click')).toBeInTheDocument();
+});
+
+test('only allows http(s), mailto and relative URLs', () => {
+  expect(safeUrl('https://example.com')).toBe('https://example.com');
+  expect(safeUrl('mailto:team@rugved.in')).toBe('mailto:team@rugved.in');
+  expect(safeUrl('/docs')).toBe('/docs');
+  expect(safeUrl(' JavaScript:alert(1)')).toBeNull();
+  expect(safeUrl('//evil.example')).toBeNull();
+  expect(safeUrl('vbscript:msgbox')).toBeNull();
+});
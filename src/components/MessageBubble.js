@@ -0,0 +1,265 @@
+import React, { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Check, ChevronLeft, ChevronRight, Clock, Copy, Eye, EyeOff, Pencil, RefreshCw, ThumbsDown, ThumbsUp, Volume2 } from 'lucide-react';
+import AttachmentList from './AttachmentList';
+import FeedbackForm from './FeedbackForm';
+import Markdown from './Markdown';
+import SourceList from './SourceList';
+import SpeechPlayer from './SpeechPlayer';
+import ToolCallCard from './ToolCallCard';
+import { branchCount } from '../lib/branches';
+
+export const DEFAULT_AVATAR = '/rugved%20logo.png';
+
+const RetryCountdown = ({ retryAt, t }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const seconds = Math.ceil((retryAt - now) / 1000);
+  if (seconds <= 0) return null;
+  return <p className="mt-2 text-xs text-red-300">{t('message.retrying', { seconds })}</p>;
+};
+
+// --- One message of the conversation ---
+// Actions whose handler is missing are left out, so the embeddable widget can
+// show a reply without editing, branches, speech or ratings.
+export default function MessageBubble({ message, disabled, onEdit, onRegenerate, onRetry, onSelectBranch, onSpeak, onFeedback, playback, player, focused, avatar = DEFAULT_AVATAR, t }) {
+  const { sender, error, stopped, rawText } = message;
+  const isUser = sender === 'user';
+  const [copied, setCopied] = useState(false);
+  const [showRaw, setShowRaw] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [showFeedbackForm, setShowFeedbackForm] = useState(false);
+  // Unfiltered model output, when the response filters changed it
+  const hasRaw = !isUser && typeof rawText === 'string' && rawText.trim() !== message.text;
+  const text = showRaw && hasRaw ? rawText : message.text;
+
+  const handleCopy = () => {
+    if(text) {
+        navigator.clipboard.writeText(text);
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+    }
+  };
+
+  // Picking the current rating again takes it back
+  const handleRate = (rating) => {
+    if (message.feedback?.rating === rating) {
+      onFeedback(null);
+      setShowFeedbackForm(false);
+      return;
+    }
+    onFeedback({ rating });
+    setShowFeedbackForm(true);
+  };
+
+  const startEditing = () => {
+    setDraft(message.text);
+    setEditing(true);
+  };
+
+  const submitEdit = () => {
+    if (!draft.trim() && !message.attachments?.length) return;
+    setEditing(false);
+    onEdit(draft);
+  };
+
+  const actionClass = 'hover:text-white transition-colors p-1 rounded-lg hover:bg-gray-700 disabled:opacity-40 disabled:hover:bg-transparent disabled:cursor-not-allowed';
+  const versions = branchCount(message);
+  const versionIndex = message.branchIndex ?? 0;
+  const branchNav = versions > 1 && (
+    <div className="flex items-center text-xs">
+      <button
+        onClick={() => onSelectBranch(versionIndex - 1)}
+        disabled={disabled || versionIndex === 0}
+        className={actionClass}
+        title={t('message.previousVersion')}
+        aria-label={t('message.previousVersion')}
+      >
+        <ChevronLeft size={16} />
+      </button>
+      <span>{versionIndex + 1}/{versions}</span>
+      <button
+        onClick={() => onSelectBranch(versionIndex + 1)}
+        disabled={disabled || versionIndex === versions - 1}
+        className={actionClass}
+        title={t('message.nextVersion')}
+        aria-label={t('message.nextVersion')}
+      >
+        <ChevronRight size={16} />
+      </button>
+    </div>
+  );
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+      className={`flex items-start gap-3 ${isUser ? 'justify-end' : ''}`}
+      data-message-id={message.id}
+    >
+      {!isUser && (
+        <img 
+          src={avatar} 
+          alt="Rugved AI" 
+          className="w-8 h-8 rounded-xl object-cover flex-shrink-0"
+        />
+      )}
+      <div className={`max-w-xl p-3 rounded-xl ${
+        isUser 
+          ? 'bg-black border border-gray-600 text-white' 
+          : 'bg-gray-800 border border-gray-700 text-gray-100'
+      } ${error ? 'bg-red-900 border-red-600 text-red-200' : ''} ${focused ? 'ring-2 ring-blue-400' : ''}`} role={error ? 'alert' : undefined}>
+        {isUser ? (
+          <div className="space-y-2">
+            <AttachmentList attachments={message.attachments} />
+            {editing ? (
+              <div className="space-y-2">
+                <textarea
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  rows={3}
+                  className="w-full min-w-[16rem] p-2 bg-gray-900 border border-gray-600 rounded-lg text-white resize-y focus:outline-none focus:border-gray-400"
+                  aria-label={t('message.edit')}
+                />
+                <div className="flex justify-end gap-2 text-sm">
+                  <button onClick={() => setEditing(false)} className="px-3 py-1 rounded-lg text-gray-300 hover:bg-gray-800">
+                    {t('common.cancel')}
+                  </button>
+                  <button
+                    onClick={submitEdit}
+                    disabled={disabled}
+                    className="px-3 py-1 rounded-lg bg-white text-black hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    {t('message.saveAndSend')}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              text && <div className="whitespace-pre-wrap leading-relaxed">{text}</div>
+            )}
+            {!editing && (
+              <div className="flex items-center justify-end gap-2 text-gray-400">
+                {message.queued && (
+                  <span className="flex items-center gap-1 text-xs" title={t('message.queuedTitle')}>
+                    <Clock size={14} aria-hidden="true" /> {t('message.queued')}
+                  </span>
+                )}
+                {branchNav}
+                {onEdit && (
+                  <button onClick={startEditing} disabled={disabled || message.queued} className={actionClass} title={t('message.edit')}>
+                    <Pencil size={16} />
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        ) : (
+          <>
+            {message.toolCalls?.length > 0 && (
+              <div className="space-y-2 mb-2">
+                {message.toolCalls.map(call => <ToolCallCard key={call.id} call={call} t={t} />)}
+              </div>
+            )}
+            <Markdown text={text} t={t} />
+          </>
+        )}
+        {stopped && (
+          <p className="mt-2 text-xs italic text-gray-400">{t('chat.responseStopped')}</p>
+        )}
+        {error && message.retryAt && <RetryCountdown retryAt={message.retryAt} t={t} />}
+        {!isUser && !error && <SourceList sources={message.sources} t={t} />}
+        {!isUser && text && !message.streaming && (
+          <div className="flex items-center gap-2 mt-3 text-gray-400">
+            {!error && (
+              <>
+                <button 
+                  onClick={handleCopy} 
+                  className="hover:text-white transition-colors p-1 rounded-lg hover:bg-gray-700"
+                  title={copied ? t('message.copied') : t('message.copy')}
+                  aria-label={copied ? t('message.copied') : t('message.copy')}
+                >
+                  {copied ? <Check size={16} className="text-green-400" /> : <Copy size={16} />}
+                </button>
+                {onSpeak && (
+                  <button 
+                    onClick={() => onSpeak(text)} 
+                    className="hover:text-white transition-colors p-1 rounded-lg hover:bg-gray-700"
+                    title={t('message.readAloud')}
+                    aria-label={t('message.readAloud')}
+                  >
+                    <Volume2 size={16} />
+                  </button>
+                )}
+                {onFeedback && (
+                  <>
+                    <button
+                      onClick={() => handleRate('up')}
+                      className={`${actionClass} ${message.feedback?.rating === 'up' ? 'text-green-400' : ''}`}
+                      title={t('message.good')}
+                      aria-label={t('message.good')}
+                      aria-pressed={message.feedback?.rating === 'up'}
+                    >
+                      <ThumbsUp size={16} />
+                    </button>
+                    <button
+                      onClick={() => handleRate('down')}
+                      className={`${actionClass} ${message.feedback?.rating === 'down' ? 'text-red-400' : ''}`}
+                      title={t('message.bad')}
+                      aria-label={t('message.bad')}
+                      aria-pressed={message.feedback?.rating === 'down'}
+                    >
+                      <ThumbsDown size={16} />
+                    </button>
+                  </>
+                )}
+              </>
+            )}
+            {error && onRetry && (
+              <button onClick={onRetry} disabled={disabled} className={`${actionClass} flex items-center gap-1 text-xs text-red-200`} title={t('message.retry')}>
+                <RefreshCw size={16} /> {t('message.retry')}
+              </button>
+            )}
+            {!error && onRegenerate && (
+              <button onClick={onRegenerate} disabled={disabled} className={actionClass} title={t('message.regenerate')} aria-label={t('message.regenerate')}>
+                <RefreshCw size={16} />
+              </button>
+            )}
+            {branchNav}
+            {!error && hasRaw && (
+              <button 
+                onClick={() => setShowRaw(!showRaw)} 
+                className="hover:text-white transition-colors p-1 rounded-lg hover:bg-gray-700 flex items-center gap-1 text-xs"
+                title={showRaw ? t('message.showFiltered') : t('message.showRaw')}
+              >
+                {showRaw ? <EyeOff size={16} /> : <Eye size={16} />}
+                {showRaw ? t('message.raw') : t('message.filtered')}
+              </button>
+            )}
+          </div>
+        )}
+        {showFeedbackForm && message.feedback && (
+          <FeedbackForm
+            key={message.feedback.rating}
+            feedback={message.feedback}
+            onSubmit={(value) => {
+              onFeedback(value);
+              setShowFeedbackForm(false);
+            }}
+            onClose={() => setShowFeedbackForm(false)}
+            t={t}
+          />
+        )}
+        {playback && (
+          <SpeechPlayer playback={playback} onPause={player.pause} onResume={player.resume} onSkip={player.skip} onStop={player.stop} t={t} />
+        )}
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useRef, useState } from 'react';
+import { Plus, Trash2, Download, Upload } from 'lucide-react';
+import { createPersonaId, exportPersonas, mergePersonas, parsePersonaImport } from '../lib/personas';
+import { downloadFile } from '../lib/download';
+import { translateError } from '../lib/i18n';
+
+// --- Persona editor shown in the Settings modal ---
+export default function PersonaManager({ personas, onChange, t }) {
+  const [selectedId, setSelectedId] = useState(personas[0]?.id);
+  const [importError, setImportError] = useState('');
+  const fileInputRef = useRef(null);
+
+  const selected = personas.find(persona => persona.id === selectedId) || personas[0];
+
+  const updateSelected = (field, value) => {
+    onChange(personas.map(persona => (persona.id === selected.id ? { ...persona, [field]: value } : persona)));
+  };
+
+  const handleAdd = () => {
+    const persona = { id: createPersonaId(), name: t('personas.newName'), prompt: '' };
+    onChange([...personas, persona]);
+    setSelectedId(persona.id);
+  };
+
+  const handleDelete = () => {
+    if (personas.length <= 1 || !window.confirm(t('personas.confirmDelete', { name: selected.name }))) return;
+    const remaining = personas.filter(persona => persona.id !== selected.id);
+    onChange(remaining);
+    setSelectedId(remaining[0].id);
+  };
+
+  const handleExport = () => {
+    downloadFile('rugved-personas.json', exportPersonas(personas), 'application/json');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parsePersonaImport(await file.text());
+      onChange(mergePersonas(personas, imported));
+      setSelectedId(imported[0].id);
+      setImportError('');
+    } catch (error) {
+      setImportError(translateError(t, error));
+    }
+  };
+
+  return (
+    <div className="p-3 bg-gray-700 rounded-xl space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="text-white">{t('personas.title')}</span>
+        <div className="flex items-center gap-1 text-gray-400">
+          <button onClick={handleAdd} className="p-1 rounded-lg hover:bg-gray-600 hover:text-white transition-colors" title={t('personas.add')}>
+            <Plus size={16} />
+          </button>
+          <button onClick={handleExport} className="p-1 rounded-lg hover:bg-gray-600 hover:text-white transition-colors" title={t('personas.export')}>
+            <Download size={16} />
+          </button>
+          <button onClick={() => fileInputRef.current?.click()} className="p-1 rounded-lg hover:bg-gray-600 hover:text-white transition-colors" title={t('personas.import')}>
+            <Upload size={16} />
+          </button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" data-testid="persona-import" />
+        </div>
+      </div>
+
+      <select
+        value={selected.id}
+        onChange={(e) => setSelectedId(e.target.value)}
+        className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {personas.map(persona => (
+          <option key={persona.id} value={persona.id}>{persona.name}</option>
+        ))}
+      </select>
+
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          value={selected.name}
+          onChange={(e) => updateSelected('name', e.target.value)}
+          placeholder={t('personas.name')}
+          className="flex-1 px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          onClick={handleDelete}
+          disabled={personas.length <= 1}
+          className="p-2 rounded-lg text-gray-400 hover:text-red-400 hover:bg-gray-600 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+          title={t('personas.delete')}
+        >
+          <Trash2 size={16} />
+        </button>
+      </div>
+      <textarea
+        value={selected.prompt}
+        onChange={(e) => updateSelected('prompt', e.target.value)}
+        placeholder={t('personas.prompt')}
+        rows={6}
+        className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      {importError && <p className="text-sm text-red-400">{importError}</p>}
+    </div>
+  );
+}
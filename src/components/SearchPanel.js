@@ -0,0 +1,131 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Search, X } from 'lucide-react';
+import { formatDate } from '../lib/i18n';
+import { highlightParts, queryTerms, searchConversations } from '../lib/search';
+
+const Highlighted = ({ text, terms }) => highlightParts(text, terms).map((part, index) => (
+  part.match
+    ? <mark key={index} className="bg-yellow-400/30 text-yellow-100 rounded px-0.5">{part.text}</mark>
+    : <React.Fragment key={index}>{part.text}</React.Fragment>
+));
+
+// --- Ctrl+K search across every stored conversation ---
+// While a reply streams (`disabled`) only matches in the open conversation can
+// be picked, like the sidebar
+export default function SearchPanel({ conversations, activeId, disabled, language, onSelect, onClose, t }) {
+  const [query, setQuery] = useState('');
+  const [sender, setSender] = useState('all');
+  const [range, setRange] = useState('any');
+  const [selected, setSelected] = useState(0);
+  const inputRef = useRef(null);
+
+  const terms = queryTerms(query);
+  const results = useMemo(
+    () => searchConversations(conversations, query, { sender, range }),
+    [conversations, query, sender, range]
+  );
+
+  const isLocked = (result) => disabled && result.conversationId !== activeId;
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    setSelected(0);
+  }, [query, sender, range]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onClose();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected(index => Math.min(index + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected(index => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter' && results[selected] && !isLocked(results[selected])) {
+      onSelect(results[selected]);
+    }
+  };
+
+  const selectClass = 'px-2 py-1 bg-gray-900 border border-gray-600 rounded-lg text-sm text-white focus:outline-none focus:border-gray-400';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="absolute inset-0 bg-black bg-opacity-80 flex items-start justify-center pt-[10vh] z-50 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.95, y: -10 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.95, y: -10 }}
+        className="bg-gray-800 border border-gray-700 rounded-2xl shadow-2xl w-full max-w-2xl mx-4 overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+        role="dialog"
+        aria-label={t('header.search')}
+      >
+        <div className="flex items-center gap-2 p-3 border-b border-gray-700">
+          <Search size={18} className="text-gray-400" />
+          <input
+            ref={inputRef}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t('search.placeholder')}
+            className="flex-1 bg-transparent outline-none text-white placeholder-gray-500"
+          />
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-700 text-gray-400 hover:text-white" title={t('search.close')}>
+            <X size={18} />
+          </button>
+        </div>
+        <div className="flex items-center gap-2 px-3 py-2 border-b border-gray-700">
+          <select value={sender} onChange={(e) => setSender(e.target.value)} className={selectClass} aria-label={t('search.sender')}>
+            <option value="all">{t('search.everyone')}</option>
+            <option value="user">{t('search.you')}</option>
+            <option value="ai">RUGVED AI</option>
+          </select>
+          <select value={range} onChange={(e) => setRange(e.target.value)} className={selectClass} aria-label={t('search.date')}>
+            <option value="any">{t('search.range.any')}</option>
+            <option value="day">{t('search.range.day')}</option>
+            <option value="week">{t('search.range.week')}</option>
+            <option value="month">{t('search.range.month')}</option>
+          </select>
+          {terms.length > 0 && (
+            <span className="ml-auto text-xs text-gray-400">{t('search.matches', { count: results.length })}</span>
+          )}
+        </div>
+        <ul className="max-h-[55vh] overflow-y-auto">
+          {results.map((result, index) => (
+            <li key={`${result.conversationId}-${result.messageId}`}>
+              <button
+                onClick={() => onSelect(result)}
+                onMouseEnter={() => setSelected(index)}
+                disabled={isLocked(result)}
+                title={isLocked(result) ? t('search.waitForReply') : undefined}
+                className={`w-full text-left px-4 py-3 border-b border-gray-700/60 disabled:opacity-50 disabled:cursor-not-allowed ${index === selected ? 'bg-gray-700' : ''}`}
+              >
+                <div className="flex items-center gap-2 text-xs text-gray-400">
+                  <span className="font-medium text-gray-200 truncate">{result.conversationTitle}</span>
+                  <span>·</span>
+                  <span>{result.sender === 'user' ? t('search.you') : 'RUGVED AI'}</span>
+                  {result.timestamp && <span className="ml-auto flex-shrink-0">{formatDate(language, result.timestamp)}</span>}
+                </div>
+                <p className="mt-1 text-sm text-gray-200">
+                  <Highlighted text={result.snippet} terms={terms} />
+                </p>
+              </button>
+            </li>
+          ))}
+          {terms.length > 0 && results.length === 0 && (
+            <li className="px-4 py-6 text-center text-sm text-gray-400">{t('search.noMatches')}</li>
+          )}
+        </ul>
+      </motion.div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { MessageSquare, Plus, Search, Pencil, Trash2, Check, X } from 'lucide-react';
+import { filterConversations } from '../lib/conversations';
+
+// --- Conversation sidebar ---
+export default function Sidebar({ conversations, activeId, disabled, onSelect, onCreate, onRename, onDelete, t }) {
+  const [query, setQuery] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editTitle, setEditTitle] = useState('');
+
+  const visibleConversations = filterConversations(conversations, query);
+
+  const startRename = (conversation) => {
+    setEditingId(conversation.id);
+    setEditTitle(conversation.title);
+  };
+
+  const commitRename = () => {
+    onRename(editingId, editTitle);
+    setEditingId(null);
+  };
+
+  const handleDelete = (conversation) => {
+    if (window.confirm(t('sidebar.confirmDelete', { title: conversation.title }))) {
+      onDelete(conversation.id);
+    }
+  };
+
+  return (
+    <aside className="flex flex-col w-64 h-full bg-black/70 border-r border-gray-800 backdrop-blur-sm">
+      <div className="p-3 border-b border-gray-800 space-y-3">
+        <button
+          onClick={onCreate}
+          disabled={disabled}
+          className="w-full flex items-center justify-center gap-2 bg-black hover:bg-gray-800 border border-gray-600 text-white rounded-xl py-2 font-semibold transition-colors disabled:text-gray-500 disabled:cursor-not-allowed"
+        >
+          <Plus size={18} />
+          {t('sidebar.newChat')}
+        </button>
+        <div className="flex items-center gap-2 px-3 py-2 bg-gray-800 border border-gray-700 rounded-xl">
+          <Search size={16} className="text-gray-400" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t('sidebar.search')}
+            className="flex-1 bg-transparent outline-none text-sm text-white placeholder-gray-400"
+          />
+        </div>
+      </div>
+
+      <nav className="flex-1 overflow-y-auto p-2 space-y-1">
+        {visibleConversations.length === 0 && (
+          <p className="text-center text-sm text-gray-500 mt-6">
+            {query ? t('sidebar.noMatches') : t('sidebar.empty')}
+          </p>
+        )}
+        {visibleConversations.map((conversation) => {
+          const isActive = conversation.id === activeId;
+
+          if (conversation.id === editingId) {
+            return (
+              <div key={conversation.id} className="flex items-center gap-1 p-2 bg-gray-800 rounded-xl">
+                <input
+                  autoFocus
+                  value={editTitle}
+                  onChange={(e) => setEditTitle(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') commitRename();
+                    if (e.key === 'Escape') setEditingId(null);
+                  }}
+                  className="flex-1 min-w-0 bg-gray-700 rounded-lg px-2 py-1 text-sm text-white outline-none"
+                />
+                <button onClick={commitRename} className="p-1 text-gray-400 hover:text-white" title={t('common.save')}>
+                  <Check size={14} />
+                </button>
+                <button onClick={() => setEditingId(null)} className="p-1 text-gray-400 hover:text-white" title={t('common.cancel')}>
+                  <X size={14} />
+                </button>
+              </div>
+            );
+          }
+
+          return (
+            <div
+              key={conversation.id}
+              className={`group flex items-center gap-2 p-2 rounded-xl transition-colors ${
+                isActive ? 'bg-gray-800 text-white' : 'text-gray-300 hover:bg-gray-900'
+              }`}
+            >
+              <button
+                onClick={() => onSelect(conversation.id)}
+                disabled={disabled}
+                className="flex items-center gap-2 flex-1 min-w-0 text-left text-sm disabled:cursor-not-allowed"
+              >
+                <MessageSquare size={16} className="flex-shrink-0 text-gray-400" />
+                <span className="truncate">{conversation.title}</span>
+              </button>
+              <button
+                onClick={() => startRename(conversation)}
+                className="p-1 text-gray-400 hover:text-white opacity-0 group-hover:opacity-100 transition-opacity"
+                title={t('sidebar.rename')}
+              >
+                <Pencil size={14} />
+              </button>
+              <button
+                onClick={() => handleDelete(conversation)}
+                disabled={disabled && isActive}
+                className="p-1 text-gray-400 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
+                title={t('sidebar.delete')}
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          );
+        })}
+      </nav>
+    </aside>
+  );
+}
@@ -0,0 +1,32 @@
+import React, { useState } from 'react';
+import { BookOpen } from 'lucide-react';
+
+// --- Knowledge base passages a reply was grounded on ---
+// Numbered like the [n] citations in the reply; click one to read the excerpt.
+export default function SourceList({ sources, t }) {
+  const [open, setOpen] = useState(null);
+  if (!sources?.length) return null;
+
+  return (
+    <div className="mt-3 pt-2 border-t border-gray-600/60 text-xs text-gray-300">
+      <div className="flex items-center gap-1 mb-1 text-gray-400">
+        <BookOpen size={12} />
+        <span>{t('message.sources')}</span>
+      </div>
+      <ol className="space-y-1">
+        {sources.map((source, index) => (
+          <li key={`${source.documentId}-${index}`}>
+            <button
+              onClick={() => setOpen(current => (current === index ? null : index))}
+              className="text-left hover:text-white"
+              aria-expanded={open === index}
+            >
+              [{index + 1}] {source.name}{source.heading ? ` › ${source.heading}` : ''}
+            </button>
+            {open === index && <p className="mt-1 ml-5 text-gray-400 whitespace-pre-wrap">{source.excerpt}</p>}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import React from 'react';
+import { Pause, Play, SkipForward, Square } from 'lucide-react';
+
+// --- Mini player shown on the bubble that is being read aloud ---
+export default function SpeechPlayer({ playback, onPause, onResume, onSkip, onStop, t }) {
+  const { sentences, index, paused } = playback;
+  const buttonClass = 'p-1 rounded-lg hover:bg-gray-700 hover:text-white transition-colors';
+
+  return (
+    <div className="mt-3 p-2 bg-gray-900/70 border border-gray-700 rounded-lg space-y-2" aria-live="polite">
+      <p className="text-sm leading-relaxed">
+        <mark className="bg-blue-500/20 text-blue-100 rounded px-1">{sentences[index]}</mark>
+      </p>
+      <div className="flex items-center gap-1 text-gray-400">
+        {paused ? (
+          <button onClick={onResume} className={buttonClass} title={t('player.resume')}>
+            <Play size={16} />
+          </button>
+        ) : (
+          <button onClick={onPause} className={buttonClass} title={t('player.pause')}>
+            <Pause size={16} />
+          </button>
+        )}
+        <button onClick={onSkip} className={buttonClass} title={t('player.skip')}>
+          <SkipForward size={16} />
+        </button>
+        <button onClick={onStop} className={buttonClass} title={t('player.stop')}>
+          <Square size={16} />
+        </button>
+        <span className="ml-auto text-xs">{index + 1}/{sentences.length}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import React from 'react';
+import { Plus, Trash2, RotateCcw } from 'lucide-react';
+import { DEFAULT_TEMPLATES, createTemplate, templateNameError, templateVariables } from '../lib/commands';
+import { translateError } from '../lib/i18n';
+
+// --- Prompt templates, edited in the Settings modal ---
+export default function TemplateManager({ templates, onChange, t }) {
+  const updateTemplate = (id, field, value) => {
+    onChange(templates.map(template => (template.id === id ? { ...template, [field]: value } : template)));
+  };
+
+  const handleReset = () => {
+    if (window.confirm(t('templates.confirmReset'))) {
+      onChange(DEFAULT_TEMPLATES);
+    }
+  };
+
+  return (
+    <div className="p-3 bg-gray-700 rounded-xl space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="text-white">{t('templates.title')}</span>
+        <div className="flex items-center gap-1 text-gray-400">
+          <button onClick={() => onChange([...templates, createTemplate()])} className="p-1 rounded-lg hover:bg-gray-600 hover:text-white transition-colors" title={t('templates.add')}>
+            <Plus size={16} />
+          </button>
+          <button onClick={handleReset} className="p-1 rounded-lg hover:bg-gray-600 hover:text-white transition-colors" title={t('templates.reset')}>
+            <RotateCcw size={16} />
+          </button>
+        </div>
+      </div>
+      <p className="text-xs text-gray-400">{t('templates.hint', { example: '{language}' })}</p>
+
+      {templates.map(template => {
+        const error = templateNameError(template, templates);
+        const variables = templateVariables(template.text);
+        return (
+          <div key={template.id} className="p-2 bg-gray-800 border border-gray-600 rounded-lg space-y-2">
+            <div className="flex items-center gap-2">
+              <span className="font-mono text-sm text-gray-400">/</span>
+              <input
+                type="text"
+                value={template.name}
+                onChange={(e) => updateTemplate(template.id, 'name', e.target.value.trim())}
+                className="flex-1 min-w-0 bg-transparent font-mono text-sm text-white outline-none"
+                aria-label={t('templates.name')}
+              />
+              <button
+                onClick={() => onChange(templates.filter(item => item.id !== template.id))}
+                className="p-1 rounded-lg text-gray-400 hover:text-red-400 transition-colors"
+                title={t('templates.delete', { name: template.name })}
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+            <textarea
+              value={template.text}
+              onChange={(e) => updateTemplate(template.id, 'text', e.target.value)}
+              rows={3}
+              className="w-full px-2 py-1 bg-gray-900 border border-gray-600 rounded-lg text-sm text-white resize-y focus:outline-none focus:border-gray-400"
+              aria-label={t('templates.text')}
+            />
+            {error ? (
+              <p className="text-xs text-red-400">{translateError(t, error)}</p>
+            ) : variables.length > 0 && (
+              <p className="text-xs text-gray-400">{t('templates.asksFor', { variables: variables.join(', ') })}</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, Wrench } from 'lucide-react';
+
+const formatArgs = (args) => Object.entries(args || {})
+  .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+  .join(', ');
+
+// --- A tool the model called, with its input and result ---
+export default function ToolCallCard({ call, t }) {
+  const [open, setOpen] = useState(false);
+  const failed = Boolean(call.result?.error);
+
+  return (
+    <div className="bg-gray-900 border border-gray-700 rounded-lg text-xs">
+      <button
+        onClick={() => setOpen(value => !value)}
+        className="w-full flex items-center gap-2 px-3 py-2 text-left text-gray-300 hover:text-white"
+        aria-expanded={open}
+      >
+        {open ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+        <Wrench size={14} className={failed ? 'text-red-400' : 'text-blue-400'} />
+        <span className="font-mono">{call.name}</span>
+        <span className="truncate text-gray-500">({formatArgs(call.args)})</span>
+      </button>
+      {open && (
+        <div className="px-3 pb-3 space-y-2">
+          <div>
+            <p className="text-gray-500 mb-1">{t('message.toolInput')}</p>
+            <pre className="p-2 bg-black rounded overflow-x-auto text-gray-300">{JSON.stringify(call.args, null, 2)}</pre>
+          </div>
+          <div>
+            <p className="text-gray-500 mb-1">{failed ? t('message.toolError') : t('message.toolResult')}</p>
+            <pre className={`p-2 bg-black rounded overflow-x-auto ${failed ? 'text-red-300' : 'text-gray-300'}`}>
+              {failed ? call.result.error : JSON.stringify(call.result, null, 2)}
+            </pre>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { DEFAULT_AVATAR } from './MessageBubble';
+
+// --- Shown while a reply is on its way ---
+const TypingIndicator = ({ avatar = DEFAULT_AVATAR, t }) => (
+  <motion.div
+    initial={{ opacity: 0, y: 10 }}
+    animate={{ opacity: 1, y: 0 }}
+    className="flex items-center gap-3"
+    role="status"
+    aria-label={t('message.typing')}
+  >
+    <img 
+      src={avatar} 
+      alt="Rugved AI" 
+      className="w-8 h-8 rounded-xl object-cover flex-shrink-0"
+    />
+    <div className="flex items-center space-x-1 p-3 bg-gray-800 border border-gray-700 rounded-xl">
+      <motion.div
+        className="w-2 h-2 bg-gray-400 rounded-full"
+        animate={{ y: [0, -4, 0] }}
+        transition={{ duration: 0.8, repeat: Infinity, ease: "easeInOut" }}
+      />
+      <motion.div
+        className="w-2 h-2 bg-gray-400 rounded-full"
+        animate={{ y: [0, -4, 0] }}
+        transition={{ duration: 0.8, repeat: Infinity, ease: "easeInOut", delay: 0.2 }}
+      />
+      <motion.div
+        className="w-2 h-2 bg-gray-400 rounded-full"
+        animate={{ y: [0, -4, 0] }}
+        transition={{ duration: 0.8, repeat: Infinity, ease: "easeInOut", delay: 0.4 }}
+      />
+    </div>
+  </motion.div>
+);
+
+export default TypingIndicator;
@@ -0,0 +1,82 @@
+import React, { useEffect, useState } from 'react';
+import { Volume2 } from 'lucide-react';
+import { SPEECH_LANGUAGES, speakText, speechSynthesisSupported } from '../lib/speech';
+
+// Voices load asynchronously in most browsers
+const useVoices = () => {
+  const [voices, setVoices] = useState(() => (speechSynthesisSupported() ? speechSynthesis.getVoices() : []));
+
+  useEffect(() => {
+    if (!speechSynthesisSupported()) return undefined;
+    const update = () => setVoices(speechSynthesis.getVoices());
+    speechSynthesis.addEventListener('voiceschanged', update);
+    return () => speechSynthesis.removeEventListener('voiceschanged', update);
+  }, []);
+
+  return voices;
+};
+
+// --- Settings section for voice input and output ---
+export default function VoiceSettings({ settings, onChange, t }) {
+  const voices = useVoices();
+  const inputClass = 'mt-1 w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="p-3 bg-gray-700 rounded-xl space-y-3">
+      <div>
+        <span className="text-white">{t('voice.title')}</span>
+        <p className="text-xs text-gray-400">{t('voice.hint')}</p>
+      </div>
+      <label className="block">
+        <span className="text-white text-sm">{t('voice.recognitionLanguage')}</span>
+        <select value={settings.speechLang} onChange={(e) => onChange('speechLang', e.target.value)} className={inputClass}>
+          {SPEECH_LANGUAGES.map(language => (
+            <option key={language.code} value={language.code}>{language.label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="block">
+        <span className="text-white text-sm">{t('voice.replyVoice')}</span>
+        <select value={settings.voiceURI} onChange={(e) => onChange('voiceURI', e.target.value)} className={inputClass}>
+          <option value="">{t('voice.automatic')}</option>
+          {voices.map(voice => (
+            <option key={voice.voiceURI} value={voice.voiceURI}>{voice.name} ({voice.lang})</option>
+          ))}
+        </select>
+      </label>
+      <div className="grid grid-cols-2 gap-3">
+        <label className="block">
+          <span className="text-white text-sm">{t('voice.rate', { rate: settings.speechRate.toFixed(1) })}</span>
+          <input
+            type="range"
+            min="0.5"
+            max="2"
+            step="0.1"
+            value={settings.speechRate}
+            onChange={(e) => onChange('speechRate', Number(e.target.value))}
+            className="mt-2 w-full"
+          />
+        </label>
+        <label className="block">
+          <span className="text-white text-sm">{t('voice.pitch', { pitch: settings.speechPitch.toFixed(1) })}</span>
+          <input
+            type="range"
+            min="0"
+            max="2"
+            step="0.1"
+            value={settings.speechPitch}
+            onChange={(e) => onChange('speechPitch', Number(e.target.value))}
+            className="mt-2 w-full"
+          />
+        </label>
+      </div>
+      <button
+        onClick={() => speakText(t('voice.testPhrase'), settings)}
+        disabled={!speechSynthesisSupported()}
+        className="flex items-center gap-2 text-sm text-gray-300 hover:text-white disabled:text-gray-500"
+      >
+        <Volume2 size={16} /> {t('voice.test')}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { createConversationId, deriveTitle, sortByUpdated } from '../lib/conversations';
+
+// --- Conversation list backed by a pluggable store ---
+export default function useConversations(store) {
+  const [conversations, setConversations] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const conversationsRef = useRef(conversations);
+  conversationsRef.current = conversations;
+
+  useEffect(() => {
+    let cancelled = false;
+    store.list()
+      .then(list => { if (!cancelled) setConversations(sortByUpdated(list)); })
+      .catch(error => console.error('Failed to load conversations:', error));
+    return () => { cancelled = true; };
+  }, [store]);
+
+  const putConversation = useCallback((conversation) => {
+    setConversations(prev => sortByUpdated([...prev.filter(conv => conv.id !== conversation.id), conversation]));
+    store.put(conversation).catch(error => console.error('Failed to save conversation:', error));
+  }, [store]);
+
+  const startConversation = useCallback(() => {
+    const id = createConversationId();
+    setActiveId(id);
+    return id;
+  }, []);
+
+  // Save messages into a conversation, creating it on first save. `fields`
+  // carries per-conversation metadata such as the persona.
+  const saveMessages = useCallback((id, messages, fields = {}) => {
+    const existing = conversationsRef.current.find(conv => conv.id === id);
+    if (existing && existing.messages === messages) return;
+
+    const now = Date.now();
+    putConversation(existing
+      ? { ...existing, ...fields, messages, updatedAt: now }
+      : { id, title: deriveTitle(messages), ...fields, messages, createdAt: now, updatedAt: now });
+  }, [putConversation]);
+
+  const updateConversation = useCallback((id, fields) => {
+    const existing = conversationsRef.current.find(conv => conv.id === id);
+    if (existing) {
+      putConversation({ ...existing, ...fields });
+    }
+  }, [putConversation]);
+
+  const renameConversation = useCallback((id, title) => {
+    if (title.trim()) {
+      updateConversation(id, { title: title.trim() });
+    }
+  }, [updateConversation]);
+
+  const deleteConversation = useCallback((id) => {
+    setConversations(prev => prev.filter(conv => conv.id !== id));
+    setActiveId(current => (current === id ? null : current));
+    store.remove(id).catch(error => console.error('Failed to delete conversation:', error));
+  }, [store]);
+
+  return {
+    conversations,
+    activeId,
+    setActiveId,
+    startConversation,
+    saveMessages,
+    updateConversation,
+    renameConversation,
+    deleteConversation,
+  };
+}
@@ -0,0 +1,26 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// --- Feedback records backed by a pluggable store, newest first ---
+export default function useFeedback(store) {
+  const [records, setRecords] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    store.list()
+      .then(list => { if (!cancelled) setRecords([...list].sort((a, b) => b.updatedAt - a.updatedAt)); })
+      .catch(error => console.error('Failed to load feedback:', error));
+    return () => { cancelled = true; };
+  }, [store]);
+
+  const saveRecord = useCallback((record) => {
+    setRecords(prev => [record, ...prev.filter(other => other.id !== record.id)]);
+    store.put(record).catch(error => console.error('Failed to save feedback:', error));
+  }, [store]);
+
+  const removeRecord = useCallback((id) => {
+    setRecords(prev => prev.filter(record => record.id !== id));
+    store.remove(id).catch(error => console.error('Failed to delete feedback:', error));
+  }, [store]);
+
+  return { records, saveRecord, removeRecord };
+}
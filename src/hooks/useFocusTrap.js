@@ -0,0 +1,55 @@
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// --- Keeps keyboard focus inside a modal while it is open ---
+// Focuses the first field, cycles Tab and Shift+Tab within the container,
+// calls onEscape for Escape and gives focus back to where it was on close.
+export default function useFocusTrap(active, onEscape) {
+  const containerRef = useRef(null);
+  const onEscapeRef = useRef(onEscape);
+  onEscapeRef.current = onEscape;
+
+  useEffect(() => {
+    if (!active) return undefined;
+    const container = containerRef.current;
+    if (!container) return undefined;
+    const previous = document.activeElement;
+    const focusable = () => [...container.querySelectorAll(FOCUSABLE)];
+
+    if (!container.contains(document.activeElement)) {
+      (focusable()[0] || container).focus();
+    }
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && onEscapeRef.current) {
+        e.stopPropagation();
+        onEscapeRef.current();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      const items = focusable();
+      if (items.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    container.addEventListener('keydown', handleKeyDown);
+    return () => {
+      container.removeEventListener('keydown', handleKeyDown);
+      if (previous && document.contains(previous)) previous.focus();
+    };
+  }, [active]);
+
+  return containerRef;
+}
@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { KnowledgeError, buildIndex, readKnowledgeFile } from '../lib/knowledge';
+
+// --- Knowledge base documents backed by a pluggable store ---
+// `index` is rebuilt whenever the documents change.
+export default function useKnowledgeBase(store) {
+  const [documents, setDocuments] = useState([]);
+  const [isIndexing, setIsIndexing] = useState(false);
+  // KnowledgeErrors from the last upload, translated where they are shown
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    store.list()
+      .then(list => { if (!cancelled) setDocuments([...list].sort((a, b) => b.addedAt - a.addedAt)); })
+      .catch(loadError => console.error('Failed to load knowledge base:', loadError));
+    return () => { cancelled = true; };
+  }, [store]);
+
+  const index = useMemo(() => buildIndex(documents), [documents]);
+
+  // Files that can't be read are reported; the rest are still added
+  const addFiles = useCallback(async (files) => {
+    setIsIndexing(true);
+    setErrors([]);
+    const failures = [];
+    for (const file of Array.from(files)) {
+      try {
+        const document = await readKnowledgeFile(file);
+        // Only documents that were stored are used for retrieval
+        await store.put(document);
+        setDocuments(prev => [document, ...prev]);
+      } catch (caught) {
+        if (!(caught instanceof KnowledgeError)) console.error('Failed to add document:', caught);
+        failures.push(caught instanceof KnowledgeError ? caught : new KnowledgeError('knowledge.addFailed', { name: file.name }));
+      }
+    }
+    setErrors(failures);
+    setIsIndexing(false);
+  }, [store]);
+
+  const removeDocument = useCallback((id) => {
+    setDocuments(prev => prev.filter(document => document.id !== id));
+    store.remove(id).catch(removeError => console.error('Failed to delete document:', removeError));
+  }, [store]);
+
+  return { documents, index, isIndexing, errors, addFiles, removeDocument };
+}
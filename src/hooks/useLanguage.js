@@ -0,0 +1,14 @@
+import { useEffect, useMemo } from 'react';
+import { createTranslator, findLanguage } from '../lib/i18n';
+
+// --- Applies the interface language to the document ---
+// Returns t(key, params) for the language (see ../lib/i18n).
+export default function useLanguage(language) {
+  const { locale } = findLanguage(language);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  return useMemo(() => createTranslator(language), [language]);
+}
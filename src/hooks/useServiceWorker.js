@@ -0,0 +1,19 @@
+import { useCallback, useEffect, useState } from 'react';
+import { activateUpdate, registerServiceWorker, serviceWorkerSupported } from '../lib/serviceWorker';
+
+// --- Registers the service worker and reports waiting updates ---
+export default function useServiceWorker() {
+  const [waiting, setWaiting] = useState(null);
+
+  useEffect(() => {
+    if (!serviceWorkerSupported()) return;
+    registerServiceWorker({ onUpdate: setWaiting })
+      .catch(error => console.error('Service worker registration failed:', error));
+  }, []);
+
+  const update = useCallback(() => {
+    if (waiting) activateUpdate(waiting);
+  }, [waiting]);
+
+  return { updateReady: Boolean(waiting), update };
+}
@@ -0,0 +1,80 @@
+import { useEffect, useState } from 'react';
+import { findCommand, matchCommands, missingArguments, parseArguments, parseCommandInput } from '../lib/commands';
+
+// --- Slash command palette for the composer ---
+// Offers matching commands while "/name" is being typed and asks for any
+// arguments that weren't typed after the name. `onRun(command, values)` does
+// the work once every required argument has a value.
+export default function useSlashCommands({ input, setInput, commands, onRun }) {
+  const [selected, setSelected] = useState(0);
+  const [dismissed, setDismissed] = useState(false);
+  const [pending, setPending] = useState(null);
+
+  const suggestions = dismissed ? [] : matchCommands(commands, input);
+
+  useEffect(() => {
+    setSelected(0);
+    setDismissed(false);
+  }, [input]);
+
+  const run = (command, values) => {
+    setPending(null);
+    setInput('');
+    onRun(command, values);
+  };
+
+  const choose = (command, argText = '') => {
+    const values = parseArguments(command, argText);
+    if (missingArguments(command, values).length > 0) {
+      setInput('');
+      setPending({ command, values });
+      return;
+    }
+    run(command, values);
+  };
+
+  // Runs the composer text when it names a command; false for a message
+  const submit = () => {
+    const parsed = parseCommandInput(input);
+    const command = parsed && findCommand(commands, parsed.name);
+    if (!command) return false;
+    choose(command, parsed.argText);
+    return true;
+  };
+
+  // Palette navigation; returns true when the key was used
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return false;
+    const current = suggestions[Math.min(selected, suggestions.length - 1)];
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setSelected(index => (index + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Tab') {
+      setInput(`/${current.name} `);
+    } else if (e.key === 'Enter' && !e.shiftKey) {
+      // A bare "/" runs nothing; a command that needs confirming is completed
+      // instead, and the next Enter runs it
+      const typed = parseCommandInput(input).name;
+      if (typed && current.confirm && typed !== current.name.toLowerCase()) setInput(`/${current.name} `);
+      else if (typed) choose(current);
+    } else if (e.key === 'Escape') {
+      setDismissed(true);
+    } else {
+      return false;
+    }
+    e.preventDefault();
+    return true;
+  };
+
+  return {
+    suggestions,
+    selected: Math.min(selected, Math.max(suggestions.length - 1, 0)),
+    setSelected,
+    pending,
+    choose,
+    run,
+    submit,
+    cancel: () => setPending(null),
+    handleKeyDown,
+  };
+}
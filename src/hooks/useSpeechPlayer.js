@@ -0,0 +1,35 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createSpeechQueue, speechSynthesisSupported, splitSentences } from '../lib/speech';
+
+// --- Reply read-aloud ---
+// One reply is read at a time. `playback` is null when idle, otherwise
+// { messageId, sentences, index, paused } for the bubble's mini player.
+export default function useSpeechPlayer(settings) {
+  const queueRef = useRef(null);
+  const [playback, setPlayback] = useState(null);
+
+  useEffect(() => () => queueRef.current?.stop(), []);
+
+  const speak = useCallback((messageId, text) => {
+    const sentences = splitSentences(text);
+    if (!speechSynthesisSupported() || sentences.length === 0) return;
+
+    queueRef.current?.stop();
+    const queue = createSpeechQueue(sentences, settings, {
+      onChange: ({ index, paused }) => setPlayback({ messageId, sentences, index, paused }),
+      onEnd: () => {
+        if (queueRef.current !== queue) return;
+        queueRef.current = null;
+        setPlayback(null);
+      },
+    });
+    queueRef.current = queue;
+  }, [settings]);
+
+  const pause = useCallback(() => queueRef.current?.pause(), []);
+  const resume = useCallback(() => queueRef.current?.resume(), []);
+  const skip = useCallback(() => queueRef.current?.skip(), []);
+  const stop = useCallback(() => queueRef.current?.stop(), []);
+
+  return { playback, speak, pause, resume, skip, stop };
+}
@@ -0,0 +1,76 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getSpeechRecognition } from '../lib/speech';
+
+// --- Speech recognition ---
+// Wraps the Web Speech API in continuous mode with interim results.
+// `onResult({ finalText, interimText })` receives the whole transcript of the
+// current session each time it changes; `onEnd` runs whenever recognition
+// stops, including when the browser ends it on its own after a pause.
+export default function useSpeechRecognition({ lang, onResult, onEnd }) {
+  const recognitionRef = useRef(null);
+  const handlersRef = useRef({});
+  const [listening, setListening] = useState(false);
+
+  handlersRef.current = { onResult, onEnd };
+
+  useEffect(() => {
+    const SpeechRecognition = getSpeechRecognition();
+    if (!SpeechRecognition) return undefined;
+
+    const recognition = new SpeechRecognition();
+    recognition.continuous = true;
+    recognition.interimResults = true;
+    recognition.lang = lang;
+
+    recognition.onresult = (event) => {
+      let finalText = '';
+      let interimText = '';
+      for (let i = 0; i < event.results.length; i += 1) {
+        const result = event.results[i];
+        if (result.isFinal) finalText += result[0].transcript;
+        else interimText += result[0].transcript;
+      }
+      handlersRef.current.onResult?.({ finalText, interimText });
+    };
+    recognition.onerror = (event) => {
+      // Silence and our own abort() are routine
+      if (event.error !== 'no-speech' && event.error !== 'aborted') {
+        console.error('Speech recognition error:', event.error);
+      }
+    };
+    recognition.onend = () => {
+      setListening(false);
+      handlersRef.current.onEnd?.();
+    };
+    recognitionRef.current = recognition;
+
+    return () => {
+      recognition.onend = null;
+      recognition.abort();
+      recognitionRef.current = null;
+      setListening(false);
+    };
+  }, [lang]);
+
+  const start = useCallback(() => {
+    if (!recognitionRef.current) return;
+    try {
+      recognitionRef.current.start();
+      setListening(true);
+    } catch {
+      // Already listening
+    }
+  }, []);
+
+  // Stops after delivering the final result for what was already said
+  const stop = useCallback(() => {
+    recognitionRef.current?.stop();
+  }, []);
+
+  // Stops without delivering pending results
+  const abort = useCallback(() => {
+    recognitionRef.current?.abort();
+  }, []);
+
+  return { supported: Boolean(getSpeechRecognition()), listening, start, stop, abort };
+}
@@ -0,0 +1,25 @@
+import { useEffect, useState } from 'react';
+import { LIGHT_SCHEME_QUERY, applyAppearance, prefersLightScheme, resolveTheme } from '../lib/theme';
+
+// --- Applies the appearance settings to the document ---
+// Returns the theme in effect ('dark' or 'light'), following the system
+// colour scheme when the setting is 'system'.
+export default function useTheme({ theme, highContrast, fontSize, reduceMotion }) {
+  const [systemLight, setSystemLight] = useState(prefersLightScheme);
+
+  useEffect(() => {
+    const query = window.matchMedia?.(LIGHT_SCHEME_QUERY);
+    if (!query) return undefined;
+    const update = () => setSystemLight(query.matches);
+    query.addEventListener('change', update);
+    return () => query.removeEventListener('change', update);
+  }, []);
+
+  const resolved = resolveTheme(theme, systemLight);
+
+  useEffect(() => {
+    applyAppearance(document.documentElement, { theme: resolved, highContrast, fontSize, reduceMotion });
+  }, [resolved, highContrast, fontSize, reduceMotion]);
+
+  return resolved;
+}
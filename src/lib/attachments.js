@@ -0,0 +1,95 @@
+import { TranslatableError } from './i18n';
+
+// --- Message attachments ---
+// Files are read into base64 so they can be stored with the conversation and
+// sent inline with the request. An attachment is
+// { id, name, mimeType, size, kind: 'image' | 'pdf' | 'text', data }.
+
+export const MAX_FILE_BYTES = 7 * 1024 * 1024;
+export const MAX_TOTAL_BYTES = 15 * 1024 * 1024;
+export const MAX_FILES = 5;
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// Source and config files often have no (or an odd) MIME type in the browser
+const TEXT_EXTENSIONS = ['txt', 'md', 'csv', 'json', 'yaml', 'yml', 'xml', 'launch', 'urdf', 'log',
+  'c', 'h', 'cpp', 'hpp', 'cc', 'ino', 'py', 'js', 'ts', 'sh', 'cmake', 'ini', 'toml'];
+
+export const ACCEPTED_FILES = [...IMAGE_TYPES, 'application/pdf', 'text/*', ...TEXT_EXTENSIONS.map(ext => `.${ext}`)].join(',');
+
+export class AttachmentError extends TranslatableError {}
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const attachmentKind = (file) => {
+  if (IMAGE_TYPES.includes(file.type)) return 'image';
+  if (file.type === 'application/pdf') return 'pdf';
+  const extension = file.name.split('.').pop().toLowerCase();
+  if (file.type.startsWith('text/') || TEXT_EXTENSIONS.includes(extension)) return 'text';
+  return null;
+};
+
+export const attachmentDataUrl = (attachment) => `data:${attachment.mimeType};base64,${attachment.data}`;
+
+// Text attachments are sent as plain text to providers without file support
+export const decodeTextAttachment = (attachment) => {
+  const bytes = Uint8Array.from(atob(attachment.data), char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+const readAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+  reader.onerror = () => reject(new AttachmentError('attachments.readFailed', { name: file.name }));
+  reader.readAsDataURL(file);
+});
+
+// Checks new files against the ones already attached; throws AttachmentError
+export const validateFiles = (existing, files) => {
+  if (existing.length + files.length > MAX_FILES) {
+    throw new AttachmentError('attachments.tooMany', { max: MAX_FILES });
+  }
+
+  let total = existing.reduce((sum, attachment) => sum + attachment.size, 0);
+  files.forEach(file => {
+    if (!attachmentKind(file)) {
+      throw new AttachmentError('attachments.notSupported', { name: file.name });
+    }
+    if (file.size > MAX_FILE_BYTES) {
+      throw new AttachmentError('attachments.tooLarge', { name: file.name, size: formatBytes(file.size), limit: formatBytes(MAX_FILE_BYTES) });
+    }
+    total += file.size;
+  });
+
+  if (total > MAX_TOTAL_BYTES) {
+    throw new AttachmentError('attachments.totalTooLarge', { limit: formatBytes(MAX_TOTAL_BYTES) });
+  }
+};
+
+export const readAttachments = async (existing, files) => {
+  validateFiles(existing, files);
+  return Promise.all(files.map(async (file, index) => {
+    const kind = attachmentKind(file);
+    return {
+      id: `att-${Date.now().toString(36)}-${index}`,
+      name: file.name,
+      // Text files are normalised so every provider accepts them
+      mimeType: kind === 'text' ? 'text/plain' : file.type,
+      size: file.size,
+      kind,
+      data: await readAsBase64(file),
+    };
+  }));
+};
+
+// Message text with any text attachments inlined ahead of it
+export const withTextAttachments = (message) => [
+  ...(message.attachments || [])
+    .filter(attachment => attachment.kind === 'text')
+    .map(attachment => `[Attached file: ${attachment.name}]\n${decodeTextAttachment(attachment)}`),
+  message.text,
+].filter(Boolean).join('\n\n');
@@ -0,0 +1,28 @@
+import { MAX_FILE_BYTES, attachmentKind, readAttachments, validateFiles, withTextAttachments } from './attachments';
+
+const fakeFile = (name, type, size = 10) => ({ name, type, size });
+
+test('classifies images, PDFs and source files', () => {
+  expect(attachmentKind(fakeFile('wiring.jpg', 'image/jpeg'))).toBe('image');
+  expect(attachmentKind(fakeFile('datasheet.pdf', 'application/pdf'))).toBe('pdf');
+  expect(attachmentKind(fakeFile('pid.py', ''))).toBe('text');
+  expect(attachmentKind(fakeFile('firmware.bin', 'application/octet-stream'))).toBeNull();
+});
+
+test('rejects unsupported, oversized and too many files with clear messages', () => {
+  expect(() => validateFiles([], [fakeFile('firmware.bin', 'application/octet-stream')]))
+    .toThrow('firmware.bin is not supported');
+  expect(() => validateFiles([], [fakeFile('scan.png', 'image/png', MAX_FILE_BYTES + 1)]))
+    .toThrow('the limit is 7.0 MB per file');
+  expect(() => validateFiles([], Array.from({ length: 6 }, (_, i) => fakeFile(`${i}.png`, 'image/png'))))
+    .toThrow('up to 5 files');
+});
+
+test('reads files as base64 and inlines text attachments', async () => {
+  const file = new File(['ros2 launch rover.launch.py'], 'notes.md', { type: 'text/markdown' });
+  const [attachment] = await readAttachments([], [file]);
+
+  expect(attachment).toMatchObject({ name: 'notes.md', mimeType: 'text/plain', kind: 'text' });
+  expect(withTextAttachments({ text: 'What does this do?', attachments: [attachment] }))
+    .toBe('[Attached file: notes.md]\nros2 launch rover.launch.py\n\nWhat does this do?');
+});
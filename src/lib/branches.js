@@ -0,0 +1,41 @@
+// --- Message branches ---
+// `messages` is always the currently selected path through the conversation.
+// A message that has been edited or regenerated carries the alternatives as
+//   branches: [tail, tail, …]   one entry per version of this message
+//   branchIndex: number         the version that is on screen
+// where each tail is that version plus everything that followed it. The entry
+// at `branchIndex` is null because its tail is the live `messages` array.
+
+const stripBranches = ({ branches, branchIndex, ...message }) => message;
+
+export const branchCount = (message) => message.branches?.length || 1;
+
+// Stored tails, with the live one written back in place of its null entry
+const storeLiveTail = (messages, index) => {
+  const current = messages[index];
+  const branches = current.branches || [null];
+  const liveTail = [stripBranches(current), ...messages.slice(index + 1)];
+  return branches.map((tail, i) => (i === (current.branchIndex ?? 0) ? liveTail : tail));
+};
+
+// Adds `message` as a new version at `index`; the messages after it are kept
+// in the previous version's branch
+export const addBranch = (messages, index, message) => {
+  const branches = storeLiveTail(messages, index);
+  return [
+    ...messages.slice(0, index),
+    { ...stripBranches(message), branches: [...branches, null], branchIndex: branches.length },
+  ];
+};
+
+export const selectBranch = (messages, index, branchIndex) => {
+  const current = messages[index];
+  if (!current.branches?.[branchIndex] || branchIndex === current.branchIndex) return messages;
+  const branches = storeLiveTail(messages, index);
+  const [selected, ...rest] = branches[branchIndex];
+  return [
+    ...messages.slice(0, index),
+    { ...selected, branches: branches.map((tail, i) => (i === branchIndex ? null : tail)), branchIndex },
+    ...rest,
+  ];
+};
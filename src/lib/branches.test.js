@@ -0,0 +1,39 @@
+import { addBranch, branchCount, selectBranch } from './branches';
+
+const conversation = [
+  { id: 1, sender: 'user', text: 'Which IMU?' },
+  { id: 2, sender: 'ai', text: 'The BNO055.' },
+  { id: 3, sender: 'user', text: 'Wiring?' },
+  { id: 4, sender: 'ai', text: 'Use I2C.' },
+];
+
+test('adds a version and drops the old tail from the live path', () => {
+  const edited = addBranch(conversation, 0, { id: 5, sender: 'user', text: 'Which GPS?' });
+  expect(edited.map(msg => msg.text)).toEqual(['Which GPS?']);
+  expect(edited[0].branchIndex).toBe(1);
+  expect(branchCount(edited[0])).toBe(2);
+  expect(branchCount(conversation[0])).toBe(1);
+});
+
+test('switches between versions without losing either tail', () => {
+  const regenerated = [
+    ...addBranch(conversation, 1, { id: 5, sender: 'ai', text: 'The MPU-6050.' }),
+    { id: 6, sender: 'user', text: 'Datasheet?' },
+  ];
+
+  const first = selectBranch(regenerated, 1, 0);
+  expect(first.map(msg => msg.text)).toEqual(['Which IMU?', 'The BNO055.', 'Wiring?', 'Use I2C.']);
+  expect(first[1].branchIndex).toBe(0);
+
+  const second = selectBranch(first, 1, 1);
+  expect(second.map(msg => msg.text)).toEqual(['Which IMU?', 'The MPU-6050.', 'Datasheet?']);
+  expect(selectBranch(second, 1, 5)).toBe(second);
+});
+
+test('keeps nested branches inside stored tails', () => {
+  const nested = addBranch(conversation, 3, { id: 5, sender: 'ai', text: 'Use SPI.' });
+  const edited = addBranch(nested, 0, { id: 6, sender: 'user', text: 'Which GPS?' });
+  const restored = selectBranch(edited, 0, 0);
+  expect(restored.map(msg => msg.text)).toEqual(['Which IMU?', 'The BNO055.', 'Wiring?', 'Use SPI.']);
+  expect(selectBranch(restored, 3, 0)[3].text).toBe('Use I2C.');
+});
@@ -0,0 +1,98 @@
+import { TranslatableError } from './i18n';
+
+// --- Slash commands and prompt templates ---
+// Typing "/" in the composer opens a palette of commands. Built-in commands
+// act on the app; prompt templates are user-defined texts with {variables}
+// that are filled in and put into the composer to be finished and sent. A
+// command is
+//   { name, description?, args: [{ name, options?, optional? }], template?, confirm? }
+// where `options` lists the accepted values of an argument. Commands with
+// `confirm` throw work away, so they only run once their name is typed out.
+// Built-in commands are described in the catalogues
+// (commands.description.<name>), templates by the start of their text.
+
+export const EXPORT_FORMATS = ['markdown', 'json', 'pdf'];
+
+export const builtInCommands = (personas) => [
+  { name: 'clear', args: [], confirm: true },
+  { name: 'new', args: [], confirm: true },
+  { name: 'persona', args: [{ name: 'persona', options: personas.map(persona => persona.name) }] },
+  { name: 'export', args: [{ name: 'format', options: EXPORT_FORMATS }] },
+  { name: 'model', args: [{ name: 'model', optional: true }] },
+];
+
+export const DEFAULT_TEMPLATES = [
+  {
+    id: 'review-code',
+    name: 'review-code',
+    text: 'Review the following {language} code for bugs, undefined behaviour, timing problems and readability. List the issues by severity and suggest fixes.\n\n',
+  },
+  {
+    id: 'datasheet',
+    name: 'datasheet',
+    text: 'Summarise the key specifications of the {part}: supply voltage, current draw, interfaces, operating temperature and anything that commonly trips people up when integrating it.',
+  },
+];
+
+export const createTemplate = () => ({ id: `tpl-${Date.now().toString(36)}`, name: 'new-template', text: '' });
+
+// Command names are typed after "/", so they can't contain spaces. Returns a
+// TranslatableError, or null for a usable name.
+export const templateNameError = (template, templates) => {
+  if (!/^[a-z0-9][a-z0-9_-]*$/i.test(template.name)) return new TranslatableError('templates.invalidName');
+  if (builtInCommands([]).some(command => command.name === template.name.toLowerCase())) {
+    return new TranslatableError('templates.builtIn', { name: template.name });
+  }
+  if (templates.some(other => other.id !== template.id && other.name.toLowerCase() === template.name.toLowerCase())) {
+    return new TranslatableError('templates.duplicate');
+  }
+  return null;
+};
+
+export const templateVariables = (text) => [...new Set([...text.matchAll(/\{([\w-]+)\}/g)].map(match => match[1]))];
+
+export const fillTemplate = (text, values) => text.replace(/\{([\w-]+)\}/g, (placeholder, name) => values[name] ?? placeholder);
+
+// Templates whose name can't be typed as a command are left out
+export const templateCommands = (templates) => templates.filter(template => !templateNameError(template, templates)).map(template => ({
+  name: template.name,
+  description: template.text.replace(/\s+/g, ' ').trim().slice(0, 80),
+  args: templateVariables(template.text).map(name => ({ name })),
+  template,
+}));
+
+// "/name rest" → { name, argText }; null when the input isn't a command
+export const parseCommandInput = (input) => {
+  const match = input.match(/^\/(\S*)(?:\s+([\s\S]*))?$/);
+  return match ? { name: match[1].toLowerCase(), argText: (match[2] || '').trim() } : null;
+};
+
+// Names of the commands to offer while the command name is being typed
+export const matchCommands = (commands, input) => {
+  const match = input.match(/^\/(\S*)$/);
+  if (!match) return [];
+  const query = match[1].toLowerCase();
+  return commands.filter(command => command.name.toLowerCase().startsWith(query));
+};
+
+export const findCommand = (commands, name) => commands.find(command => command.name.toLowerCase() === name);
+
+// Positional values for the command's arguments. Quote a value to keep its
+// spaces; the last argument takes whatever is left over.
+export const parseArguments = (command, argText) => {
+  const tokens = [...argText.matchAll(/"([^"]*)"|(\S+)/g)].map(match => match[1] ?? match[2]);
+  const values = {};
+  command.args.forEach((arg, index) => {
+    const isLast = index === command.args.length - 1;
+    const value = isLast ? tokens.slice(index).join(' ') : tokens[index];
+    if (value) values[arg.name] = value;
+  });
+  return values;
+};
+
+export const missingArguments = (command, values) => command.args.filter(arg => !arg.optional && !values[arg.name]);
+
+// The option an argument value refers to, matched without regard to case
+export const matchOption = (arg, value) => (
+  arg.options ? arg.options.find(option => option.toLowerCase() === value.toLowerCase()) : value
+);
@@ -0,0 +1,41 @@
+import {
+  DEFAULT_TEMPLATES, builtInCommands, fillTemplate, findCommand, matchCommands, matchOption,
+  missingArguments, parseArguments, parseCommandInput, templateCommands, templateNameError,
+} from './commands';
+
+const personas = [{ id: 'general', name: 'RUGVED general' }, { id: 'embedded', name: 'Embedded C reviewer' }];
+const commands = [...builtInCommands(personas), ...templateCommands(DEFAULT_TEMPLATES)];
+
+test('offers commands while the name is typed', () => {
+  expect(matchCommands(commands, '/').length).toBe(commands.length);
+  expect(matchCommands(commands, '/RE').map(command => command.name)).toEqual(['review-code']);
+  expect(matchCommands(commands, '/persona ')).toEqual([]);
+  expect(matchCommands(commands, 'hello /new')).toEqual([]);
+});
+
+test('parses names and positional arguments', () => {
+  expect(parseCommandInput('/Persona  Embedded C reviewer ')).toEqual({ name: 'persona', argText: 'Embedded C reviewer' });
+  expect(parseCommandInput('What is /dev/ttyUSB0?')).toBeNull();
+
+  const persona = findCommand(commands, 'persona');
+  const values = parseArguments(persona, 'embedded c reviewer');
+  expect(values).toEqual({ persona: 'embedded c reviewer' });
+  expect(matchOption(persona.args[0], values.persona)).toBe('Embedded C reviewer');
+
+  const twoArgs = { args: [{ name: 'part' }, { name: 'use' }] };
+  expect(parseArguments(twoArgs, '"BNO055 IMU" rover heading')).toEqual({ part: 'BNO055 IMU', use: 'rover heading' });
+  expect(missingArguments(twoArgs, { part: 'x' }).map(arg => arg.name)).toEqual(['use']);
+  expect(missingArguments(findCommand(commands, 'model'), {})).toEqual([]);
+});
+
+test('turns templates into commands that fill their variables', () => {
+  const review = findCommand(commands, 'review-code');
+  expect(review.args).toEqual([{ name: 'language' }]);
+  expect(fillTemplate('Port this {language} to {target}', { language: 'Python' })).toBe('Port this Python to {target}');
+
+  expect(templateNameError({ id: 'a', name: 'has space' }, []).message).toMatch(/letters/);
+  expect(templateNameError({ id: 'a', name: 'export' }, []).message).toBe('/export is a built-in command.');
+  expect(templateNameError({ id: 'a', name: 'dup' }, [{ id: 'b', name: 'DUP' }]).message).toBe('Another template has this name.');
+  expect(templateNameError({ id: 'a', name: 'dup' }, [])).toBeNull();
+  expect(templateCommands([{ id: 'a', name: 'new', text: 'x' }])).toEqual([]);
+});
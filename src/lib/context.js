@@ -0,0 +1,85 @@
+import { messageTokens, estimateTokens } from './tokens';
+
+// --- Context window management ---
+// When a conversation grows past the context budget, older turns are
+// summarised into a message with sender 'summary' that is inserted where the
+// verbatim history resumes. Only the latest summary and the messages after it
+// are sent; the summary travels in the system prompt so every provider
+// accepts it. The summarised messages stay in the chat for the reader.
+
+export const isSummary = (message) => message.sender === 'summary';
+
+const lastSummaryIndex = (messages) => {
+  for (let i = messages.length - 1; i >= 0; i -= 1) {
+    if (isSummary(messages[i])) return i;
+  }
+  return -1;
+};
+
+// The latest summary (or null) and the messages sent verbatim after it
+export const activeContext = (messages) => {
+  const index = lastSummaryIndex(messages);
+  return { summary: index >= 0 ? messages[index] : null, messages: messages.slice(index + 1) };
+};
+
+export const withSummary = (systemPrompt, summary) => (
+  summary ? `${systemPrompt}\n\nSummary of the earlier conversation:\n${summary.text}` : systemPrompt
+);
+
+const attachedNames = (message) => (
+  message.attachments?.length ? ` [attached: ${message.attachments.map(attachment => attachment.name).join(', ')}]` : ''
+);
+
+// Chat messages as provider turns. Files travel with their turn for as long
+// as it is in the active context, so follow-up questions can still see them;
+// contextTokens counts them, and the budget decides when a turn and its
+// files are summarised away.
+export const requestMessages = (messages) => messages.map(message => ({
+  role: message.sender === 'user' ? 'user' : 'assistant',
+  text: message.text,
+  ...(message.attachments?.length ? { attachments: message.attachments } : {}),
+}));
+
+// Estimated size of the request that `messages` would produce
+export const contextTokens = (messages, systemPrompt) => {
+  const { summary, messages: recent } = activeContext(messages);
+  return estimateTokens(withSummary(systemPrompt, summary))
+    + recent.reduce((sum, message) => sum + messageTokens(message), 0);
+};
+
+// Index from which messages are kept verbatim when the context is over
+// budget, or -1 when no compaction is needed (or nothing is old enough to
+// summarise). Whole turns are kept, newest first, up to half the budget; the
+// latest user message is always kept.
+export const compactionPoint = (messages, systemPrompt, budget) => {
+  if (!budget || contextTokens(messages, systemPrompt) <= budget) return -1;
+
+  const start = lastSummaryIndex(messages) + 1;
+  let cut = -1;
+  let kept = 0;
+  for (let i = messages.length - 1; i >= start; i -= 1) {
+    kept += messageTokens(messages[i]);
+    if (messages[i].sender !== 'user') continue;
+    if (cut !== -1 && kept > budget / 2) break;
+    cut = i;
+  }
+  return cut > start ? cut : -1;
+};
+
+// Transcript of everything before `cut`, folding in the previous summary
+export const summaryTranscript = (messages, cut) => {
+  const { summary, messages: older } = activeContext(messages.slice(0, cut));
+  return [
+    ...(summary ? [`Earlier summary:\n${summary.text}`] : []),
+    ...older.map(message => `${message.sender === 'user' ? 'User' : 'Assistant'}: ${message.text}${attachedNames(message)}`),
+  ].join('\n\n');
+};
+
+export const createSummaryMessage = (messages, cut, text) => ({
+  id: `summary-${Date.now()}`,
+  sender: 'summary',
+  text,
+  createdAt: Date.now(),
+  // How many chat messages the summary stands in for
+  summarizedCount: messages.slice(0, cut).filter(message => !isSummary(message)).length,
+});
@@ -0,0 +1,65 @@
+import { activeContext, compactionPoint, contextTokens, createSummaryMessage, requestMessages, summaryTranscript, withSummary } from './context';
+import { estimateTokens, formatTokens } from './tokens';
+
+// Each message is 100 tokens
+const turn = (n) => [
+  { id: `u${n}`, sender: 'user', text: 'q'.repeat(400) },
+  { id: `a${n}`, sender: 'ai', text: 'a'.repeat(400) },
+];
+const conversation = [...turn(1), ...turn(2), ...turn(3), { id: 'u4', sender: 'user', text: 'q'.repeat(400) }];
+
+test('estimates tokens at about four characters each', () => {
+  expect(estimateTokens('abcdefgh')).toBe(2);
+  expect(contextTokens(conversation, 'x'.repeat(40))).toBe(710);
+  expect(formatTokens(950)).toBe('950');
+  expect(formatTokens(12345)).toBe('12.3k');
+});
+
+test('leaves conversations inside the budget alone', () => {
+  expect(compactionPoint(conversation, '', 1000)).toBe(-1);
+  expect(compactionPoint(conversation, '', 0)).toBe(-1);
+});
+
+test('keeps the newest whole turns within half the budget', () => {
+  expect(compactionPoint(conversation, '', 600)).toBe(4);
+  // The latest user message is kept even when it alone is over half the budget
+  expect(compactionPoint(conversation, '', 150)).toBe(6);
+});
+
+test('sends only the latest summary and the messages after it', () => {
+  const summary = createSummaryMessage(conversation, 4, 'The user asked twice.');
+  const compacted = [...conversation.slice(0, 4), summary, ...conversation.slice(4)];
+
+  expect(summary.summarizedCount).toBe(4);
+  const { summary: latest, messages } = activeContext(compacted);
+  expect(latest).toBe(summary);
+  expect(messages.map(message => message.id)).toEqual(['u3', 'a3', 'u4']);
+  expect(withSummary('Be brief.', latest)).toBe('Be brief.\n\nSummary of the earlier conversation:\nThe user asked twice.');
+  expect(contextTokens(compacted, '')).toBeLessThan(contextTokens(conversation, ''));
+
+  // A second compaction folds the earlier summary into the transcript
+  const next = [...compacted, { id: 'a4', sender: 'ai', text: 'ok' }, { id: 'u5', sender: 'user', text: 'next' }];
+  expect(compactionPoint(next, '', 200)).toBe(9);
+  expect(summaryTranscript(next, 9)).toMatch(/^Earlier summary:\nThe user asked twice\.\n\nUser: q+\n\nAssistant: a+\n\nUser: q+\n\nAssistant: ok$/);
+});
+
+test('sends files with every turn in the active context and counts them against the budget', () => {
+  const schematic = { name: 'schematic.png', mimeType: 'image/png', kind: 'image', size: 10, data: 'iVBORw0=' };
+  const pinout = { name: 'pinout.txt', mimeType: 'text/plain', kind: 'text', size: 400, data: 'R05E' };
+  const messages = [
+    { id: 'u1', sender: 'user', text: 'Check this', attachments: [schematic] },
+    { id: 'a1', sender: 'ai', text: 'Looks fine.' },
+    { id: 'u2', sender: 'user', text: 'And the left connector?', attachments: [pinout] },
+  ];
+
+  expect(requestMessages(messages)).toEqual([
+    { role: 'user', text: 'Check this', attachments: [schematic] },
+    { role: 'assistant', text: 'Looks fine.' },
+    { role: 'user', text: 'And the left connector?', attachments: [pinout] },
+  ]);
+  // 258 for the image and 100 for the text file, on top of the text
+  expect(contextTokens(messages, '')).toBe(3 + 258 + 3 + 6 + 100);
+  // Over budget, the first turn and its image are summarised away
+  expect(compactionPoint(messages, '', 300)).toBe(2);
+  expect(summaryTranscript(messages, 2)).toBe('User: Check this [attached: schematic.png]\n\nAssistant: Looks fine.');
+});
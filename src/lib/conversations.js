@@ -0,0 +1,38 @@
+// --- Conversation helpers ---
+
+const TITLE_MAX_LENGTH = 48;
+
+export const DEFAULT_TITLE = 'New conversation';
+
+export const createConversationId = () => `conv-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Automatic title taken from the first user prompt (or its first attachment)
+export const deriveTitle = (messages) => {
+  const firstMessage = messages.find(msg => msg.sender === 'user');
+  const firstPrompt = firstMessage?.text || firstMessage?.attachments?.[0]?.name || '';
+  const title = firstPrompt.replace(/\s+/g, ' ').trim();
+  if (!title) return DEFAULT_TITLE;
+  return title.length > TITLE_MAX_LENGTH
+    ? `${title.slice(0, TITLE_MAX_LENGTH - 1).trimEnd()}…`
+    : title;
+};
+
+// Messages created before timestamps were recorded use their Date.now() id
+export const messageTimestamp = (message) => message.createdAt ?? (typeof message.id === 'number' ? message.id : null);
+
+// Replace the message with the same id, or append it if it isn't there yet
+export const upsertMessage = (messages, message) => (
+  messages.some(msg => msg.id === message.id)
+    ? messages.map(msg => (msg.id === message.id ? { ...msg, ...message } : msg))
+    : [...messages, message]
+);
+
+export const sortByUpdated = (conversations) => (
+  [...conversations].sort((a, b) => b.updatedAt - a.updatedAt)
+);
+
+export const filterConversations = (conversations, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return conversations;
+  return conversations.filter(conv => conv.title.toLowerCase().includes(needle));
+};
@@ -0,0 +1,36 @@
+import { deriveTitle, filterConversations, DEFAULT_TITLE } from './conversations';
+import { createFirestoreStore } from './stores';
+
+test('derives a title from the first user prompt', () => {
+  const messages = [
+    { sender: 'user', text: '  How do I tune\na PID loop?  ' },
+    { sender: 'ai', text: 'Start with P.' },
+  ];
+  expect(deriveTitle(messages)).toBe('How do I tune a PID loop?');
+});
+
+test('truncates long titles and falls back to a default', () => {
+  const title = deriveTitle([{ sender: 'user', text: 'a'.repeat(80) }]);
+  expect(title.length).toBe(48);
+  expect(title.endsWith('…')).toBe(true);
+  expect(deriveTitle([])).toBe(DEFAULT_TITLE);
+});
+
+test('filters conversations by title, case-insensitively', () => {
+  const conversations = [{ title: 'LiDAR filtering' }, { title: 'Motor driver' }];
+  expect(filterConversations(conversations, 'lidar')).toEqual([{ title: 'LiDAR filtering' }]);
+  expect(filterConversations(conversations, '  ')).toBe(conversations);
+});
+
+test('firestore store writes under the per-user artifacts path', async () => {
+  const written = {};
+  const firestore = {
+    doc: (db, ...segments) => segments.join('/'),
+    setDoc: async (ref, data) => { written[ref] = data; },
+  };
+  const store = createFirestoreStore({ db: {}, appId: 'rugved', userId: 'u1', firestore });
+
+  await store.put({ id: 'c1', title: 'Test' });
+
+  expect(written).toEqual({ 'artifacts/rugved/users/u1/conversations/c1': { id: 'c1', title: 'Test' } });
+});
@@ -0,0 +1,143 @@
+import { messageTimestamp } from './conversations';
+import { TranslatableError } from './i18n';
+
+// --- Conversation export and import ---
+// JSON exports are the lossless format (they can be imported again); Markdown
+// is for design reviews and lab notebooks. PDF export prints the chat view.
+
+const EXPORT_FORMAT = 'rugved-ai-conversation';
+const EXPORT_VERSION = 1;
+
+const SENDER_LABELS = { user: 'You', ai: 'RUGVED AI', summary: 'Summary of earlier messages' };
+
+const formatTimestamp = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '');
+
+export const exportFileName = (title, extension) => {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return `${slug || 'conversation'}.${extension}`;
+};
+
+export const toMarkdown = ({ title, persona, messages }) => {
+  const lines = [`# ${title}`, ''];
+  if (persona) lines.push(`_Persona: ${persona.name}_`, '');
+
+  messages.forEach(message => {
+    const timestamp = formatTimestamp(messageTimestamp(message));
+    lines.push(`## ${SENDER_LABELS[message.sender] || message.sender}${timestamp ? ` · ${timestamp}` : ''}`, '');
+    (message.attachments || []).forEach(attachment => lines.push(`- Attachment: ${attachment.name}`));
+    if (message.attachments?.length) lines.push('');
+    (message.toolCalls || []).forEach(call => lines.push(`- Tool: ${call.name} ${JSON.stringify(call.args)} → ${JSON.stringify(call.result)}`));
+    if (message.toolCalls?.length) lines.push('');
+    lines.push(message.text || '', '');
+    (message.sources || []).forEach((source, index) => lines.push(`- [${index + 1}] ${source.name}${source.heading ? ` › ${source.heading}` : ''}`));
+    if (message.sources?.length) lines.push('');
+  });
+
+  return `${lines.join('\n').trim()}\n`;
+};
+
+export const toJSON = ({ title, persona, createdAt, messages }) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  conversation: {
+    title,
+    persona: persona ? { id: persona.id, name: persona.name } : null,
+    createdAt: createdAt ?? null,
+    messages: messages.map(message => ({
+      id: message.id,
+      sender: message.sender,
+      text: message.text,
+      createdAt: messageTimestamp(message),
+      ...(message.model ? { model: message.model } : {}),
+      ...(message.rawText !== undefined ? { rawText: message.rawText } : {}),
+      ...(message.stopped ? { stopped: true } : {}),
+      ...(message.error ? { error: true } : {}),
+      ...(message.attachments ? { attachments: message.attachments } : {}),
+      ...(message.summarizedCount ? { summarizedCount: message.summarizedCount } : {}),
+      ...(message.sources ? { sources: message.sources } : {}),
+      ...(message.toolCalls ? { toolCalls: message.toolCalls } : {}),
+    })),
+  },
+}, null, 2);
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isString = (value) => typeof value === 'string';
+const isListOf = (value, isItem) => Array.isArray(value) && value.every(isItem);
+
+const isAttachment = (attachment) => isObject(attachment)
+  && isString(attachment.id) && isString(attachment.name) && ['image', 'pdf', 'text'].includes(attachment.kind)
+  && isString(attachment.mimeType) && Number.isFinite(attachment.size) && isString(attachment.data);
+const isSource = (source) => isObject(source)
+  && isString(source.name) && [source.heading, source.excerpt].every(value => value === undefined || isString(value));
+const isToolCall = (call) => isObject(call) && isString(call.name) && isObject(call.args);
+
+// Rebuilds a message from the fields toJSON writes, or returns null when one
+// has the wrong type. Anything else, such as the `queued` or `streaming` flag
+// of a send in progress, is left behind.
+const importMessage = (message, fallback) => {
+  if (!isObject(message) || !['user', 'ai', 'summary'].includes(message.sender) || !isString(message.text)) return null;
+  const { model, rawText, attachments, summarizedCount, sources, toolCalls } = message;
+  if (model !== undefined && !(isObject(model) && isString(model.provider) && isString(model.name))) return null;
+  if (rawText !== undefined && !isString(rawText)) return null;
+  if (attachments !== undefined && !isListOf(attachments, isAttachment)) return null;
+  if (summarizedCount !== undefined && !(Number.isInteger(summarizedCount) && summarizedCount > 0)) return null;
+  if (sources !== undefined && !isListOf(sources, isSource)) return null;
+  if (toolCalls !== undefined && !isListOf(toolCalls, isToolCall)) return null;
+
+  return {
+    id: Number.isFinite(message.id) || isString(message.id) ? message.id : fallback,
+    sender: message.sender,
+    text: message.text,
+    createdAt: Number.isFinite(message.createdAt) ? message.createdAt : fallback,
+    ...(model ? { model: { provider: model.provider, name: model.name } } : {}),
+    ...(rawText !== undefined ? { rawText } : {}),
+    ...(message.stopped === true ? { stopped: true } : {}),
+    ...(message.error === true ? { error: true } : {}),
+    ...(attachments ? {
+      attachments: attachments.map(({ id, name, kind, mimeType, size, data }) => ({ id, name, kind, mimeType, size, data })),
+    } : {}),
+    ...(summarizedCount ? { summarizedCount } : {}),
+    ...(sources ? {
+      sources: sources.map(({ documentId, name, heading, excerpt }) => ({ documentId, name, heading, excerpt })),
+    } : {}),
+    ...(toolCalls ? {
+      toolCalls: toolCalls.map((call, index) => ({
+        id: isString(call.id) ? call.id : `${fallback}-${index}`,
+        name: call.name,
+        args: call.args,
+        result: call.result,
+      })),
+    } : {}),
+  };
+};
+
+// Validates a JSON export; throws a TranslatableError
+export const parseConversationImport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new TranslatableError('import.invalidJson');
+  }
+
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.conversation?.messages)) {
+    throw new TranslatableError('import.notAnExport');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new TranslatableError('import.newerVersion');
+  }
+
+  const { title, persona, messages } = data.conversation;
+  const now = Date.now();
+  const imported = messages.map((message, index) => importMessage(message, now + index));
+  if (imported.includes(null)) {
+    throw new TranslatableError('import.malformed');
+  }
+
+  return {
+    title: isString(title) && title.trim() ? title.trim() : null,
+    personaId: isObject(persona) && isString(persona.id) ? persona.id : null,
+    messages: imported,
+  };
+};
@@ -0,0 +1,72 @@
+import { exportFileName, parseConversationImport, toJSON, toMarkdown } from './exporters';
+
+const conversation = {
+  title: 'Motor driver review',
+  persona: { id: 'embedded-c-reviewer', name: 'Embedded C reviewer', prompt: '...' },
+  createdAt: 1700000000000,
+  messages: [
+    { id: 1700000000000, sender: 'user', text: 'Check this ISR', createdAt: 1700000000000, attachments: [{ id: 'att-1', name: 'isr.c', kind: 'text', mimeType: 'text/plain', size: 4, data: 'dm9pZA==' }] },
+    { id: 1700000000001, sender: 'ai', text: 'Keep the ISR short.', rawText: 'Keep the ISR short.', model: { provider: 'gemini', name: 'gemini-2.0-flash' } },
+  ],
+};
+
+test('builds a file name from the conversation title', () => {
+  expect(exportFileName('Motor driver review!', 'md')).toBe('motor-driver-review.md');
+  expect(exportFileName('???', 'json')).toBe('conversation.json');
+});
+
+test('renders Markdown with the persona, senders and attachment names', () => {
+  const markdown = toMarkdown(conversation);
+  expect(markdown).toMatch(/^# Motor driver review\n\n_Persona: Embedded C reviewer_/);
+  expect(markdown).toContain('## You · ');
+  expect(markdown).toContain('- Attachment: isr.c');
+  expect(markdown).toContain('## RUGVED AI · ');
+  expect(markdown).toContain('Keep the ISR short.');
+});
+
+test('round-trips a conversation through a JSON export', () => {
+  const json = JSON.parse(toJSON(conversation));
+  expect(json.conversation.persona).toEqual({ id: 'embedded-c-reviewer', name: 'Embedded C reviewer' });
+  expect(json.conversation.messages[1].model).toEqual({ provider: 'gemini', name: 'gemini-2.0-flash' });
+  // Older messages fall back to their Date.now() id for the timestamp
+  expect(json.conversation.messages[1].createdAt).toBe(1700000000001);
+
+  const imported = parseConversationImport(toJSON(conversation));
+  expect(imported.title).toBe('Motor driver review');
+  expect(imported.personaId).toBe('embedded-c-reviewer');
+  expect(imported.messages.map(message => message.text)).toEqual(['Check this ISR', 'Keep the ISR short.']);
+  expect(imported.messages[0].attachments[0].name).toBe('isr.c');
+});
+
+test('rejects invalid imports with a readable message', () => {
+  expect(() => parseConversationImport('not json')).toThrow('not valid JSON');
+  expect(() => parseConversationImport('{ "personas": [] }')).toThrow('not a RUGVED AI conversation export');
+  expect(() => parseConversationImport(JSON.stringify({
+    format: 'rugved-ai-conversation',
+    version: 1,
+    conversation: { messages: [{ sender: 'robot', text: 'hi' }] },
+  }))).toThrow('malformed messages');
+});
+
+test('imports only the fields an export writes', () => {
+  const json = JSON.parse(toJSON(conversation));
+  json.conversation.messages[0] = { ...json.conversation.messages[0], queued: true, streaming: true, retryAt: 1, branches: 'x' };
+  const [message] = parseConversationImport(JSON.stringify(json)).messages;
+
+  expect(message).not.toHaveProperty('queued');
+  expect(message).not.toHaveProperty('streaming');
+  expect(message).not.toHaveProperty('retryAt');
+  expect(message).not.toHaveProperty('branches');
+  expect(message.attachments).toHaveLength(1);
+});
+
+test.each([
+  ['attachments', { attachments: 'isr.c' }],
+  ['tool calls', { toolCalls: {} }],
+  ['sources', { sources: [null] }],
+  ['a model', { model: 'gemini' }],
+])('rejects messages with malformed %s', (name, fields) => {
+  const json = JSON.parse(toJSON(conversation));
+  Object.assign(json.conversation.messages[1], fields);
+  expect(() => parseConversationImport(JSON.stringify(json))).toThrow('malformed messages');
+});
@@ -0,0 +1,67 @@
+// --- Ratings of AI replies ---
+// A rating is kept on the reply itself (`message.feedback`) so the bubble can
+// show it, and as a record in a store of its own that outlives the
+// conversation. A record carries everything needed to review the exchange or
+// turn it into an evaluation case:
+//   { id, messageId, conversationId, rating: 'up' | 'down', category, comment,
+//     prompt, reply, persona: { id, name }, model: { provider, name },
+//     createdAt, updatedAt }
+// Persona and model are the ones recorded on the reply when it was
+// generated; they are null for replies from before they were recorded.
+
+// Labels are in the locale catalogues (feedback.category.*, feedback.rating.*)
+export const FEEDBACK_CATEGORIES = [
+  { id: 'incorrect' },
+  { id: 'unsafe' },
+  { id: 'off-topic' },
+];
+
+export const RATING_FILTERS = [
+  { id: 'all' },
+  { id: 'up' },
+  { id: 'down' },
+];
+
+// The user message the reply at `index` answers
+export const promptFor = (messages, index) => (
+  messages.slice(0, index).reverse().find(msg => msg.sender === 'user') || null
+);
+
+export const createFeedbackRecord = ({ messages, index, conversationId, feedback, previous }) => {
+  const reply = messages[index];
+  const prompt = promptFor(messages, index);
+  const now = Date.now();
+  return {
+    id: reply.id,
+    messageId: reply.id,
+    conversationId,
+    rating: feedback.rating,
+    // Categories describe what was wrong, so only bad ratings keep one
+    category: feedback.rating === 'down' ? feedback.category || '' : '',
+    comment: (feedback.comment || '').trim(),
+    prompt: prompt?.text || '',
+    reply: reply.text,
+    persona: reply.persona || null,
+    model: reply.model || null,
+    createdAt: previous?.createdAt ?? now,
+    updatedAt: now,
+  };
+};
+
+export const filterFeedback = (records, rating) => (
+  rating === 'all' ? records : records.filter(record => record.rating === rating)
+);
+
+// One exchange per line, ready for an evaluation set
+export const toJSONL = (records) => records.map(record => JSON.stringify({
+  prompt: record.prompt,
+  reply: record.reply,
+  rating: record.rating,
+  category: record.category || null,
+  comment: record.comment || null,
+  persona: record.persona,
+  model: record.model,
+  conversationId: record.conversationId,
+  messageId: record.messageId,
+  ratedAt: new Date(record.updatedAt).toISOString(),
+})).join('\n') + (records.length > 0 ? '\n' : '');
@@ -0,0 +1,55 @@
+import { createFeedbackRecord, filterFeedback, promptFor, toJSONL } from './feedback';
+
+const messages = [
+  { id: 1, sender: 'user', text: 'Stall torque of the NEO?' },
+  { id: 2, sender: 'ai', text: '2.6 Nm.', model: { provider: 'gemini', name: 'gemini-2.5-flash' }, persona: { id: 'default', name: 'RUGVED AI' } },
+];
+
+test('finds the prompt a reply answers', () => {
+  expect(promptFor(messages, 1)).toBe(messages[0]);
+  expect(promptFor(messages, 0)).toBeNull();
+});
+
+test('records the exchange with the rating', () => {
+  const record = createFeedbackRecord({
+    messages,
+    index: 1,
+    conversationId: 'conv-1',
+    feedback: { rating: 'down', category: 'incorrect', comment: ' It is 3.28 Nm. ' },
+  });
+
+  expect(record).toMatchObject({
+    id: 2,
+    conversationId: 'conv-1',
+    rating: 'down',
+    category: 'incorrect',
+    comment: 'It is 3.28 Nm.',
+    prompt: 'Stall torque of the NEO?',
+    reply: '2.6 Nm.',
+    persona: { id: 'default', name: 'RUGVED AI' },
+    model: { provider: 'gemini', name: 'gemini-2.5-flash' },
+  });
+});
+
+test('keeps the first rating time and drops categories from good ratings', () => {
+  const previous = { createdAt: 5 };
+  const record = createFeedbackRecord({ messages, index: 1, conversationId: 'conv-1', feedback: { rating: 'up', category: 'unsafe' }, previous });
+
+  expect(record.createdAt).toBe(5);
+  expect(record.category).toBe('');
+});
+
+test('filters by rating and exports one JSON object per line', () => {
+  const records = [
+    createFeedbackRecord({ messages, index: 1, conversationId: 'conv-1', feedback: { rating: 'up' } }),
+    { ...createFeedbackRecord({ messages, index: 1, conversationId: 'conv-2', feedback: { rating: 'down' } }), id: 3 },
+  ];
+
+  expect(filterFeedback(records, 'down').map(record => record.conversationId)).toEqual(['conv-2']);
+  expect(filterFeedback(records, 'all')).toHaveLength(2);
+
+  const lines = toJSONL(records).trimEnd().split('\n').map(line => JSON.parse(line));
+  expect(lines).toHaveLength(2);
+  expect(lines[0]).toMatchObject({ prompt: 'Stall torque of the NEO?', reply: '2.6 Nm.', rating: 'up', category: null });
+  expect(toJSONL([])).toBe('');
+});
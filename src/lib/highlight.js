@@ -0,0 +1,70 @@
+import hljs from 'highlight.js/lib/core';
+import arduino from 'highlight.js/lib/languages/arduino';
+import bash from 'highlight.js/lib/languages/bash';
+import c from 'highlight.js/lib/languages/c';
+import cmake from 'highlight.js/lib/languages/cmake';
+import cpp from 'highlight.js/lib/languages/cpp';
+import ini from 'highlight.js/lib/languages/ini';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import makefile from 'highlight.js/lib/languages/makefile';
+import python from 'highlight.js/lib/languages/python';
+import typescript from 'highlight.js/lib/languages/typescript';
+import xml from 'highlight.js/lib/languages/xml';
+import yaml from 'highlight.js/lib/languages/yaml';
+
+// --- Syntax highlighting for fenced code blocks ---
+// Only the languages the team actually asks about are registered, which keeps
+// the bundle small and makes auto-detection more reliable.
+
+const LANGUAGES = { arduino, bash, c, cmake, cpp, ini, javascript, json, makefile, python, typescript, xml, yaml };
+
+Object.entries(LANGUAGES).forEach(([name, definition]) => hljs.registerLanguage(name, definition));
+
+// File extension used when downloading a block, keyed by hljs language name
+const EXTENSIONS = {
+  arduino: 'ino',
+  bash: 'sh',
+  c: 'c',
+  cmake: 'cmake',
+  cpp: 'cpp',
+  ini: 'ini',
+  javascript: 'js',
+  json: 'json',
+  makefile: 'mk',
+  python: 'py',
+  typescript: 'ts',
+  xml: 'xml',
+  yaml: 'yaml',
+};
+
+// The fence info string may carry extra words (```python title=x); use the first
+export const resolveLanguage = (lang) => {
+  const name = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+  if (!name) return null;
+  const language = hljs.getLanguage(name);
+  return language ? Object.keys(LANGUAGES).find(key => hljs.getLanguage(key) === language) : null;
+};
+
+export const fileExtensionFor = (lang) => {
+  const language = resolveLanguage(lang);
+  if (language) return EXTENSIONS[language];
+  const name = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+  return /^[a-z0-9]{1,8}$/.test(name) ? name : 'txt';
+};
+
+// Returns { language, html } where html is hljs output (all source text is
+// escaped by hljs), or null when the block should be shown as plain text
+export const highlightCode = (code, lang) => {
+  const language = resolveLanguage(lang);
+  if (language) {
+    return { language, html: hljs.highlight(code, { language, ignoreIllegals: true }).value };
+  }
+  if (!lang) {
+    const result = hljs.highlightAuto(code);
+    if (result.language && result.relevance >= 5) {
+      return { language: result.language, html: result.value };
+    }
+  }
+  return null;
+};
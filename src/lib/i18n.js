@@ -0,0 +1,61 @@
+import en from '../locales/en.json';
+import hi from '../locales/hi.json';
+import mr from '../locales/mr.json';
+
+// --- Interface language ---
+// Messages live in one catalogue per language under src/locales/, keyed by
+// dotted names. A message is a string with {placeholders}, or an object of
+// plural forms ({ one, other }) picked by the `count` placeholder. Keys
+// missing from a catalogue fall back to English.
+
+export const LANGUAGES = [
+  { id: 'en', label: 'English', locale: 'en-IN', speechLang: 'en-US', name: 'English' },
+  { id: 'hi', label: 'हिन्दी (Hindi)', locale: 'hi-IN', speechLang: 'hi-IN', name: 'Hindi' },
+  { id: 'mr', label: 'मराठी (Marathi)', locale: 'mr-IN', speechLang: 'mr-IN', name: 'Marathi' },
+];
+
+const CATALOGUES = { en, hi, mr };
+
+export const findLanguage = (id) => LANGUAGES.find(language => language.id === id) || LANGUAGES[0];
+
+// Returns t(key, params) for the language
+export const createTranslator = (id) => {
+  const language = findLanguage(id);
+  const catalogue = CATALOGUES[language.id];
+  const plurals = new Intl.PluralRules(language.locale);
+
+  return (key, params = {}) => {
+    let message = catalogue[key] ?? en[key] ?? key;
+    if (typeof message === 'object') message = message[plurals.select(params.count)] ?? message.other;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+  };
+};
+
+// Errors the user sees carry a catalogue key (`code`) and its params, so they
+// can be shown in the interface language. The message is the English text.
+export class TranslatableError extends Error {
+  constructor(code, params = {}) {
+    super(createTranslator('en')(code, params));
+    this.code = code;
+    this.params = params;
+  }
+}
+
+// Errors without a code (from the browser, say) keep their own message
+export const translateError = (t, error) => (error.code ? t(error.code, error.params) : error.message);
+
+export const formatDate = (id, timestamp, options) => new Date(timestamp).toLocaleDateString(findLanguage(id).locale, options);
+
+// Added to the system prompt so replies come in the interface language
+export const withReplyLanguage = (prompt, id) => {
+  const language = findLanguage(id);
+  if (language.id === 'en') return prompt;
+  return `${prompt}\n\nReply in ${language.name} unless the user writes in or asks for another language. Keep code, part numbers, units and technical terms as they are.`;
+};
+
+// Voice input follows the interface language, keeping a regional variant
+// the user already picked (en-GB stays for English)
+export const speechLangFor = (id, current) => {
+  const language = findLanguage(id);
+  return current?.startsWith(`${language.id}-`) ? current : language.speechLang;
+};
@@ -0,0 +1,52 @@
+import { TranslatableError, createTranslator, formatDate, speechLangFor, translateError, withReplyLanguage } from './i18n';
+import en from '../locales/en.json';
+import hi from '../locales/hi.json';
+import mr from '../locales/mr.json';
+
+test('translates with placeholders and falls back to English', () => {
+  const t = createTranslator('hi');
+
+  expect(t('settings.title')).toBe('सेटिंग्स');
+  expect(t('error.timeout', { provider: 'Ollama' })).toBe('Ollama ने जवाब देने में बहुत देर लगाई।');
+  expect(createTranslator('xx')('settings.title')).toBe('Settings');
+  expect(t('no.such.key')).toBe('no.such.key');
+});
+
+test('translates errors thrown with a catalogue key', () => {
+  const error = new TranslatableError('attachments.tooMany', { max: 5 });
+
+  expect(error.message).toBe('You can attach up to 5 files per message.');
+  expect(translateError(createTranslator('hi'), error)).toBe('आप एक संदेश में अधिकतम 5 फ़ाइलें जोड़ सकते हैं।');
+  expect(translateError(createTranslator('hi'), new Error('Quota exceeded'))).toBe('Quota exceeded');
+});
+
+test('picks plural forms by count', () => {
+  const t = createTranslator('en');
+
+  expect(t('banner.queued', { count: 1 })).toBe('1 message will be sent when the connection returns.');
+  expect(t('banner.queued', { count: 3 })).toBe('3 messages will be sent when the connection returns.');
+  expect(createTranslator('mr')('banner.queued', { count: 2 })).toBe('कनेक्शन परत आल्यावर 2 संदेश पाठवले जातील.');
+});
+
+test('every catalogue has the English keys', () => {
+  expect(Object.keys(hi).sort()).toEqual(Object.keys(en).sort());
+  expect(Object.keys(mr).sort()).toEqual(Object.keys(en).sort());
+});
+
+test('formats dates for the language', () => {
+  const timestamp = Date.UTC(2024, 0, 15, 12);
+
+  expect(formatDate('en', timestamp, { month: 'long', timeZone: 'UTC' })).toBe('January');
+  expect(formatDate('hi', timestamp, { month: 'long', timeZone: 'UTC' })).toBe('जनवरी');
+});
+
+test('asks for replies in the interface language', () => {
+  expect(withReplyLanguage('Be RUGVED AI', 'en')).toBe('Be RUGVED AI');
+  expect(withReplyLanguage('Be RUGVED AI', 'mr')).toMatch(/^Be RUGVED AI\n\nReply in Marathi/);
+});
+
+test('voice input follows the language but keeps the chosen variant', () => {
+  expect(speechLangFor('hi', 'en-US')).toBe('hi-IN');
+  expect(speechLangFor('en', 'en-GB')).toBe('en-GB');
+  expect(speechLangFor('en', 'mr-IN')).toBe('en-US');
+});
@@ -0,0 +1,193 @@
+import { formatBytes } from './attachments';
+import { TranslatableError } from './i18n';
+import { extractPdfText } from './pdfText';
+
+// --- Local knowledge base ---
+// Team documents (rulebooks, design docs, reports) are split into chunks and
+// kept in the browser. A document is
+//   { id, name, mimeType, size, addedAt, chunks: [{ text, heading }] }
+// Retrieval ranks chunks with BM25 over an index built in memory, so it needs
+// no network and no model. The best chunks for the user's message are added
+// to the system prompt and recorded on the reply as `sources`.
+
+export const MAX_DOCUMENT_BYTES = 20 * 1024 * 1024;
+export const KNOWLEDGE_ACCEPTED_FILES = '.md,.markdown,.txt,.pdf,text/plain,text/markdown,application/pdf';
+
+// About 250 tokens per chunk; neighbouring chunks share a paragraph
+const CHUNK_CHARS = 1000;
+const MAX_PASSAGES = 4;
+const EXCERPT_LENGTH = 160;
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+export class KnowledgeError extends TranslatableError {}
+
+const STOP_WORDS = new Set(('a an and are as at be but by can do does for from has have how i if in into is it its '
+  + 'me my no not of on or our so than that the their them then there these they this to was we were what when '
+  + 'where which who why will with would you your').split(' '));
+
+export const tokenize = (text) => text
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+
+// --- Chunking ---
+
+const splitLong = (paragraph) => {
+  if (paragraph.length <= CHUNK_CHARS) return [paragraph];
+  const parts = [];
+  let current = '';
+  paragraph.split(/(?<=[.!?])\s+/).forEach(sentence => {
+    if (current && current.length + sentence.length + 1 > CHUNK_CHARS) {
+      parts.push(current);
+      current = '';
+    }
+    // A single sentence longer than a chunk is cut where it has to be
+    for (let start = 0; start < sentence.length; start += CHUNK_CHARS) {
+      const piece = sentence.slice(start, start + CHUNK_CHARS);
+      current = current ? `${current} ${piece}` : piece;
+      if (current.length >= CHUNK_CHARS) {
+        parts.push(current);
+        current = '';
+      }
+    }
+  });
+  if (current) parts.push(current);
+  return parts;
+};
+
+// Splits text into chunks of whole paragraphs, each tagged with the Markdown
+// heading it falls under
+export const chunkText = (text) => {
+  const chunks = [];
+  let heading = '';
+  let paragraphs = [];
+
+  const flush = () => {
+    if (paragraphs.length > 0) chunks.push({ text: paragraphs.join('\n\n'), heading });
+    paragraphs = [];
+  };
+
+  text.replace(/\r\n?/g, '\n').split(/\n\s*\n/).forEach(block => {
+    const lines = block.trim().split('\n');
+    const headingMatch = lines[0].match(/^#{1,6}\s+(.+?)\s*#*$/);
+    if (headingMatch) {
+      flush();
+      heading = headingMatch[1];
+      lines.shift();
+    }
+    const body = lines.join('\n').trim();
+    if (!body) return;
+
+    splitLong(body).forEach(paragraph => {
+      const size = paragraphs.reduce((sum, part) => sum + part.length + 2, 0);
+      if (paragraphs.length > 0 && size + paragraph.length > CHUNK_CHARS) {
+        const overlap = paragraphs[paragraphs.length - 1];
+        flush();
+        if (overlap.length + paragraph.length <= CHUNK_CHARS) paragraphs.push(overlap);
+      }
+      paragraphs.push(paragraph);
+    });
+  });
+  flush();
+  return chunks;
+};
+
+// --- Reading files ---
+
+const isPdf = (file) => file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+const isText = (file) => file.type.startsWith('text/') || /\.(md|markdown|txt)$/i.test(file.name);
+
+const readBytes = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.onerror = () => reject(new KnowledgeError('knowledge.readFailed', { name: file.name }));
+  reader.readAsArrayBuffer(file);
+});
+
+export const createDocument = ({ name, mimeType, size, text }) => ({
+  id: `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  name,
+  mimeType,
+  size,
+  addedAt: Date.now(),
+  chunks: chunkText(text),
+});
+
+// Reads and chunks an uploaded file; throws KnowledgeError
+export const readKnowledgeFile = async (file) => {
+  if (!isPdf(file) && !isText(file)) {
+    throw new KnowledgeError('knowledge.notSupported', { name: file.name });
+  }
+  if (file.size > MAX_DOCUMENT_BYTES) {
+    throw new KnowledgeError('knowledge.tooLarge', { name: file.name, size: formatBytes(file.size), limit: formatBytes(MAX_DOCUMENT_BYTES) });
+  }
+
+  const bytes = await readBytes(file);
+  const text = isPdf(file) ? await extractPdfText(bytes) : new TextDecoder().decode(bytes);
+  if (!text.trim()) {
+    throw new KnowledgeError('knowledge.noText', { name: file.name });
+  }
+  return createDocument({ name: file.name, mimeType: isPdf(file) ? 'application/pdf' : 'text/plain', size: file.size, text });
+};
+
+// --- Retrieval ---
+
+const termFrequencies = (tokens) => tokens.reduce((counts, token) => counts.set(token, (counts.get(token) || 0) + 1), new Map());
+
+export const buildIndex = (documents) => {
+  const chunks = documents.flatMap(document => document.chunks.map((chunk, index) => {
+    const tokens = tokenize(`${chunk.heading} ${chunk.text}`);
+    return { documentId: document.id, name: document.name, index, ...chunk, terms: termFrequencies(tokens), length: tokens.length };
+  }));
+  const documentFrequency = new Map();
+  chunks.forEach(chunk => chunk.terms.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)));
+  const averageLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0) / (chunks.length || 1);
+  return { chunks, documentFrequency, averageLength };
+};
+
+// The chunks that best match `query`; weak matches (under half the best
+// score) are dropped so a passing mention doesn't crowd out the answer
+export const retrieve = (index, query, limit = MAX_PASSAGES) => {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0 || index.chunks.length === 0) return [];
+  const total = index.chunks.length;
+
+  const scored = index.chunks.map(chunk => {
+    const score = terms.reduce((sum, term) => {
+      const frequency = chunk.terms.get(term);
+      if (!frequency) return sum;
+      const df = index.documentFrequency.get(term);
+      const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+      return sum + idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * chunk.length / index.averageLength));
+    }, 0);
+    return { chunk, score };
+  }).filter(result => result.score > 0).sort((a, b) => b.score - a.score);
+
+  const best = scored[0]?.score || 0;
+  return scored
+    .filter(result => result.score >= best / 2)
+    .slice(0, limit)
+    .map(result => result.chunk);
+};
+
+export const withKnowledge = (systemPrompt, passages) => {
+  if (passages.length === 0) return systemPrompt;
+  const excerpts = passages.map((passage, i) => (
+    `[${i + 1}] ${passage.name}${passage.heading ? ` > ${passage.heading}` : ''}\n${passage.text}`
+  ));
+  return `${systemPrompt}\n\nExcerpts from RUGVED's own documents that may help with the latest message. `
+    + 'Prefer them over general knowledge, cite them as [1], [2], … where you use them, and say so if they do not answer the question.\n\n'
+    + excerpts.join('\n\n');
+};
+
+// Stored on the reply; numbered in the same order as the excerpts
+export const sourcesFor = (passages) => passages.map(passage => ({
+  documentId: passage.documentId,
+  name: passage.name,
+  heading: passage.heading,
+  excerpt: passage.text.length > EXCERPT_LENGTH
+    ? `${passage.text.slice(0, EXCERPT_LENGTH).replace(/\s+\S*$/, '')}…`
+    : passage.text,
+}));
@@ -0,0 +1,57 @@
+import { buildIndex, chunkText, readKnowledgeFile, retrieve, sourcesFor, withKnowledge } from './knowledge';
+
+const rulebook = {
+  id: 'doc-1',
+  name: 'rulebook.md',
+  chunks: chunkText([
+    '# Arena',
+    'The arena is 8 m by 8 m with a sand pit in the north-east corner.',
+    '# Weight limits',
+    'Robots may weigh at most 25 kg including batteries.',
+    '# Communication',
+    'Teleoperation must use the 2.4 GHz band; 5.8 GHz video is allowed.',
+  ].join('\n\n')),
+};
+const report = {
+  id: 'doc-2',
+  name: 'report-2023.md',
+  chunks: chunkText('Last year the rover weighed 27 kg and was disqualified at weigh-in.'),
+};
+
+test('chunks by heading and keeps long sections under the chunk size', () => {
+  expect(rulebook.chunks.map(chunk => chunk.heading)).toEqual(['Arena', 'Weight limits', 'Communication']);
+
+  const long = chunkText(Array.from({ length: 30 }, (_, i) => `Paragraph ${i} talks about motor controllers at length.`).join('\n\n'));
+  expect(long.length).toBeGreaterThan(1);
+  long.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(1000));
+  // Neighbouring chunks share a paragraph
+  expect(long[1].text.startsWith(long[0].text.split('\n\n').pop())).toBe(true);
+});
+
+test('ranks the passages that match the question', () => {
+  const index = buildIndex([rulebook, report]);
+  const passages = retrieve(index, 'What is the maximum weight in kg?');
+  expect(passages.map(passage => passage.heading)).toEqual(['Weight limits']);
+  // A weaker match is kept when it scores close to the best one
+  expect(retrieve(index, 'rover weight in kg').map(passage => passage.name)).toEqual(['report-2023.md', 'rulebook.md']);
+  expect(retrieve(index, 'what is it?')).toEqual([]);
+  expect(retrieve(buildIndex([]), 'weight')).toEqual([]);
+});
+
+test('adds numbered excerpts to the system prompt and records sources', () => {
+  const passages = retrieve(buildIndex([rulebook]), 'arena size');
+  const prompt = withKnowledge('You are RUGVED AI.', passages);
+  expect(prompt).toContain('[1] rulebook.md > Arena\nThe arena is 8 m by 8 m');
+  expect(withKnowledge('You are RUGVED AI.', [])).toBe('You are RUGVED AI.');
+  expect(sourcesFor(passages)).toEqual([
+    { documentId: 'doc-1', name: 'rulebook.md', heading: 'Arena', excerpt: 'The arena is 8 m by 8 m with a sand pit in the north-east corner.' },
+  ]);
+});
+
+test('reads text files and rejects unsupported ones', async () => {
+  const document = await readKnowledgeFile(new File(['# Pins\n\nIMU on I2C bus 1.'], 'pins.md', { type: '' }));
+  expect(document).toMatchObject({ name: 'pins.md', mimeType: 'text/plain', chunks: [{ heading: 'Pins', text: 'IMU on I2C bus 1.' }] });
+
+  await expect(readKnowledgeFile(new File(['x'], 'photo.png', { type: 'image/png' }))).rejects.toThrow('photo.png is not supported');
+  await expect(readKnowledgeFile(new File(['  '], 'empty.txt', { type: 'text/plain' }))).rejects.toThrow('No text found in empty.txt');
+});
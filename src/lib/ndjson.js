@@ -0,0 +1,28 @@
+// --- Newline-delimited JSON reader ---
+// Reads a fetch Response body where every line is a JSON document (the format
+// Ollama streams in) and hands each parsed line to `onData`.
+
+export const readJSONLines = async (response, onData) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flush = (lines) => {
+    lines.forEach(line => {
+      if (line.trim()) onData(JSON.parse(line));
+    });
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    flush(lines);
+  }
+
+  buffer += decoder.decode();
+  flush([buffer]);
+};
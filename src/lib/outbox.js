@@ -0,0 +1,13 @@
+// --- Messages sent while offline ---
+// They are added to the conversation with `queued: true` and saved with it,
+// so they survive a reload; so are messages whose send failed for want of a
+// connection. Once the connection is back the flags are cleared and one reply
+// is requested for everything that was queued.
+
+export const queuedCount = (messages) => messages.filter(msg => msg.queued).length;
+
+export const releaseQueued = (messages) => messages.map(msg => {
+  if (!msg.queued) return msg;
+  const { queued, ...released } = msg;
+  return released;
+});
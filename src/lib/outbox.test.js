@@ -0,0 +1,20 @@
+import { queuedCount, releaseQueued } from './outbox';
+
+const messages = [
+  { id: 1, sender: 'user', text: 'Battery voltage?' },
+  { id: 2, sender: 'ai', text: '24 V.' },
+  { id: 3, sender: 'user', text: 'Cell count?', queued: true },
+  { id: 4, sender: 'user', text: 'And capacity?', queued: true },
+];
+
+test('counts queued messages', () => {
+  expect(queuedCount(messages)).toBe(2);
+  expect(queuedCount(messages.slice(0, 2))).toBe(0);
+});
+
+test('releases queued messages without touching the rest', () => {
+  const released = releaseQueued(messages);
+  expect(queuedCount(released)).toBe(0);
+  expect(released[3]).toEqual({ id: 4, sender: 'user', text: 'And capacity?' });
+  expect(released[0]).toBe(messages[0]);
+});
@@ -0,0 +1,183 @@
+// --- Plain text from PDF files ---
+// A small extractor for the knowledge base, so indexing works offline without
+// shipping a PDF renderer. It reads the page content streams (inflating
+// FlateDecode ones with the browser's DecompressionStream) and collects the
+// strings drawn by the text operators. Scanned PDFs and fonts with custom
+// encodings come out empty or garbled; the caller reports an empty result.
+
+const bytesToLatin1 = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+};
+
+const inflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+// Reads a (literal string) starting after its opening parenthesis
+const readLiteral = (content, start) => {
+  let text = '';
+  let depth = 1;
+  let i = start;
+  while (i < content.length) {
+    const char = content[i];
+    if (char === '\\') {
+      const next = content[i + 1];
+      if (/[0-7]/.test(next)) {
+        const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+        text += String.fromCharCode(parseInt(octal, 8));
+        i += 1 + octal.length;
+        continue;
+      }
+      if (next === '\r' || next === '\n') {
+        // Line continuation
+        i += content[i + 2] === '\n' && next === '\r' ? 3 : 2;
+        continue;
+      }
+      text += ESCAPES[next] ?? next;
+      i += 2;
+      continue;
+    }
+    if (char === '(') depth += 1;
+    if (char === ')') {
+      depth -= 1;
+      if (depth === 0) return { text, end: i + 1 };
+    }
+    text += char;
+    i += 1;
+  }
+  return { text, end: i };
+};
+
+const decodeHex = (hex) => {
+  const digits = hex.replace(/\s+/g, '');
+  let text = '';
+  for (let i = 0; i < digits.length; i += 2) {
+    text += String.fromCharCode(parseInt(digits.slice(i, i + 2).padEnd(2, '0'), 16));
+  }
+  return text;
+};
+
+// Text drawn by one content stream, a line per text-positioning operator
+export const contentStreamText = (content) => {
+  let output = '';
+  let operands = [];
+  let array = null;
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+    if (char === '(') {
+      const { text, end } = readLiteral(content, i + 1);
+      (array || operands).push(text);
+      i = end;
+    } else if (char === '<' && content[i + 1] !== '<') {
+      const end = content.indexOf('>', i);
+      if (end === -1) break;
+      (array || operands).push(decodeHex(content.slice(i + 1, end)));
+      i = end + 1;
+    } else if (char === '[') {
+      array = [];
+      i += 1;
+    } else if (char === ']') {
+      operands.push(array || []);
+      array = null;
+      i += 1;
+    } else if (char === '%') {
+      const end = content.indexOf('\n', i);
+      i = end === -1 ? content.length : end;
+    } else if (/\s/.test(char)) {
+      i += 1;
+    } else {
+      const token = content.slice(i).match(/^\/?[^\s()<>[\]{}/%]+|^./)[0];
+      i += token.length;
+      if (array) {
+        // Large negative kerning inside TJ separates words
+        if (Number(token) < -200) array.push(' ');
+        continue;
+      }
+      if (!Number.isNaN(Number(token)) || token.startsWith('/')) {
+        operands.push(token);
+        continue;
+      }
+      switch (token) {
+        case 'Tj':
+          output += operands[operands.length - 1] ?? '';
+          break;
+        case 'TJ':
+          output += (operands[operands.length - 1] || []).filter(part => typeof part === 'string').join('');
+          break;
+        case "'":
+        case '"':
+          output += `\n${operands[operands.length - 1] ?? ''}`;
+          break;
+        case 'T*':
+          output += '\n';
+          break;
+        case 'Td':
+        case 'TD':
+          output += Number(operands[1]) !== 0 ? '\n' : ' ';
+          break;
+        case 'Tm':
+          output += ' ';
+          break;
+        case 'ET':
+          output += '\n';
+          break;
+        default:
+          break;
+      }
+      operands = [];
+    }
+  }
+  return output;
+};
+
+const tidy = (text) => text
+  .split('\n')
+  .map(line => line.replace(/[^\S\n]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+export const extractPdfText = async (bytes) => {
+  const raw = bytesToLatin1(bytes);
+  const pages = [];
+  const streamPattern = /stream\r?\n/g;
+  let match;
+
+  while ((match = streamPattern.exec(raw))) {
+    // Skip the "stream" inside a stray "endstream"
+    if (raw.slice(match.index - 3, match.index) === 'end') continue;
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end === -1) break;
+    streamPattern.lastIndex = end + 'endstream'.length;
+
+    const dictionary = raw.slice(raw.lastIndexOf('obj', match.index), match.index);
+    if (/\/Subtype\s*\/Image|\/Type\s*\/(XRef|ObjStm|Metadata)/.test(dictionary)) continue;
+    const filters = dictionary.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || '';
+    const names = filters.match(/\/\w+/g) || [];
+    if (names.some(name => name !== '/FlateDecode')) continue;
+
+    let data = bytes.subarray(start, end);
+    if (names.length > 0) {
+      if (typeof DecompressionStream === 'undefined') continue;
+      try {
+        data = await inflate(data);
+      } catch {
+        continue;
+      }
+    }
+    const content = bytesToLatin1(data);
+    if (/\bBT\b/.test(content)) pages.push(contentStreamText(content));
+  }
+
+  return tidy(pages.join('\n\n'));
+};
@@ -0,0 +1,27 @@
+import { contentStreamText, extractPdfText } from './pdfText';
+
+const toBytes = (text) => Uint8Array.from(text, char => char.charCodeAt(0));
+
+test('collects the strings drawn by text operators', () => {
+  const content = 'BT /F1 12 Tf 72 712 Td (Max speed \\(rover\\): 2 m/s) Tj 0 -14 Td [(Bat) 20 (tery) -300 (24V)] TJ T* <4C69506F> Tj ET';
+  expect(contentStreamText(content)).toBe('\nMax speed (rover): 2 m/s\nBattery 24V\nLiPo\n');
+});
+
+test('extracts text from uncompressed page streams and skips images', async () => {
+  const pdf = [
+    '%PDF-1.4',
+    '4 0 obj << /Length 44 >>',
+    'stream',
+    'BT /F1 12 Tf 72 712 Td (Arena is 8 m by 8 m.) Tj ET',
+    'endstream',
+    'endobj',
+    '5 0 obj << /Subtype /Image /Length 9 >>',
+    'stream',
+    'BT (no) Tj',
+    'endstream',
+    'endobj',
+    '%%EOF',
+  ].join('\n');
+
+  await expect(extractPdfText(toBytes(pdf))).resolves.toBe('Arena is 8 m by 8 m.');
+});
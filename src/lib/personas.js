@@ -0,0 +1,94 @@
+import { TranslatableError } from './i18n';
+import { RUGVED_SYSTEM_PROMPT } from './prompts';
+
+// --- System prompt personas ---
+// A persona is { id, name, prompt }. The list is kept in localStorage and can
+// be shared between team members as a JSON export.
+
+const PERSONAS_KEY = 'rugved_personas';
+const EXPORT_VERSION = 1;
+
+export const DEFAULT_PERSONAS = [
+  {
+    id: 'rugved-general',
+    name: 'RUGVED general',
+    prompt: RUGVED_SYSTEM_PROMPT,
+  },
+  {
+    id: 'embedded-c-reviewer',
+    name: 'Embedded C reviewer',
+    prompt: `You are RUGVED AI reviewing embedded C and C++ for RUGVED's unmanned ground vehicles.
+
+- Point out undefined behaviour, integer overflow, blocking calls in ISRs, missing volatile, race conditions and stack or heap misuse
+- Check timing assumptions, watchdog handling and fail-safe behaviour of motor and actuator code
+- Prefer concrete fixes as short code snippets over general advice
+- Keep the RUGVED AI identity and never mention underlying models or APIs`,
+  },
+  {
+    id: 'competition-rules-expert',
+    name: 'Competition rules expert',
+    prompt: `You are RUGVED AI, helping the RUGVED team interpret robotics competition rulebooks.
+
+- Quote or paraphrase the relevant rule before interpreting it and say when a rule is ambiguous
+- Flag anything that could lead to disqualification or penalties
+- Do not invent rule numbers; ask for the rulebook text when you are unsure
+- Keep the RUGVED AI identity and never mention underlying models or APIs`,
+  },
+];
+
+export const DEFAULT_PERSONA_ID = DEFAULT_PERSONAS[0].id;
+
+export const createPersonaId = () => `persona-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const loadPersonas = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PERSONAS_KEY));
+    return Array.isArray(saved) && saved.length > 0 ? saved : DEFAULT_PERSONAS;
+  } catch {
+    return DEFAULT_PERSONAS;
+  }
+};
+
+export const savePersonas = (personas) => {
+  localStorage.setItem(PERSONAS_KEY, JSON.stringify(personas));
+};
+
+export const findPersona = (personas, id) => personas.find(persona => persona.id === id) || personas[0];
+
+export const exportPersonas = (personas) => JSON.stringify({
+  version: EXPORT_VERSION,
+  personas: personas.map(({ id, name, prompt }) => ({ id, name, prompt })),
+}, null, 2);
+
+// Parses an export (or a bare array of personas); throws a TranslatableError
+export const parsePersonaImport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new TranslatableError('import.invalidJson');
+  }
+
+  const list = Array.isArray(data) ? data : data?.personas;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new TranslatableError('personas.noneFound');
+  }
+
+  return list.map((persona, index) => {
+    if (typeof persona?.name !== 'string' || !persona.name.trim() || typeof persona.prompt !== 'string') {
+      throw new TranslatableError('personas.invalid', { number: index + 1 });
+    }
+    return {
+      id: typeof persona.id === 'string' && persona.id ? persona.id : createPersonaId(),
+      name: persona.name.trim(),
+      prompt: persona.prompt,
+    };
+  });
+};
+
+// Imported personas replace ones with the same id and are appended otherwise
+export const mergePersonas = (existing, imported) => {
+  const replaced = existing.map(persona => imported.find(item => item.id === persona.id) || persona);
+  const added = imported.filter(persona => !existing.some(item => item.id === persona.id));
+  return [...replaced, ...added];
+};
@@ -0,0 +1,24 @@
+import { DEFAULT_PERSONAS, exportPersonas, mergePersonas, parsePersonaImport } from './personas';
+
+test('round-trips personas through a JSON export', () => {
+  const imported = parsePersonaImport(exportPersonas(DEFAULT_PERSONAS));
+  expect(imported).toEqual(DEFAULT_PERSONAS);
+});
+
+test('accepts a bare array and fills in missing ids', () => {
+  const [persona] = parsePersonaImport('[{ "name": " ROS helper ", "prompt": "Answer about ROS 2." }]');
+  expect(persona.name).toBe('ROS helper');
+  expect(persona.id).toMatch(/^persona-/);
+});
+
+test('rejects invalid imports with a readable message', () => {
+  expect(() => parsePersonaImport('not json')).toThrow('not valid JSON');
+  expect(() => parsePersonaImport('{ "personas": [] }')).toThrow('No personas');
+  expect(() => parsePersonaImport('[{ "name": "x" }]')).toThrow('Persona 1 needs a name and a prompt.');
+});
+
+test('merges imports by id', () => {
+  const existing = [{ id: 'a', name: 'A', prompt: '1' }, { id: 'b', name: 'B', prompt: '2' }];
+  const merged = mergePersonas(existing, [{ id: 'b', name: 'B2', prompt: '3' }, { id: 'c', name: 'C', prompt: '4' }]);
+  expect(merged.map(persona => persona.name)).toEqual(['A', 'B2', 'C']);
+});
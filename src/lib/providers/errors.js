@@ -0,0 +1,88 @@
+import { createTranslator } from '../i18n';
+
+// --- Typed chat errors ---
+// Providers throw ChatError so the app can react to the cause of a failure
+// instead of showing one generic message. `type` is one of
+//   'auth' | 'rateLimit' | 'safety' | 'offline' | 'network' | 'timeout' |
+//   'server' | 'request'
+// `retryAfter` is in seconds when the server said how long to wait, and
+// `details` keeps the parsed error body.
+
+const english = createTranslator('en');
+
+export class ChatError extends Error {
+  constructor(type, message, { status, retryAfter, details } = {}) {
+    super(message);
+    this.name = 'ChatError';
+    this.type = type;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.details = details;
+  }
+}
+
+const typeForStatus = (status) => {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'rateLimit';
+  if (status === 408 || status === 504) return 'timeout';
+  if (status >= 500) return 'server';
+  return 'request';
+};
+
+// Seconds from a Retry-After header or Gemini's RetryInfo ("retryDelay": "30s")
+const retryAfterSeconds = (response, details) => {
+  const header = Number(response.headers?.get?.('Retry-After'));
+  if (header > 0) return header;
+  const retryInfo = details?.error?.details?.find?.(detail => detail.retryDelay);
+  return retryInfo ? parseFloat(retryInfo.retryDelay) || undefined : undefined;
+};
+
+// Builds a ChatError from a failed response. Error bodies are
+// `{ error: { message } }` (Gemini, OpenAI) or `{ error, code? }` (proxy, Ollama).
+export const errorFromResponse = async (response, name) => {
+  let details = null;
+  try {
+    details = await response.json();
+  } catch {
+    // Not every server sends a JSON error body
+  }
+  const message = (typeof details?.error === 'string' ? details.error : details?.error?.message)
+    || `${name} request failed with status ${response.status}`;
+  const type = details?.code === 'safety' ? 'safety' : typeForStatus(response.status);
+  return new ChatError(type, message, { status: response.status, retryAfter: retryAfterSeconds(response, details), details });
+};
+
+export const safetyError = (reason) => new ChatError('safety', `Blocked by safety filters (${reason})`);
+
+// Normalises anything a provider threw. fetch() rejects with a TypeError when
+// the server can't be reached at all.
+export const toChatError = (error) => {
+  if (error instanceof ChatError) return error;
+  if (error instanceof TypeError) {
+    return new ChatError(navigator.onLine === false ? 'offline' : 'network', error.message);
+  }
+  return new ChatError('server', error.message);
+};
+
+// Text for the error bubble, in the language of `t` (see ../i18n)
+export const describeChatError = (error, provider, t = english) => {
+  const params = { provider: provider.label, message: error.message };
+  switch (error.type) {
+    case 'auth':
+      return provider.auth === 'accessToken' ? t('error.token') : t('error.apiKey', params);
+    case 'rateLimit':
+      return t('error.rateLimit', params);
+    case 'safety':
+      return t('error.safety');
+    case 'offline':
+      return t('error.offline');
+    case 'network':
+      return t('error.network', params);
+    case 'timeout':
+      return t('error.timeout', params);
+    case 'request':
+      return t('error.request', params);
+    default:
+      return t('error.unknown');
+  }
+};
@@ -0,0 +1,82 @@
+import { readEventStream } from '../sse';
+import { errorFromResponse, safetyError } from './errors';
+
+// --- Google Gemini adapter ---
+
+// Text of the first candidate in a (streamed) Gemini response chunk
+const extractChunkText = (chunk) => {
+  const parts = chunk?.candidates?.[0]?.content?.parts;
+  return parts ? parts.map(part => part.text || '').join('') : '';
+};
+
+// Tool calls keep their thought signature; Gemini expects it back with the result
+const extractToolCalls = (chunk) => (chunk?.candidates?.[0]?.content?.parts || [])
+  .filter(part => part.functionCall)
+  .map(part => ({
+    name: part.functionCall.name,
+    args: part.functionCall.args || {},
+    ...(part.thoughtSignature ? { thoughtSignature: part.thoughtSignature } : {}),
+  }));
+
+const toParts = (msg) => {
+  if (msg.role === 'tool') {
+    return msg.toolResults.map(({ name, result }) => ({ functionResponse: { name, response: result } }));
+  }
+  return [
+    ...(msg.attachments || []).map(attachment => ({
+      inlineData: { mimeType: attachment.mimeType, data: attachment.data }
+    })),
+    ...(msg.text ? [{ text: msg.text }] : []),
+    ...(msg.toolCalls || []).map(({ name, args, thoughtSignature }) => ({
+      functionCall: { name, args },
+      ...(thoughtSignature ? { thoughtSignature } : {})
+    }))
+  ];
+};
+
+const gemini = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+  defaultModel: 'gemini-2.5-flash-preview-05-20',
+  auth: 'apiKey',
+  attachments: ['image', 'pdf', 'text'],
+  tools: true,
+
+  streamChat: async ({ baseUrl, model, apiKey, systemPrompt, messages, tools, signal, onDelta }) => {
+    const contents = messages.map(msg => ({
+      role: msg.role === 'assistant' ? 'model' : 'user',
+      parts: toParts(msg)
+    }));
+    const payload = { contents };
+    if (systemPrompt) {
+      payload.systemInstruction = { parts: [{ text: systemPrompt }] };
+    }
+    if (tools?.length) {
+      payload.tools = [{ functionDeclarations: tools }];
+    }
+
+    const response = await fetch(`${baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await errorFromResponse(response, 'Gemini');
+    }
+
+    const toolCalls = [];
+    await readEventStream(response, (chunk) => {
+      if (chunk?.promptFeedback?.blockReason) throw safetyError(chunk.promptFeedback.blockReason);
+      if (chunk?.candidates?.[0]?.finishReason === 'SAFETY') throw safetyError('SAFETY');
+      const delta = extractChunkText(chunk);
+      if (delta) onDelta(delta);
+      toolCalls.push(...extractToolCalls(chunk));
+    });
+    return { toolCalls };
+  },
+};
+
+export default gemini;
@@ -0,0 +1,33 @@
+import gemini from './gemini';
+import ollama from './ollama';
+import openai from './openai';
+import proxy from './proxy';
+
+export { createMockProvider } from './mock';
+export { ChatError, describeChatError, toChatError } from './errors';
+
+// --- Provider registry ---
+// Every provider exposes the same shape: id, label, defaultBaseUrl,
+// defaultModel, auth, attachments (the attachment kinds it can send) and
+// streamChat({ baseUrl, model, apiKey, systemPrompt, messages, signal, onDelta }),
+// where messages are { role: 'user' | 'assistant', text, attachments? }.
+// Failed requests reject with a ChatError (see ./errors).
+//
+// Providers with `tools: true` also take `tools` (declarations from
+// ../tools) and resolve to { toolCalls: [{ name, args }] } when the model
+// wants them run. The results go back as an assistant message carrying those
+// `toolCalls` followed by { role: 'tool', toolResults: [{ name, result }] }.
+//
+// `auth` says what `apiKey` carries: 'accessToken' (a personal token checked
+// by the proxy), 'apiKey' (a provider key kept in this browser) or 'none'.
+
+export const PROVIDERS = {
+  [proxy.id]: proxy,
+  [gemini.id]: gemini,
+  [openai.id]: openai,
+  [ollama.id]: ollama,
+};
+
+export const DEFAULT_PROVIDER = proxy.id;
+
+export const getProvider = (providers, id) => providers[id] || Object.values(providers)[0];
@@ -0,0 +1,35 @@
+// --- Mock provider ---
+// Streams canned replies without touching the network. Used by tests; each
+// call to streamChat records its arguments and plays the next reply. A reply
+// that is an Error is thrown instead, and { text?, toolCalls } asks for tools.
+
+export const createMockProvider = (replies = ['Mock reply']) => {
+  const calls = [];
+
+  return {
+    id: 'mock',
+    label: 'Mock',
+    defaultBaseUrl: '',
+    defaultModel: 'mock',
+    auth: 'none',
+    attachments: ['image', 'pdf', 'text'],
+    tools: true,
+    calls,
+
+    streamChat: async (request) => {
+      calls.push(request);
+      const reply = replies[Math.min(calls.length - 1, replies.length - 1)];
+      if (reply instanceof Error) throw reply;
+      const text = reply?.toolCalls ? reply.text || [] : reply;
+      const chunks = Array.isArray(text) ? text : [text];
+      for (const chunk of chunks) {
+        if (request.signal?.aborted) {
+          throw new DOMException('The operation was aborted.', 'AbortError');
+        }
+        request.onDelta(chunk);
+        await Promise.resolve();
+      }
+      return { toolCalls: reply?.toolCalls || [] };
+    },
+  };
+};
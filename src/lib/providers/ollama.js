@@ -0,0 +1,50 @@
+import { withTextAttachments } from '../attachments';
+import { readJSONLines } from '../ndjson';
+import { ChatError, errorFromResponse } from './errors';
+
+// --- Local Ollama adapter ---
+// Talks to Ollama's native /api/chat endpoint so the bot works offline on a
+// laptop running `ollama serve`. The app's origin must be allowed through
+// OLLAMA_ORIGINS for the browser to reach it.
+
+const ollama = {
+  id: 'ollama',
+  label: 'Ollama (local)',
+  defaultBaseUrl: 'http://localhost:11434',
+  defaultModel: 'llama3.1',
+  auth: 'none',
+  attachments: ['image', 'text'],
+
+  streamChat: async ({ baseUrl, model, systemPrompt, messages, signal, onDelta }) => {
+    const chatMessages = messages.map(msg => {
+      const images = (msg.attachments || []).filter(attachment => attachment.kind === 'image');
+      const chatMessage = { role: msg.role, content: withTextAttachments(msg) };
+      if (images.length > 0) chatMessage.images = images.map(image => image.data);
+      return chatMessage;
+    });
+    const payload = {
+      model,
+      stream: true,
+      messages: systemPrompt ? [{ role: 'system', content: systemPrompt }, ...chatMessages] : chatMessages
+    };
+
+    const response = await fetch(`${baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await errorFromResponse(response, 'Ollama');
+    }
+
+    await readJSONLines(response, (chunk) => {
+      if (chunk.error) throw new ChatError('server', chunk.error);
+      const delta = chunk?.message?.content;
+      if (delta) onDelta(delta);
+    });
+  },
+};
+
+export default ollama;
@@ -0,0 +1,58 @@
+import { attachmentDataUrl, withTextAttachments } from '../attachments';
+import { readEventStream } from '../sse';
+import { errorFromResponse, safetyError } from './errors';
+
+// --- OpenAI-compatible adapter ---
+// Works with any server exposing /v1/chat/completions (OpenAI, vLLM,
+// LM Studio, llama.cpp server, ...).
+
+// Images become image_url parts; text files are inlined into the prompt
+const toContent = (msg) => {
+  const images = (msg.attachments || []).filter(attachment => attachment.kind === 'image');
+  const text = withTextAttachments(msg);
+  if (images.length === 0) return text;
+  return [
+    { type: 'text', text },
+    ...images.map(image => ({ type: 'image_url', image_url: { url: attachmentDataUrl(image) } }))
+  ];
+};
+
+const openai = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  defaultBaseUrl: 'https://api.openai.com/v1',
+  defaultModel: 'gpt-4o-mini',
+  auth: 'apiKey',
+  attachments: ['image', 'text'],
+
+  streamChat: async ({ baseUrl, model, apiKey, systemPrompt, messages, signal, onDelta }) => {
+    const chatMessages = messages.map(msg => ({ role: msg.role, content: toContent(msg) }));
+    const payload = {
+      model,
+      stream: true,
+      messages: systemPrompt ? [{ role: 'system', content: systemPrompt }, ...chatMessages] : chatMessages
+    };
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await errorFromResponse(response, 'Chat completion');
+    }
+
+    await readEventStream(response, (chunk) => {
+      if (chunk?.choices?.[0]?.finish_reason === 'content_filter') throw safetyError('content_filter');
+      const delta = chunk?.choices?.[0]?.delta?.content;
+      if (delta) onDelta(delta);
+    });
+  },
+};
+
+export default openai;
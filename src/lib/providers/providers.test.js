@@ -0,0 +1,168 @@
+import { ChatError, PROVIDERS, toChatError } from '.';
+
+// Builds a Response-like object whose body yields the given string chunks
+const mockResponse = (chunks, status = 200) => {
+  const encoder = new TextEncoder();
+  const queue = chunks.map(chunk => encoder.encode(chunk));
+  return {
+    ok: status < 400,
+    status,
+    body: {
+      getReader: () => ({
+        read: async () => (queue.length
+          ? { done: false, value: queue.shift() }
+          : { done: true, value: undefined }),
+      }),
+    },
+  };
+};
+
+const request = (onDelta) => ({
+  baseUrl: 'http://host/v1',
+  model: 'test-model',
+  apiKey: 'secret',
+  systemPrompt: 'Be RUGVED AI',
+  messages: [{ role: 'user', text: 'Hi' }, { role: 'assistant', text: 'Hello' }, { role: 'user', text: 'PWM?' }],
+  onDelta,
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('gemini streams candidate text from SSE chunks', async () => {
+  global.fetch = jest.fn(async () => mockResponse([
+    'data: {"candidates":[{"content":{"parts":[{"text":"Pulse "}]}}]}\n\n',
+    'data: {"candidates":[{"content":{"parts":[{"text":"width"}]}}]}\n\n',
+  ]));
+  const deltas = [];
+
+  await PROVIDERS.gemini.streamChat(request(delta => deltas.push(delta)));
+
+  const [url, options] = global.fetch.mock.calls[0];
+  expect(url).toBe('http://host/v1/models/test-model:streamGenerateContent?alt=sse&key=secret');
+  const body = JSON.parse(options.body);
+  expect(body.systemInstruction).toEqual({ parts: [{ text: 'Be RUGVED AI' }] });
+  expect(body.contents.map(c => c.role)).toEqual(['user', 'model', 'user']);
+  expect(deltas.join('')).toBe('Pulse width');
+});
+
+test('gemini sends attachments as inline data parts', async () => {
+  global.fetch = jest.fn(async () => mockResponse([]));
+  const attachment = { name: 'pcb.png', mimeType: 'image/png', kind: 'image', data: 'iVBORw0=' };
+
+  await PROVIDERS.gemini.streamChat({ ...request(() => {}), messages: [{ role: 'user', text: 'Any shorts?', attachments: [attachment] }] });
+
+  const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+  expect(body.contents[0].parts).toEqual([
+    { inlineData: { mimeType: 'image/png', data: 'iVBORw0=' } },
+    { text: 'Any shorts?' },
+  ]);
+});
+
+test('gemini declares tools, returns function calls and sends results back', async () => {
+  global.fetch = jest.fn(async () => mockResponse([
+    'data: {"candidates":[{"content":{"parts":[{"functionCall":{"name":"ohms_law","args":{"voltage":12,"current":2}},"thoughtSignature":"sig"}]}}]}\n\n',
+  ]));
+  const tools = [{ name: 'ohms_law', description: 'Solve V = IR', parameters: { type: 'object', properties: {} } }];
+  const messages = [
+    { role: 'user', text: 'Resistance at 12 V, 2 A?' },
+    { role: 'assistant', text: '', toolCalls: [{ name: 'ohms_law', args: { voltage: 12, current: 2 }, thoughtSignature: 'sig' }] },
+    { role: 'tool', toolResults: [{ name: 'ohms_law', result: { resistance_ohm: 6 } }] },
+  ];
+
+  const result = await PROVIDERS.gemini.streamChat({ ...request(() => {}), tools, messages });
+
+  expect(result.toolCalls).toEqual([{ name: 'ohms_law', args: { voltage: 12, current: 2 }, thoughtSignature: 'sig' }]);
+  const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+  expect(body.tools).toEqual([{ functionDeclarations: tools }]);
+  expect(body.contents.slice(1)).toEqual([
+    { role: 'model', parts: [{ functionCall: { name: 'ohms_law', args: { voltage: 12, current: 2 } }, thoughtSignature: 'sig' }] },
+    { role: 'user', parts: [{ functionResponse: { name: 'ohms_law', response: { resistance_ohm: 6 } } }] },
+  ]);
+});
+
+test('openai-compatible sends a system message and bearer token', async () => {
+  global.fetch = jest.fn(async () => mockResponse([
+    'data: {"choices":[{"delta":{"content":"Duty"}}]}\n\n',
+    'data: {"choices":[{"delta":{}}]}\n\ndata: [DONE]\n\n',
+  ]));
+  const deltas = [];
+
+  await PROVIDERS.openai.streamChat(request(delta => deltas.push(delta)));
+
+  const [url, options] = global.fetch.mock.calls[0];
+  const body = JSON.parse(options.body);
+  expect(url).toBe('http://host/v1/chat/completions');
+  expect(options.headers.Authorization).toBe('Bearer secret');
+  expect(body.messages[0]).toEqual({ role: 'system', content: 'Be RUGVED AI' });
+  expect(body.stream).toBe(true);
+  expect(deltas).toEqual(['Duty']);
+});
+
+test('ollama reads newline-delimited JSON', async () => {
+  global.fetch = jest.fn(async () => mockResponse([
+    '{"message":{"content":"cy"},"done":false}\n{"message":{"con',
+    'tent":"cle"},"done":false}\n{"done":true}',
+  ]));
+  const deltas = [];
+
+  await PROVIDERS.ollama.streamChat({ ...request(delta => deltas.push(delta)), baseUrl: 'http://localhost:11434' });
+
+  expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:11434/api/chat');
+  expect(deltas.join('')).toBe('cycle');
+});
+
+test('providers reject failed responses', async () => {
+  global.fetch = jest.fn(async () => mockResponse([], 500));
+
+  await expect(PROVIDERS.openai.streamChat(request(() => {}))).rejects.toThrow('500');
+});
+
+test('providers type errors from the response body', async () => {
+  global.fetch = jest.fn(async () => ({
+    ok: false,
+    status: 429,
+    headers: { get: () => null },
+    json: async () => ({ error: { message: 'Quota exceeded', details: [{ retryDelay: '30s' }] } }),
+  }));
+
+  const error = await PROVIDERS.gemini.streamChat(request(() => {})).catch(caught => caught);
+
+  expect(error).toBeInstanceOf(ChatError);
+  expect(error).toMatchObject({ type: 'rateLimit', status: 429, retryAfter: 30, message: 'Quota exceeded' });
+});
+
+test('gemini reports safety blocks', async () => {
+  global.fetch = jest.fn(async () => mockResponse([
+    'data: {"promptFeedback":{"blockReason":"SAFETY"}}\n\n',
+  ]));
+
+  await expect(PROVIDERS.gemini.streamChat(request(() => {}))).rejects.toMatchObject({ type: 'safety' });
+});
+
+test('proxy passes on safety codes from the stream', async () => {
+  global.fetch = jest.fn(async () => mockResponse([
+    'data: {"error":"Blocked by safety filters (SAFETY)","code":"safety"}\n\n',
+  ]));
+
+  await expect(PROVIDERS.proxy.streamChat(request(() => {}))).rejects.toMatchObject({ type: 'safety' });
+});
+
+test('proxy forwards tools and collects the calls it streams back', async () => {
+  global.fetch = jest.fn(async () => mockResponse([
+    'data: {"toolCall":{"name":"convert_units","args":{"value":5}}}\n\n',
+    'data: [DONE]\n\n',
+  ]));
+  const tools = [{ name: 'convert_units', description: 'Converts units', parameters: { type: 'object' } }];
+
+  const result = await PROVIDERS.proxy.streamChat({ ...request(() => {}), tools });
+
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body).tools).toEqual(tools);
+  expect(result.toolCalls).toEqual([{ name: 'convert_units', args: { value: 5 } }]);
+});
+
+test('unreachable servers become network errors', () => {
+  expect(toChatError(new TypeError('Failed to fetch')).type).toBe('network');
+  expect(toChatError(new Error('boom')).type).toBe('server');
+});
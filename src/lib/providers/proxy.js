@@ -0,0 +1,57 @@
+import { readEventStream } from '../sse';
+import { ChatError, errorFromResponse } from './errors';
+
+// --- RUGVED proxy adapter ---
+// Talks to the team proxy in server/, which holds the real provider key. The
+// browser only ever sends a personal access token.
+
+const authHeaders = (token) => ({
+  'Content-Type': 'application/json',
+  Authorization: `Bearer ${token}`
+});
+
+const proxy = {
+  id: 'proxy',
+  label: 'RUGVED proxy',
+  // Same origin as the app; `npm start` forwards /api to the proxy
+  defaultBaseUrl: '',
+  defaultModel: '',
+  auth: 'accessToken',
+  // The proxy rejects kinds its upstream provider can't read
+  attachments: ['image', 'pdf', 'text'],
+  // Passed on to a Gemini upstream; other upstreams answer in text
+  tools: true,
+
+  // Resolves to the token owner's name, or rejects when the token is refused
+  verifySession: async ({ baseUrl, token }) => {
+    const response = await fetch(`${baseUrl}/api/session`, { headers: authHeaders(token) });
+    if (!response.ok) {
+      throw new Error(response.status === 401 ? 'Invalid access token' : `Proxy responded with status ${response.status}`);
+    }
+    const { user } = await response.json();
+    return user;
+  },
+
+  streamChat: async ({ baseUrl, apiKey, systemPrompt, messages, tools, signal, onDelta }) => {
+    const response = await fetch(`${baseUrl}/api/chat/stream`, {
+      method: 'POST',
+      headers: authHeaders(apiKey),
+      body: JSON.stringify({ systemPrompt, messages, ...(tools?.length ? { tools } : {}) }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await errorFromResponse(response, 'Proxy');
+    }
+
+    const toolCalls = [];
+    await readEventStream(response, (chunk) => {
+      if (chunk.error) throw new ChatError(chunk.code === 'safety' ? 'safety' : 'server', chunk.error);
+      if (chunk.text) onDelta(chunk.text);
+      if (chunk.toolCall) toolCalls.push(chunk.toolCall);
+    });
+    return { toolCalls };
+  },
+};
+
+export default proxy;
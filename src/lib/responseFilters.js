@@ -0,0 +1,121 @@
+import { TranslatableError } from './i18n';
+
+// --- Response filter pipeline ---
+// Replies pass through an ordered list of rules before they are shown. A rule
+// is { id, description, type, pattern, replacement, enabled } where type is
+//   'phrase' – `pattern` is one or more literal phrases separated by `|`,
+//              matched case-insensitively as whole words only
+//   'regex'  – `pattern` is a regular expression source (flags: gi)
+// Replacements may use $1-style group references and \n for a newline.
+// Whole-word matching is what keeps ordinary engineering text intact: "REST
+// api", "using a PID loop" or "rapid" are never touched by the identity rules.
+// Only prose is filtered; code spans, fenced blocks and links are left alone.
+
+export const DEFAULT_FILTER_RULES = [
+  {
+    id: 'collapse-blank-lines',
+    description: 'Limit consecutive blank lines',
+    type: 'regex',
+    pattern: '\\n{3,}',
+    replacement: '\\n\\n',
+    enabled: true,
+  },
+  {
+    id: 'generic-assistant',
+    description: 'Replace generic assistant self-descriptions',
+    type: 'phrase',
+    pattern: 'I am an AI language model|I am a large language model|I am an AI assistant',
+    replacement: 'I am RUGVED AI',
+    enabled: true,
+  },
+  {
+    id: 'vendor-creator',
+    description: 'Credit RUGVED instead of a model vendor',
+    type: 'regex',
+    pattern: '\\b(I was|I\'m|I am) (created|developed|built|trained|made) by (Google|Google DeepMind|OpenAI|Anthropic|Meta)\\b',
+    replacement: '$1 $2 by RUGVED',
+    enabled: true,
+  },
+  {
+    id: 'model-names',
+    description: 'Hide underlying model and vendor names',
+    type: 'phrase',
+    pattern: 'Google Gemini|Gemini|ChatGPT|GPT-4o|GPT-4|GPT-3.5|OpenAI|Claude|Anthropic',
+    replacement: 'RUGVED AI',
+    enabled: true,
+  },
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Returns a RegExp for the rule, or throws a TranslatableError if its pattern
+// is invalid
+export const compileRule = (rule) => {
+  if (rule.type === 'phrase') {
+    const phrases = rule.pattern.split('|').map(phrase => phrase.trim()).filter(Boolean);
+    if (phrases.length === 0) throw new TranslatableError('filters.noPhrases');
+    // Longest first so "Google Gemini" wins over "Gemini"
+    const alternatives = phrases
+      .sort((a, b) => b.length - a.length)
+      .map(phrase => escapeRegExp(phrase).replace(/\s+/g, '\\s+'));
+    return new RegExp(`(?<![\\w])(?:${alternatives.join('|')})(?![\\w])`, 'gi');
+  }
+  if (!rule.pattern) throw new TranslatableError('filters.emptyPattern');
+  try {
+    return new RegExp(rule.pattern, 'gi');
+  } catch (error) {
+    // The engine's reason, as in "Invalid regular expression: /(/: Unterminated group"
+    throw new TranslatableError('filters.invalidRegex', { reason: error.message.split(': ').pop() });
+  }
+};
+
+// The TranslatableError that keeps the rule from compiling, or null
+export const ruleError = (rule) => {
+  try {
+    compileRule(rule);
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+const unescapeReplacement = (replacement) => replacement.replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+
+// Code and links pass through as written: renaming "openai" in
+// `from openai import OpenAI` or api.openai.com would break them
+const VERBATIM = new RegExp([
+  // Fenced blocks, up to the closing fence or the end of a reply still streaming
+  /^ {0,3}(`{3,}|~{3,})[^\n]*(?:\n[\s\S]*?\n {0,3}\1[`~]*[ \t]*(?=\n|$)|[\s\S]*)/.source,
+  /(`+)[^`]*?\2/.source,
+  /\b(?:https?:\/\/|www\.)[^\s<>]*[^\s<>.,;:!?)\]'"]/.source,
+  /\b(?:[a-z0-9-]+\.)+[a-z]{2,}\b(?:\/[^\s<>]*[^\s<>.,;:!?)\]'"])?/.source,
+].join('|'), 'gim');
+
+export const applyFilters = (text, rules = DEFAULT_FILTER_RULES) => {
+  const compiled = rules.filter(rule => rule.enabled).flatMap(rule => {
+    try {
+      return [[compileRule(rule), unescapeReplacement(rule.replacement)]];
+    } catch {
+      // Invalid rules are reported in the editor and skipped here
+      return [];
+    }
+  });
+  const filterProse = (prose) => compiled.reduce((result, [regex, replacement]) => result.replace(regex, replacement), prose);
+
+  let result = '';
+  let last = 0;
+  for (const match of text.matchAll(VERBATIM)) {
+    result += filterProse(text.slice(last, match.index)) + match[0];
+    last = match.index + match[0].length;
+  }
+  return (result + filterProse(text.slice(last))).trim();
+};
+
+export const createFilterRule = () => ({
+  id: `rule-${Date.now().toString(36)}`,
+  description: 'New rule',
+  type: 'phrase',
+  pattern: '',
+  replacement: '',
+  enabled: true,
+});
@@ -0,0 +1,66 @@
+import { DEFAULT_FILTER_RULES, applyFilters, compileRule, ruleError } from './responseFilters';
+
+describe('default rules leave engineering vocabulary alone', () => {
+  const untouched = [
+    'Expose the telemetry over a REST api on the Jetson.',
+    'Hold the wheel speed using a PID loop.',
+    'The chassis is powered by a 24V LiPo pack.',
+    'The navigation stack is built on ROS 2 and based on the IMU readings.',
+    'Use rapid prototyping for the capital-intensive parts.',
+    'An LLM-free state machine is easier to certify.',
+    'The Geminid meteor shower peaks in December.',
+    'Claudette tuned the encoder counts.',
+  ];
+
+  test.each(untouched)('%s', (text) => {
+    expect(applyFilters(text)).toBe(text);
+  });
+});
+
+test('replaces generic assistant phrases and vendor names as whole words', () => {
+  expect(applyFilters('I am an AI language model trained by OpenAI.'))
+    .toBe('I am RUGVED AI trained by RUGVED AI.');
+  expect(applyFilters("I'm built by Google, and ChatGPT or GPT-4o can't see this."))
+    .toBe("I'm built by RUGVED, and RUGVED AI or RUGVED AI can't see this.");
+  expect(applyFilters('Google Gemini answered.')).toBe('RUGVED AI answered.');
+});
+
+test('leaves fenced code blocks alone, including one still streaming', () => {
+  const code = '```python\nfrom openai import OpenAI\nclient = OpenAI()\n```';
+  expect(applyFilters(`OpenAI's client:\n\n${code}\n\nThat is all.`))
+    .toBe(`RUGVED AI's client:\n\n${code}\n\nThat is all.`);
+  expect(applyFilters('Run:\n~~~\nimport anthropic\nclaude = anthropic.Anthropic()'))
+    .toBe('Run:\n~~~\nimport anthropic\nclaude = anthropic.Anthropic()');
+});
+
+test('leaves inline code alone', () => {
+  expect(applyFilters('Install `openai` and call `OpenAI()` instead of Gemini.'))
+    .toBe('Install `openai` and call `OpenAI()` instead of RUGVED AI.');
+});
+
+test('leaves links and host names alone', () => {
+  expect(applyFilters('ChatGPT calls https://api.openai.com/v1/chat/completions.'))
+    .toBe('RUGVED AI calls https://api.openai.com/v1/chat/completions.');
+  expect(applyFilters('Point the base URL at api.openai.com or generativelanguage.googleapis.com/v1beta/models/gemini-pro.'))
+    .toBe('Point the base URL at api.openai.com or generativelanguage.googleapis.com/v1beta/models/gemini-pro.');
+});
+
+test('collapses runs of blank lines', () => {
+  expect(applyFilters('a\n\n\n\nb')).toBe('a\n\nb');
+});
+
+test('skips disabled and invalid rules', () => {
+  const rules = [
+    { ...DEFAULT_FILTER_RULES[3], enabled: false },
+    { id: 'bad', type: 'regex', pattern: '(', replacement: '', enabled: true },
+  ];
+  expect(applyFilters('Gemini', rules)).toBe('Gemini');
+  expect(ruleError(rules[1]).message).toBe('Invalid regular expression: Unterminated group');
+  expect(ruleError({ type: 'phrase', pattern: ' | ' }).code).toBe('filters.noPhrases');
+});
+
+test('escapes phrase patterns', () => {
+  const regex = compileRule({ type: 'phrase', pattern: 'GPT-3.5' });
+  expect('GPT-3x5'.match(regex)).toBeNull();
+  expect('use GPT-3.5 here'.match(regex)).toEqual(['GPT-3.5']);
+});
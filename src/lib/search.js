@@ -0,0 +1,90 @@
+import { messageTimestamp } from './conversations';
+
+// --- Search across conversations ---
+// Every query term must appear in a message for it to match. Results are
+// ranked by how often the terms occur, with a bonus for the exact phrase and
+// for a match in the conversation title; newer messages win ties.
+
+const SNIPPET_RADIUS = 60;
+const MAX_RESULTS = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DATE_RANGES = {
+  any: null,
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS,
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const queryTerms = (query) => [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+
+const countOccurrences = (haystack, needle) => {
+  let count = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    count += 1;
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return count;
+};
+
+// The part of `text` around the first match, with ellipses where it was cut
+export const snippetFor = (text, terms) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const lower = flat.toLowerCase();
+  const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index !== -1));
+  const start = Number.isFinite(first) ? Math.max(0, first - SNIPPET_RADIUS) : 0;
+  const end = Math.min(flat.length, (Number.isFinite(first) ? first : 0) + SNIPPET_RADIUS * 2);
+  return `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+};
+
+// Splits text into [{ text, match }] parts for rendering highlights
+export const highlightParts = (text, terms) => {
+  if (terms.length === 0) return [{ text, match: false }];
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text.split(pattern)
+    .filter(Boolean)
+    .map(part => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+};
+
+// `sender` is 'all', 'user' or 'ai'; `range` is a key of DATE_RANGES
+export const searchConversations = (conversations, query, { sender = 'all', range = 'any', now = Date.now() } = {}) => {
+  const terms = queryTerms(query);
+  if (terms.length === 0) return [];
+  const phrase = terms.length > 1 ? query.toLowerCase().replace(/\s+/g, ' ').trim() : null;
+  const since = DATE_RANGES[range] ? now - DATE_RANGES[range] : null;
+
+  const results = [];
+  conversations.forEach(conversation => {
+    const title = conversation.title.toLowerCase();
+    (conversation.messages || []).forEach(message => {
+      if (message.sender !== 'user' && message.sender !== 'ai') return;
+      if (sender !== 'all' && message.sender !== sender) return;
+      const timestamp = messageTimestamp(message) ?? conversation.updatedAt;
+      if (since && timestamp < since) return;
+
+      const text = (message.text || '').toLowerCase();
+      const counts = terms.map(term => countOccurrences(text, term));
+      if (counts.some(count => count === 0)) return;
+
+      const score = counts.reduce((sum, count) => sum + Math.min(count, 5), 0)
+        + (phrase && text.replace(/\s+/g, ' ').includes(phrase) ? 5 : 0)
+        + terms.filter(term => title.includes(term)).length * 2;
+      results.push({
+        conversationId: conversation.id,
+        conversationTitle: conversation.title,
+        messageId: message.id,
+        sender: message.sender,
+        timestamp,
+        score,
+        snippet: snippetFor(message.text, terms),
+      });
+    });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || b.timestamp - a.timestamp)
+    .slice(0, MAX_RESULTS);
+};
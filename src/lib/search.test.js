@@ -0,0 +1,54 @@
+import { highlightParts, searchConversations, snippetFor } from './search';
+
+const NOW = Date.UTC(2024, 5, 15);
+const DAY = 24 * 60 * 60 * 1000;
+
+const conversations = [
+  {
+    id: 'a',
+    title: 'Motor drivers',
+    updatedAt: NOW,
+    messages: [
+      { id: 1, sender: 'user', text: 'Which motor driver for the rover?', createdAt: NOW - 10 * DAY },
+      { id: 2, sender: 'ai', text: 'A motor driver like the L298N drives each motor. Motor motor motor.', createdAt: NOW - 10 * DAY },
+    ],
+  },
+  {
+    id: 'b',
+    title: 'Power',
+    updatedAt: NOW,
+    messages: [
+      { id: 3, sender: 'user', text: 'Does the driver need a separate battery?', createdAt: NOW - DAY / 2 },
+      { id: 4, sender: 'summary', text: 'Talked about motor drivers and batteries.' },
+    ],
+  },
+];
+
+test('requires every term and ranks by frequency and title', () => {
+  const results = searchConversations(conversations, 'motor driver', { now: NOW });
+  expect(results.map(result => result.messageId)).toEqual([2, 1]);
+  expect(results[0]).toMatchObject({ conversationId: 'a', conversationTitle: 'Motor drivers', sender: 'ai' });
+});
+
+test('skips summaries and filters by sender and date', () => {
+  expect(searchConversations(conversations, 'driver', { now: NOW }).map(result => result.messageId)).toEqual([1, 2, 3]);
+  expect(searchConversations(conversations, 'driver', { sender: 'ai', now: NOW }).map(result => result.messageId)).toEqual([2]);
+  expect(searchConversations(conversations, 'driver', { range: 'day', now: NOW }).map(result => result.messageId)).toEqual([3]);
+  expect(searchConversations(conversations, '   ', { now: NOW })).toEqual([]);
+});
+
+test('cuts a snippet around the first match and splits highlights', () => {
+  const text = `${'x'.repeat(100)} the needle ${'y'.repeat(200)}`;
+  const snippet = snippetFor(text, ['needle']);
+  expect(snippet.startsWith('…')).toBe(true);
+  expect(snippet.endsWith('…')).toBe(true);
+  expect(snippet).toContain('needle');
+
+  expect(highlightParts('Motor and MOTOR (c)', ['motor', '(c)'])).toEqual([
+    { text: 'Motor', match: true },
+    { text: ' and ', match: false },
+    { text: 'MOTOR', match: true },
+    { text: ' ', match: false },
+    { text: '(c)', match: true },
+  ]);
+});
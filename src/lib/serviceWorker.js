@@ -0,0 +1,34 @@
+// --- Service worker registration ---
+// Only production builds have a service worker (src/service-worker.js).
+// `onUpdate` is called with the registration when a new build has been
+// downloaded and is waiting; activateUpdate() lets it take over, after which
+// the page reloads once.
+
+export const serviceWorkerSupported = () => process.env.NODE_ENV === 'production' && 'serviceWorker' in navigator;
+
+export const registerServiceWorker = async ({ onUpdate }) => {
+  const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+
+  const watch = (worker) => {
+    worker.addEventListener('statechange', () => {
+      // The first install has nothing to replace
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) onUpdate(registration);
+    });
+  };
+
+  if (registration.waiting && navigator.serviceWorker.controller) onUpdate(registration);
+  registration.addEventListener('updatefound', () => watch(registration.installing));
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  return registration;
+};
+
+export const activateUpdate = (registration) => {
+  registration.waiting?.postMessage({ type: 'SKIP_WAITING' });
+};
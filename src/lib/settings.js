@@ -0,0 +1,54 @@
+import { DEFAULT_TEMPLATES } from './commands';
+import { DEFAULT_PERSONA_ID } from './personas';
+import { DEFAULT_PROVIDER } from './providers';
+import { DEFAULT_FILTER_RULES } from './responseFilters';
+
+// --- Persisted user settings ---
+
+const SETTINGS_KEY = 'rugved_settings';
+
+export const DEFAULT_SETTINGS = {
+  voiceOutput: true,
+  provider: DEFAULT_PROVIDER,
+  // Empty model / base URL fall back to the provider's defaults
+  model: '',
+  baseUrl: '',
+  // Only used by providers that are called directly from the browser
+  apiKey: '',
+  // Persona used for new conversations
+  defaultPersonaId: DEFAULT_PERSONA_ID,
+  filterRules: DEFAULT_FILTER_RULES,
+  // Prompt templates offered as slash commands in the composer
+  promptTemplates: DEFAULT_TEMPLATES,
+  // Estimated tokens per request before older turns are summarised (0 = never)
+  contextBudget: 32000,
+  // Add matching knowledge base passages to each request
+  useKnowledge: true,
+  // Let the model call the built-in calculators (providers with tool support)
+  useTools: true,
+  // Voice input and output; an empty voiceURI picks a voice for speechLang
+  speechLang: 'en-US',
+  voiceURI: '',
+  speechRate: 1,
+  speechPitch: 1,
+  // Interface language (see ./i18n); replies and voice input follow it
+  language: 'en',
+  // Appearance: 'system' follows the operating system's light/dark setting
+  theme: 'dark',
+  highContrast: false,
+  fontSize: 'medium',
+  reduceMotion: false,
+};
+
+export const loadSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return { ...DEFAULT_SETTINGS, ...saved };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const saveSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
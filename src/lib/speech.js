@@ -0,0 +1,163 @@
+// --- Speech synthesis helpers ---
+
+// Recognition languages offered in Settings
+export const SPEECH_LANGUAGES = [
+  { code: 'en-US', label: 'English (US)' },
+  { code: 'en-IN', label: 'English (India)' },
+  { code: 'en-GB', label: 'English (UK)' },
+  { code: 'hi-IN', label: 'Hindi' },
+  { code: 'mr-IN', label: 'Marathi' },
+];
+
+export const getSpeechRecognition = () => window.SpeechRecognition || window.webkitSpeechRecognition || null;
+
+export const speechSynthesisSupported = () => 'speechSynthesis' in window;
+
+// Markdown and HTML read badly aloud
+export const cleanTextForSpeech = (text) => text
+  .replace(/```[\s\S]*?```/g, ' (code omitted) ') // Skip code blocks
+  .replace(/<[^>]*>/g, '') // Remove HTML tags
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1') // Keep link and image text only
+  .replace(/[*_#>`~]/g, '') // Remove Markdown markers
+  .replace(/\n/g, ' ') // Replace newlines with spaces
+  .replace(/\s+/g, ' ') // Replace multiple spaces with single space
+  .trim();
+
+// Chrome cuts off utterances after about 15 seconds; keep chunks well short of that
+const MAX_CHUNK_LENGTH = 220;
+
+// Long sentences are split at commas and semicolons, then at spaces
+const chunkLongSentence = (sentence) => {
+  if (sentence.length <= MAX_CHUNK_LENGTH) return [sentence];
+  const chunks = [];
+  let current = '';
+  const pieces = sentence
+    .split(/(?<=[,;:])\s+/)
+    .flatMap(clause => (clause.length > MAX_CHUNK_LENGTH ? clause.split(/\s+/) : [clause]));
+  pieces.forEach(piece => {
+    if (current && current.length + piece.length + 1 > MAX_CHUNK_LENGTH) {
+      chunks.push(current);
+      current = piece;
+    } else {
+      current = current ? `${current} ${piece}` : piece;
+    }
+  });
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+// Splits a reply into sentences to queue one utterance at a time. Code blocks
+// are announced instead of being read out symbol by symbol.
+export const splitSentences = (text) => text
+  .split(/(```[^\n]*\n[\s\S]*?(?:```|$))/)
+  .flatMap(part => {
+    const fence = part.match(/^```([\w+#-]*)/);
+    if (fence) return [`Code block${fence[1] ? ` in ${fence[1]}` : ''} skipped.`];
+    return part
+      .split(/\n+/)
+      .map(line => cleanTextForSpeech(line.replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '')))
+      .flatMap(line => line.split(/(?<=[.!?…])\s+(?=["'([]?[A-Z0-9])/))
+      .map(sentence => sentence.trim())
+      .filter(Boolean)
+      .flatMap(chunkLongSentence);
+  });
+
+// The configured voice, or the first one for the recognition language
+export const pickVoice = (voices, { voiceURI, speechLang }) => (
+  voices.find(voice => voice.voiceURI === voiceURI)
+  || voices.find(voice => voice.lang === speechLang)
+  || null
+);
+
+const createUtterance = (text, settings) => {
+  const utterance = new SpeechSynthesisUtterance(text);
+  const voice = pickVoice(speechSynthesis.getVoices(), settings);
+  if (voice) utterance.voice = voice;
+  utterance.lang = voice?.lang || settings.speechLang;
+  utterance.rate = settings.speechRate;
+  utterance.pitch = settings.speechPitch;
+  return utterance;
+};
+
+// Speaks `sentences` one utterance at a time and starts immediately.
+// `onChange({ index, paused })` follows playback; `onEnd` runs once, when the
+// last sentence finishes or playback is stopped.
+export const createSpeechQueue = (sentences, settings, { onChange, onEnd }) => {
+  let index = 0;
+  let paused = false;
+  let finished = false;
+  // Cancelling fires `end` on the interrupted utterance; only the latest counts
+  let generation = 0;
+
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    generation += 1;
+    onEnd();
+  };
+
+  const speakCurrent = () => {
+    if (index >= sentences.length) {
+      finish();
+      return;
+    }
+    generation += 1;
+    const current = generation;
+    const utterance = createUtterance(sentences[index], settings);
+    utterance.onend = () => {
+      if (current !== generation) return;
+      index += 1;
+      speakCurrent();
+    };
+    utterance.onerror = utterance.onend;
+    onChange({ index, paused });
+    speechSynthesis.speak(utterance);
+  };
+
+  // Cancelling while paused leaves Chrome paused for the next utterance
+  const interrupt = () => {
+    generation += 1;
+    speechSynthesis.cancel();
+    speechSynthesis.resume();
+    paused = false;
+  };
+
+  interrupt();
+  speakCurrent();
+
+  return {
+    pause: () => {
+      if (finished || paused) return;
+      paused = true;
+      speechSynthesis.pause();
+      onChange({ index, paused });
+    },
+    resume: () => {
+      if (finished || !paused) return;
+      paused = false;
+      speechSynthesis.resume();
+      onChange({ index, paused });
+    },
+    skip: () => {
+      if (finished) return;
+      interrupt();
+      index += 1;
+      speakCurrent();
+    },
+    stop: () => {
+      if (finished) return;
+      interrupt();
+      finish();
+    },
+  };
+};
+
+// Speaks a short text in one go (used for the voice check in Settings)
+export const speakText = (text, settings) => {
+  const cleanText = cleanTextForSpeech(text);
+  if (!speechSynthesisSupported() || !cleanText) return;
+
+  const utterance = createUtterance(cleanText, settings);
+  speechSynthesis.cancel(); // Cancel any previous speech
+  speechSynthesis.speak(utterance);
+};
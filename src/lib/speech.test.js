@@ -0,0 +1,90 @@
+import { cleanTextForSpeech, createSpeechQueue, pickVoice, splitSentences } from './speech';
+
+test('strips Markdown and code before speaking', () => {
+  expect(cleanTextForSpeech('**Use** a [PID loop](https://x.y):\n```c\nint x;\n```\n# Done'))
+    .toBe('Use a PID loop: (code omitted) Done');
+});
+
+test('picks the configured voice, then one for the recognition language', () => {
+  const voices = [
+    { voiceURI: 'en-us-1', lang: 'en-US' },
+    { voiceURI: 'hi-in-1', lang: 'hi-IN' },
+  ];
+  expect(pickVoice(voices, { voiceURI: 'en-us-1', speechLang: 'hi-IN' })).toBe(voices[0]);
+  expect(pickVoice(voices, { voiceURI: '', speechLang: 'hi-IN' })).toBe(voices[1]);
+  expect(pickVoice(voices, { voiceURI: '', speechLang: 'mr-IN' })).toBeNull();
+});
+
+test('splits replies into sentences and announces code blocks', () => {
+  const reply = 'Set the duty cycle first. Then enable the timer!\n\n```c\nTIM2->CCR1 = 500;\n```\n1. Check 3.3 V on pin 4.\n- Done?';
+  expect(splitSentences(reply)).toEqual([
+    'Set the duty cycle first.',
+    'Then enable the timer!',
+    'Code block in c skipped.',
+    'Check 3.3 V on pin 4.',
+    'Done?',
+  ]);
+});
+
+test('breaks long sentences into chunks the browser can speak', () => {
+  const long = `${'word '.repeat(60).trim()}, ${'more '.repeat(30).trim()}.`;
+  const chunks = splitSentences(long);
+  expect(chunks.length).toBeGreaterThan(1);
+  expect(chunks.every(chunk => chunk.length <= 220)).toBe(true);
+  expect(chunks.join(' ')).toBe(long);
+});
+
+describe('speech queue', () => {
+  let spoken;
+
+  beforeEach(() => {
+    spoken = [];
+    global.SpeechSynthesisUtterance = function SpeechSynthesisUtterance(text) {
+      this.text = text;
+    };
+    window.speechSynthesis = {
+      speak: jest.fn(utterance => spoken.push(utterance)),
+      cancel: jest.fn(),
+      pause: jest.fn(),
+      resume: jest.fn(),
+      getVoices: () => [],
+    };
+  });
+
+  afterEach(() => {
+    delete window.speechSynthesis;
+    delete global.SpeechSynthesisUtterance;
+  });
+
+  const settings = { voiceURI: '', speechLang: 'en-US', speechRate: 1, speechPitch: 1 };
+
+  test('speaks one sentence after another', () => {
+    const onChange = jest.fn();
+    const onEnd = jest.fn();
+    createSpeechQueue(['One.', 'Two.'], settings, { onChange, onEnd });
+
+    expect(spoken.map(utterance => utterance.text)).toEqual(['One.']);
+    spoken[0].onend();
+    expect(spoken.map(utterance => utterance.text)).toEqual(['One.', 'Two.']);
+    expect(onChange).toHaveBeenLastCalledWith({ index: 1, paused: false });
+    spoken[1].onend();
+    expect(onEnd).toHaveBeenCalledTimes(1);
+  });
+
+  test('skips and stops without double-advancing on the cancelled utterance', () => {
+    const onEnd = jest.fn();
+    const queue = createSpeechQueue(['One.', 'Two.', 'Three.'], settings, { onChange: () => {}, onEnd });
+
+    queue.skip();
+    // Chrome fires `end` on the interrupted utterance
+    spoken[0].onend();
+    expect(spoken.map(utterance => utterance.text)).toEqual(['One.', 'Two.']);
+
+    queue.pause();
+    expect(window.speechSynthesis.pause).toHaveBeenCalled();
+    queue.stop();
+    spoken[1].onend();
+    expect(spoken).toHaveLength(2);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,40 @@
+// --- Server-Sent Events reader ---
+// Reads a fetch Response body as an SSE stream and hands every parsed JSON
+// `data:` payload to `onData` as soon as its event is complete.
+
+const parseEvent = (block) => {
+  const data = block
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).replace(/^ /, ''))
+    .join('\n');
+
+  if (!data || data === '[DONE]') return null;
+  return JSON.parse(data);
+};
+
+export const readEventStream = async (response, onData) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flush = (blocks) => {
+    blocks.forEach(block => {
+      const payload = parseEvent(block);
+      if (payload !== null) onData(payload);
+    });
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    flush(blocks);
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) flush([buffer]);
+};
@@ -0,0 +1,37 @@
+import { readEventStream } from './sse';
+
+// Builds a Response-like object whose body yields the given string chunks
+const mockResponse = (chunks) => {
+  const encoder = new TextEncoder();
+  const queue = chunks.map(chunk => encoder.encode(chunk));
+  return {
+    body: {
+      getReader: () => ({
+        read: async () => (queue.length
+          ? { done: false, value: queue.shift() }
+          : { done: true, value: undefined }),
+      }),
+    },
+  };
+};
+
+test('parses data events split across chunks', async () => {
+  const events = [];
+  const response = mockResponse([
+    'data: {"text":"Hel',
+    'lo"}\r\n\r\ndata: {"text":" world"}\n\n',
+  ]);
+
+  await readEventStream(response, (data) => events.push(data.text));
+
+  expect(events).toEqual(['Hello', ' world']);
+});
+
+test('handles a trailing event without a blank line and skips [DONE]', async () => {
+  const events = [];
+  const response = mockResponse(['data: {"n":1}\n\ndata: [DONE]\n\n', 'data: {"n":2}']);
+
+  await readEventStream(response, (data) => events.push(data.n));
+
+  expect(events).toEqual([1, 2]);
+});
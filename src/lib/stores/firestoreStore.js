@@ -0,0 +1,39 @@
+// --- Firestore conversation store ---
+// Stores conversations under artifacts/{appId}/users/{userId}/conversations,
+// the per-user layout allowed by firestore.rules. The Firebase SDK is not a
+// dependency of the app: pass the modular Firestore functions in, e.g.
+//
+//   import { getFirestore, connectFirestoreEmulator, collection, doc,
+//            getDoc, getDocs, setDoc, deleteDoc } from 'firebase/firestore';
+//   const db = getFirestore(firebaseApp);
+//   connectFirestoreEmulator(db, 'localhost', 8080); // local testing
+//   const store = createFirestoreStore({
+//     db, appId, userId,
+//     firestore: { collection, doc, getDoc, getDocs, setDoc, deleteDoc },
+//   });
+
+export const conversationsPath = (appId, userId) => ['artifacts', appId, 'users', userId, 'conversations'];
+
+export const createFirestoreStore = ({ db, appId, userId, firestore }) => {
+  const { collection, doc, getDoc, getDocs, setDoc, deleteDoc } = firestore;
+  const path = conversationsPath(appId, userId);
+  const conversationRef = (id) => doc(db, ...path, id);
+
+  return {
+    list: async () => {
+      const snapshot = await getDocs(collection(db, ...path));
+      return snapshot.docs.map(snap => snap.data());
+    },
+    get: async (id) => {
+      const snap = await getDoc(conversationRef(id));
+      return snap.exists() ? snap.data() : null;
+    },
+    put: async (conversation) => {
+      await setDoc(conversationRef(conversation.id), conversation);
+      return conversation;
+    },
+    remove: async (id) => {
+      await deleteDoc(conversationRef(id));
+    },
+  };
+};
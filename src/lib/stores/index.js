@@ -0,0 +1,16 @@
+import { createIndexedDBStore } from './indexedDBStore';
+import { createMemoryStore } from './memoryStore';
+
+export { createFirestoreStore } from './firestoreStore';
+export { createIndexedDBStore, createMemoryStore };
+
+// IndexedDB in the browser, memory where it doesn't exist (jsdom, SSR)
+export const createDefaultStore = (options) => (
+  typeof indexedDB !== 'undefined' ? createIndexedDBStore(options) : createMemoryStore()
+);
+
+// Knowledge base documents live in a database of their own
+export const createDefaultKnowledgeStore = () => createDefaultStore({ dbName: 'rugved-ai-knowledge', storeName: 'documents' });
+
+// Ratings of replies, kept when their conversation is deleted
+export const createDefaultFeedbackStore = () => createDefaultStore({ dbName: 'rugved-ai-feedback', storeName: 'feedback' });
@@ -0,0 +1,45 @@
+// --- IndexedDB conversation store ---
+// Keeps every conversation as one record in the `conversations` object store.
+// Other record types (knowledge base documents) use their own database and
+// `storeName` with the same interface.
+
+const DB_VERSION = 1;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = (dbName, storeName) => {
+  const request = indexedDB.open(dbName, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(storeName)) {
+      db.createObjectStore(storeName, { keyPath: 'id' });
+    }
+  };
+  return promisify(request);
+};
+
+export const createIndexedDBStore = ({ dbName = 'rugved-ai', storeName = 'conversations' } = {}) => {
+  let dbPromise = null;
+
+  const withStore = async (mode, action) => {
+    dbPromise = dbPromise || openDatabase(dbName, storeName);
+    const db = await dbPromise;
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return promisify(action(store));
+  };
+
+  return {
+    list: () => withStore('readonly', store => store.getAll()),
+    get: async (id) => (await withStore('readonly', store => store.get(id))) || null,
+    put: async (conversation) => {
+      await withStore('readwrite', store => store.put(conversation));
+      return conversation;
+    },
+    remove: async (id) => {
+      await withStore('readwrite', store => store.delete(id));
+    },
+  };
+};
@@ -0,0 +1,19 @@
+// --- In-memory conversation store ---
+// Used when IndexedDB is unavailable (e.g. in tests) and as the reference
+// implementation of the store interface: list, get, put and remove.
+
+export const createMemoryStore = (initial = []) => {
+  const conversations = new Map(initial.map(conv => [conv.id, conv]));
+
+  return {
+    list: async () => [...conversations.values()],
+    get: async (id) => conversations.get(id) || null,
+    put: async (conversation) => {
+      conversations.set(conversation.id, conversation);
+      return conversation;
+    },
+    remove: async (id) => {
+      conversations.delete(id);
+    },
+  };
+};
@@ -0,0 +1,48 @@
+// --- Appearance ---
+// Themes are applied as attributes on <html> (data-theme, data-contrast,
+// data-reduce-motion) that src/index.css turns into colour variables; the
+// text size scales the root font size, and with it every rem in Tailwind.
+
+// Labels are in the locale catalogues (appearance.theme.*, appearance.fontSize.*)
+export const THEMES = [
+  { id: 'system' },
+  { id: 'dark' },
+  { id: 'light' },
+];
+
+export const FONT_SIZES = [
+  { id: 'small', scale: 0.875 },
+  { id: 'medium', scale: 1 },
+  { id: 'large', scale: 1.125 },
+  { id: 'x-large', scale: 1.25 },
+];
+
+// Browser chrome colour for each theme (the page background)
+const THEME_COLORS = { dark: '#000000', light: '#ffffff' };
+
+const mediaMatches = (query) => window.matchMedia?.(query)?.matches ?? false;
+
+export const LIGHT_SCHEME_QUERY = '(prefers-color-scheme: light)';
+
+export const prefersLightScheme = () => mediaMatches(LIGHT_SCHEME_QUERY);
+
+export const resolveTheme = (theme, systemLight) => (theme === 'system' ? (systemLight ? 'light' : 'dark') : theme);
+
+export const fontScale = (fontSize) => (FONT_SIZES.find(size => size.id === fontSize) || FONT_SIZES[1]).scale;
+
+export const applyAppearance = (root, { theme, highContrast, fontSize, reduceMotion }) => {
+  root.dataset.theme = theme;
+  root.classList.toggle('dark', theme === 'dark');
+  root.toggleAttribute('data-reduce-motion', Boolean(reduceMotion));
+  if (highContrast) root.dataset.contrast = 'high';
+  else delete root.dataset.contrast;
+  root.style.fontSize = `${fontScale(fontSize) * 100}%`;
+  document.querySelector('meta[name="theme-color"]')?.setAttribute('content', THEME_COLORS[theme]);
+};
+
+export const prefersReducedMotion = () => (
+  document.documentElement.hasAttribute('data-reduce-motion') || mediaMatches('(prefers-reduced-motion: reduce)')
+);
+
+// For scrollTo(); CSS scroll-behavior doesn't cover scripted scrolling
+export const scrollBehavior = () => (prefersReducedMotion() ? 'auto' : 'smooth');
@@ -0,0 +1,33 @@
+import { applyAppearance, fontScale, resolveTheme, scrollBehavior } from './theme';
+
+afterEach(() => {
+  const root = document.documentElement;
+  ['data-theme', 'data-contrast', 'data-reduce-motion', 'style', 'class'].forEach(name => root.removeAttribute(name));
+});
+
+test('system theme follows the colour scheme', () => {
+  expect(resolveTheme('system', true)).toBe('light');
+  expect(resolveTheme('system', false)).toBe('dark');
+  expect(resolveTheme('dark', true)).toBe('dark');
+});
+
+test('unknown text sizes fall back to medium', () => {
+  expect(fontScale('large')).toBe(1.125);
+  expect(fontScale('huge')).toBe(1);
+});
+
+test('appearance is applied to the root element', () => {
+  const root = document.documentElement;
+
+  applyAppearance(root, { theme: 'light', highContrast: true, fontSize: 'x-large', reduceMotion: true });
+  expect(root.dataset.theme).toBe('light');
+  expect(root.dataset.contrast).toBe('high');
+  expect(root.classList.contains('dark')).toBe(false);
+  expect(root.style.fontSize).toBe('125%');
+  expect(scrollBehavior()).toBe('auto');
+
+  applyAppearance(root, { theme: 'dark', highContrast: false, fontSize: 'medium', reduceMotion: false });
+  expect(root.classList.contains('dark')).toBe(true);
+  expect(root.hasAttribute('data-contrast')).toBe(false);
+  expect(scrollBehavior()).toBe('smooth');
+});
@@ -0,0 +1,24 @@
+// --- Token estimates ---
+// Roughly four characters per token for English text and code. That is close
+// enough to keep requests under a budget without shipping a tokenizer for
+// every provider.
+
+const CHARS_PER_TOKEN = 4;
+// Gemini bills an image as 258 tokens, and a PDF as 258 per page
+const IMAGE_TOKENS = 258;
+const PDF_PAGE_TOKENS = 258;
+const PDF_BYTES_PER_PAGE = 50 * 1024;
+
+export const estimateTokens = (text = '') => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+const attachmentTokens = (attachment) => {
+  if (attachment.kind === 'image') return IMAGE_TOKENS;
+  if (attachment.kind === 'pdf') return Math.ceil(attachment.size / PDF_BYTES_PER_PAGE) * PDF_PAGE_TOKENS;
+  return Math.ceil(attachment.size / CHARS_PER_TOKEN);
+};
+
+export const messageTokens = (message) => (
+  estimateTokens(message.text) + (message.attachments || []).reduce((sum, attachment) => sum + attachmentTokens(attachment), 0)
+);
+
+export const formatTokens = (count) => (count < 1000 ? String(count) : `${(count / 1000).toFixed(1)}k`);
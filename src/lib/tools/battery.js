@@ -0,0 +1,43 @@
+import { ToolError, fraction, requirePositive, round } from './errors';
+
+// --- Battery runtime ---
+// Usable energy over average load, after the depth of discharge that keeps
+// the pack healthy and the losses between the pack and the loads.
+
+export const batteryRuntime = (args) => {
+  const voltage = requirePositive(args, 'voltage');
+  const capacityWh = args.capacity_wh ?? (args.capacity_mah !== undefined ? (args.capacity_mah / 1000) * voltage : undefined);
+  if (!(capacityWh > 0)) throw new ToolError('Give capacity_wh or capacity_mah.');
+  const loadW = args.load_w ?? (args.load_a !== undefined ? args.load_a * voltage : undefined);
+  if (!(loadW > 0)) throw new ToolError('Give load_w or load_a.');
+  const usable = fraction(args, 'usable_fraction', 0.8);
+  const efficiency = fraction(args, 'efficiency', 0.9);
+
+  const hours = (capacityWh * usable * efficiency) / loadW;
+  return {
+    capacity_wh: round(capacityWh),
+    usable_wh: round(capacityWh * usable * efficiency),
+    load_w: round(loadW),
+    runtime_h: round(hours),
+    runtime_min: round(hours * 60),
+  };
+};
+
+export const batteryRuntimeTool = {
+  name: 'battery_runtime',
+  description: 'Estimate how long a battery lasts at a given average load.',
+  parameters: {
+    type: 'object',
+    properties: {
+      voltage: { type: 'number', description: 'Nominal pack voltage in volts' },
+      capacity_mah: { type: 'number', description: 'Capacity in mAh' },
+      capacity_wh: { type: 'number', description: 'Capacity in Wh (instead of capacity_mah)' },
+      load_w: { type: 'number', description: 'Average load in watts' },
+      load_a: { type: 'number', description: 'Average load in amps at the pack voltage (instead of load_w)' },
+      usable_fraction: { type: 'number', description: 'Share of the capacity that may be used, 0-1 (default 0.8)' },
+      efficiency: { type: 'number', description: 'Efficiency between pack and loads, 0-1 (default 0.9)' },
+    },
+    required: ['voltage'],
+  },
+  run: batteryRuntime,
+};
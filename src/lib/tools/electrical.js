@@ -0,0 +1,87 @@
+import { ToolError, fraction, requirePositive, round } from './errors';
+
+// --- Ohm's law and power budgets ---
+
+// Any two of voltage, current, resistance and power give the other two
+export const ohmsLaw = (args) => {
+  const known = ['voltage', 'current', 'resistance', 'power'].filter(name => args[name] !== undefined && args[name] !== null);
+  if (known.length !== 2) throw new ToolError('Give exactly two of voltage, current, resistance and power.');
+  known.forEach(name => requirePositive(args, name));
+
+  let { voltage: v, current: i, resistance: r } = args;
+  const p = args.power;
+  if (v && i) r = v / i;
+  else if (v && r) i = v / r;
+  else if (i && r) v = i * r;
+  else if (p && v) { i = p / v; r = v / i; }
+  else if (p && i) { v = p / i; r = v / i; }
+  else { i = Math.sqrt(p / r); v = i * r; }
+
+  return { voltage_v: round(v), current_a: round(i), resistance_ohm: round(r), power_w: round(v * i) };
+};
+
+// Average draw of every load on one bus, and the current the supply must give
+export const powerBudget = (args) => {
+  const voltage = requirePositive(args, 'voltage');
+  const efficiency = fraction(args, 'converter_efficiency', 1);
+  if (!Array.isArray(args.loads) || args.loads.length === 0) throw new ToolError('loads must list at least one load.');
+
+  const loads = args.loads.map((load, index) => {
+    const name = load.name || `Load ${index + 1}`;
+    const power = load.power_w ?? (load.current_a !== undefined ? load.current_a * (load.voltage ?? voltage) : undefined);
+    if (typeof power !== 'number' || power < 0) throw new ToolError(`${name} needs power_w or current_a.`);
+    return { name, power, average: power * fraction(load, 'duty_cycle', 1) };
+  });
+
+  const peak = loads.reduce((sum, load) => sum + load.power, 0) / efficiency;
+  const average = loads.reduce((sum, load) => sum + load.average, 0) / efficiency;
+  return {
+    loads: loads.map(load => ({ name: load.name, peak_w: round(load.power), average_w: round(load.average) })),
+    total_peak_w: round(peak),
+    total_average_w: round(average),
+    bus_peak_current_a: round(peak / voltage),
+    bus_average_current_a: round(average / voltage),
+  };
+};
+
+export const ohmsLawTool = {
+  name: 'ohms_law',
+  description: "Solve Ohm's law: give exactly two of voltage (V), current (A), resistance (ohm) and power (W) to get all four.",
+  parameters: {
+    type: 'object',
+    properties: {
+      voltage: { type: 'number', description: 'Volts' },
+      current: { type: 'number', description: 'Amps' },
+      resistance: { type: 'number', description: 'Ohms' },
+      power: { type: 'number', description: 'Watts' },
+    },
+  },
+  run: ohmsLaw,
+};
+
+export const powerBudgetTool = {
+  name: 'power_budget',
+  description: 'Add up the peak and average power of the loads on a supply bus and the current the supply must deliver.',
+  parameters: {
+    type: 'object',
+    properties: {
+      voltage: { type: 'number', description: 'Bus voltage in volts' },
+      converter_efficiency: { type: 'number', description: 'Efficiency of the regulator feeding the loads, 0-1 (default 1)' },
+      loads: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            power_w: { type: 'number', description: 'Power while on, in watts' },
+            current_a: { type: 'number', description: 'Current while on, in amps (used when power_w is missing)' },
+            voltage: { type: 'number', description: 'Load voltage for current_a, if not the bus voltage' },
+            duty_cycle: { type: 'number', description: 'Fraction of the time the load is on, 0-1 (default 1)' },
+          },
+        },
+      },
+    },
+    required: ['voltage', 'loads'],
+  },
+  run: powerBudget,
+};
@@ -0,0 +1,30 @@
+// --- Tool errors and argument checks ---
+// A tool throws ToolError when its arguments don't make sense. The message
+// goes back to the model as the tool's result so it can correct the call.
+
+export class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
+
+// Results are rounded so the model doesn't echo floating point noise
+export const round = (value) => Number(value.toPrecision(4));
+
+export const requirePositive = (args, name) => {
+  const value = args[name];
+  if (typeof value !== 'number' || !(value > 0)) {
+    throw new ToolError(`${name} must be a positive number.`);
+  }
+  return value;
+};
+
+// Optional fractions (efficiency, duty cycle) default when missing
+export const fraction = (args, name, fallback) => {
+  const value = args[name] ?? fallback;
+  if (typeof value !== 'number' || value <= 0 || value > 1) {
+    throw new ToolError(`${name} must be between 0 and 1.`);
+  }
+  return value;
+};
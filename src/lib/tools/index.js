@@ -0,0 +1,31 @@
+import { batteryRuntimeTool } from './battery';
+import { ohmsLawTool, powerBudgetTool } from './electrical';
+import { ToolError } from './errors';
+import { motorTorqueTool } from './motor';
+import { convertUnitsTool } from './units';
+
+export { ToolError };
+
+// --- Tool registry ---
+// Local functions the model can call instead of doing arithmetic in its head.
+// Every tool exposes name, description, parameters (a JSON schema for its
+// arguments object) and run(args), which returns a plain object or throws a
+// ToolError for bad arguments.
+
+export const TOOLS = [convertUnitsTool, ohmsLawTool, powerBudgetTool, batteryRuntimeTool, motorTorqueTool];
+
+// Declarations sent with the request; providers map them to their own format
+export const toolDeclarations = (tools) => tools.map(({ name, description, parameters }) => ({ name, description, parameters }));
+
+// Result sent back to the model. Failures are results too, so the model can
+// fix its arguments or explain the problem.
+export const runTool = (tools, { name, args }) => {
+  const tool = tools.find(candidate => candidate.name === name);
+  if (!tool) return { error: `Unknown tool "${name}".` };
+  try {
+    return tool.run(args || {});
+  } catch (error) {
+    if (!(error instanceof ToolError)) console.error(`Tool ${name} failed:`, error);
+    return { error: error instanceof ToolError ? error.message : `${name} failed.` };
+  }
+};
@@ -0,0 +1,59 @@
+import { fraction, requirePositive, round } from './errors';
+
+// --- Motor torque through a gearbox ---
+// With a wheel diameter it also gives the tractive force and ground speed,
+// and with the vehicle mass whether the drive can climb the given slope.
+
+const GRAVITY = 9.80665;
+// Rolling resistance of rubber wheels on packed ground
+const DEFAULT_ROLLING_RESISTANCE = 0.03;
+
+export const motorTorque = (args) => {
+  const torque = requirePositive(args, 'motor_torque_nm');
+  const ratio = requirePositive(args, 'gear_ratio');
+  const efficiency = fraction(args, 'gearbox_efficiency', 0.85);
+
+  const outputTorque = torque * ratio * efficiency;
+  const result = { output_torque_nm: round(outputTorque) };
+  if (args.motor_speed_rpm !== undefined) {
+    result.output_speed_rpm = round(requirePositive(args, 'motor_speed_rpm') / ratio);
+  }
+
+  if (args.wheel_diameter_m !== undefined) {
+    const radius = requirePositive(args, 'wheel_diameter_m') / 2;
+    const motors = args.motor_count ?? 1;
+    const force = (outputTorque / radius) * motors;
+    result.tractive_force_n = round(force);
+    if (result.output_speed_rpm !== undefined) {
+      result.ground_speed_m_s = round((result.output_speed_rpm * 2 * Math.PI * radius) / 60);
+    }
+    if (args.vehicle_mass_kg !== undefined) {
+      const mass = requirePositive(args, 'vehicle_mass_kg');
+      const slope = ((args.slope_deg ?? 0) * Math.PI) / 180;
+      const required = mass * GRAVITY * (Math.sin(slope) + DEFAULT_ROLLING_RESISTANCE * Math.cos(slope));
+      result.required_force_n = round(required);
+      result.can_climb = force >= required;
+    }
+  }
+  return result;
+};
+
+export const motorTorqueTool = {
+  name: 'motor_torque',
+  description: 'Output torque and speed of a motor through a gearbox, and with a wheel size the tractive force, ground speed and whether the vehicle can climb a slope.',
+  parameters: {
+    type: 'object',
+    properties: {
+      motor_torque_nm: { type: 'number', description: 'Motor torque in N*m (use the rated or stall torque as asked)' },
+      gear_ratio: { type: 'number', description: 'Reduction ratio, e.g. 50 for 50:1' },
+      gearbox_efficiency: { type: 'number', description: '0-1 (default 0.85)' },
+      motor_speed_rpm: { type: 'number', description: 'Motor speed in rpm' },
+      wheel_diameter_m: { type: 'number', description: 'Wheel diameter in metres' },
+      motor_count: { type: 'number', description: 'Number of driven motors sharing the load (default 1)' },
+      vehicle_mass_kg: { type: 'number', description: 'Total vehicle mass in kg' },
+      slope_deg: { type: 'number', description: 'Slope to climb in degrees (default 0)' },
+    },
+    required: ['motor_torque_nm', 'gear_ratio'],
+  },
+  run: motorTorque,
+};
@@ -0,0 +1,63 @@
+import { TOOLS, runTool, toolDeclarations } from '.';
+import { batteryRuntime } from './battery';
+import { ohmsLaw, powerBudget } from './electrical';
+import { motorTorque } from './motor';
+import { convertUnits } from './units';
+
+test('converts between units of the same quantity', () => {
+  expect(convertUnits({ value: 10, from: 'kgf*cm', to: 'N·m' })).toEqual({ value: 0.9807, unit: 'N·m' });
+  expect(convertUnits({ value: 100, from: 'degC', to: 'F' })).toEqual({ value: 212, unit: 'F' });
+  expect(convertUnits({ value: 3000, from: 'rpm', to: 'rad/s' }).value).toBe(314.2);
+  expect(() => convertUnits({ value: 1, from: 'kg', to: 'm' })).toThrow('Cannot convert mass in kg to "m"');
+  expect(() => convertUnits({ value: 1, from: 'furlong', to: 'm' })).toThrow('Unknown unit "furlong"');
+});
+
+test('keeps SI prefixes apart by case', () => {
+  expect(convertUnits({ value: 2, from: 'MW', to: 'kW' })).toEqual({ value: 2000, unit: 'kW' });
+  expect(convertUnits({ value: 500, from: 'mW', to: 'W' })).toEqual({ value: 0.5, unit: 'W' });
+  expect(convertUnits({ value: 1, from: 'MPa', to: 'psi' }).value).toBe(145);
+  expect(convertUnits({ value: 2000, from: 'mPa', to: 'Pa' })).toEqual({ value: 2, unit: 'Pa' });
+  // Case is only ignored where it can't change the unit
+  expect(convertUnits({ value: 1, from: 'KW', to: 'w' })).toEqual({ value: 1000, unit: 'w' });
+  expect(() => convertUnits({ value: 1, from: 'mw', to: 'W' })).toThrow('"mw" is ambiguous; write mW or MW.');
+});
+
+test("solves Ohm's law from any two quantities", () => {
+  expect(ohmsLaw({ voltage: 12, current: 2 })).toEqual({ voltage_v: 12, current_a: 2, resistance_ohm: 6, power_w: 24 });
+  expect(ohmsLaw({ power: 50, resistance: 2 })).toEqual({ voltage_v: 10, current_a: 5, resistance_ohm: 2, power_w: 50 });
+  expect(() => ohmsLaw({ voltage: 12 })).toThrow('exactly two');
+});
+
+test('adds up a power budget with duty cycles and converter losses', () => {
+  const budget = powerBudget({
+    voltage: 24,
+    converter_efficiency: 0.9,
+    loads: [
+      { name: 'Jetson', power_w: 15 },
+      { name: 'Motors', current_a: 5, duty_cycle: 0.4 },
+    ],
+  });
+  expect(budget.loads).toEqual([
+    { name: 'Jetson', peak_w: 15, average_w: 15 },
+    { name: 'Motors', peak_w: 120, average_w: 48 },
+  ]);
+  expect(budget).toMatchObject({ total_peak_w: 150, total_average_w: 70, bus_peak_current_a: 6.25 });
+});
+
+test('estimates battery runtime and motor output', () => {
+  expect(batteryRuntime({ voltage: 22.2, capacity_mah: 10000, load_w: 50 })).toMatchObject({ capacity_wh: 222, runtime_h: 3.197 });
+  expect(() => batteryRuntime({ voltage: 12, load_w: 5 })).toThrow('capacity');
+
+  const drive = motorTorque({
+    motor_torque_nm: 0.5, gear_ratio: 20, motor_speed_rpm: 3000,
+    wheel_diameter_m: 0.2, motor_count: 4, vehicle_mass_kg: 40, slope_deg: 20,
+  });
+  expect(drive).toMatchObject({ output_torque_nm: 8.5, output_speed_rpm: 150, tractive_force_n: 340, ground_speed_m_s: 1.571, can_climb: true });
+});
+
+test('runs tools by name and reports failures as results', () => {
+  expect(toolDeclarations(TOOLS).map(tool => tool.name)).toEqual(['convert_units', 'ohms_law', 'power_budget', 'battery_runtime', 'motor_torque']);
+  expect(runTool(TOOLS, { name: 'ohms_law', args: { voltage: 5, resistance: 10 } })).toMatchObject({ current_a: 0.5 });
+  expect(runTool(TOOLS, { name: 'ohms_law', args: { voltage: -5, resistance: 10 } })).toEqual({ error: 'voltage must be a positive number.' });
+  expect(runTool(TOOLS, { name: 'launch', args: {} })).toEqual({ error: 'Unknown tool "launch".' });
+});
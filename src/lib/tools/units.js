@@ -0,0 +1,79 @@
+import { ToolError, round } from './errors';
+
+// --- Unit conversion ---
+// Every unit is a factor to the SI unit of its quantity; temperature has
+// offsets and is handled separately.
+
+const QUANTITIES = {
+  length: { m: 1, mm: 1e-3, cm: 1e-2, km: 1e3, in: 0.0254, ft: 0.3048, yd: 0.9144, mi: 1609.344 },
+  mass: { kg: 1, g: 1e-3, mg: 1e-6, t: 1e3, lb: 0.45359237, oz: 0.028349523125 },
+  force: { N: 1, kN: 1e3, lbf: 4.4482216152605, kgf: 9.80665 },
+  torque: { Nm: 1, 'N*m': 1, mNm: 1e-3, 'mN*m': 1e-3, kgfcm: 0.0980665, 'kgf*cm': 0.0980665, ozin: 0.00706155181, 'oz*in': 0.00706155181, lbft: 1.3558179483, 'lb*ft': 1.3558179483, lbin: 0.112984829, 'lb*in': 0.112984829 },
+  speed: { 'm/s': 1, 'km/h': 1 / 3.6, kph: 1 / 3.6, mph: 0.44704, 'ft/s': 0.3048, knot: 0.514444 },
+  angularSpeed: { 'rad/s': 1, rpm: (2 * Math.PI) / 60, 'deg/s': Math.PI / 180 },
+  power: { W: 1, mW: 1e-3, kW: 1e3, MW: 1e6, hp: 745.69987158 },
+  energy: { J: 1, kJ: 1e3, MJ: 1e6, Wh: 3600, kWh: 3.6e6, cal: 4.184, kcal: 4184 },
+  charge: { C: 1, Ah: 3600, mAh: 3.6 },
+  pressure: { Pa: 1, mPa: 1e-3, hPa: 1e2, kPa: 1e3, MPa: 1e6, bar: 1e5, psi: 6894.757293168, atm: 101325 },
+  angle: { rad: 1, deg: Math.PI / 180 },
+  voltage: { V: 1, mV: 1e-3, kV: 1e3 },
+  current: { A: 1, mA: 1e-3 },
+};
+
+const TEMPERATURE = {
+  C: { toKelvin: value => value + 273.15, fromKelvin: value => value - 273.15 },
+  F: { toKelvin: value => (value - 32) * (5 / 9) + 273.15, fromKelvin: value => (value - 273.15) * (9 / 5) + 32 },
+  K: { toKelvin: value => value, fromKelvin: value => value },
+};
+
+// Every unit with the quantity it measures
+const UNITS = Object.fromEntries(Object.entries(QUANTITIES).flatMap(([quantity, units]) => Object.keys(units).map(unit => [unit, quantity])));
+
+// "N·m", "N m" and "Nm" all name the same unit
+const normalise = (unit) => unit.replace(/[·.]/g, '*').replace(/\s+/g, '').replace(/^°/, '').replace(/^deg(?=[cf]$)/i, '');
+
+// Case matters for SI prefixes (MW is megawatts, mW milliwatts), so units are
+// matched exactly first. Otherwise case is ignored when that leaves one unit:
+// "KW" is kW, but "mw" could be mW or MW and is rejected.
+const findUnit = (unit, units, written) => {
+  if (unit in units) return unit;
+  const matches = Object.keys(units).filter(name => name.toLowerCase() === unit.toLowerCase());
+  if (matches.length > 1) throw new ToolError(`"${written}" is ambiguous; write ${matches.join(' or ')}.`);
+  return matches[0];
+};
+
+export const convertUnits = ({ value, from, to }) => {
+  if (typeof value !== 'number' || Number.isNaN(value)) throw new ToolError('value must be a number.');
+  const source = normalise(String(from || ''));
+  const target = normalise(String(to || ''));
+
+  const sourceTemperature = findUnit(source, TEMPERATURE, from);
+  const targetTemperature = findUnit(target, TEMPERATURE, to);
+  if (sourceTemperature && targetTemperature) {
+    return { value: round(TEMPERATURE[targetTemperature].fromKelvin(TEMPERATURE[sourceTemperature].toKelvin(value))), unit: to };
+  }
+
+  const sourceUnit = findUnit(source, UNITS, from);
+  if (!sourceUnit) throw new ToolError(`Unknown unit "${from}".`);
+  const quantity = UNITS[sourceUnit];
+  const targetUnit = findUnit(target, QUANTITIES[quantity], to);
+  if (!targetUnit) {
+    throw new ToolError(`Cannot convert ${quantity} in ${from} to "${to}". Known ${quantity} units: ${Object.keys(QUANTITIES[quantity]).join(', ')}.`);
+  }
+  return { value: round((value * QUANTITIES[quantity][sourceUnit]) / QUANTITIES[quantity][targetUnit]), unit: to };
+};
+
+export const convertUnitsTool = {
+  name: 'convert_units',
+  description: 'Convert a value between units of length, mass, force, torque (Nm, kgf*cm, oz*in, lb*ft), speed, rpm, power, energy (Wh, J), charge (mAh), pressure, angle, voltage, current or temperature.',
+  parameters: {
+    type: 'object',
+    properties: {
+      value: { type: 'number', description: 'The value to convert' },
+      from: { type: 'string', description: 'Unit of the value, e.g. "kgf*cm", "mph", "degC"' },
+      to: { type: 'string', description: 'Unit to convert to' },
+    },
+    required: ['value', 'from', 'to'],
+  },
+  run: convertUnits,
+};
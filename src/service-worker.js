@@ -0,0 +1,57 @@
+/* eslint-disable no-restricted-globals */
+
+// --- Service worker ---
+// Built by react-scripts (Workbox InjectManifest) into build/service-worker.js.
+// The app shell and the bundles are precached, so the app opens without a
+// connection; API calls always go to the network. A new build waits until
+// the page asks it to take over (see src/lib/serviceWorker.js).
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations are answered with index.html, except for the proxy's routes and
+// anything that looks like a file
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && !url.pathname.startsWith('/api/')
+    && !url.pathname.match(fileExtensionRegexp),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Files from public/ aren't part of the webpack build, so they are cached on
+// install and refreshed in the background afterwards
+const PUBLIC_ASSETS_CACHE = 'public-assets';
+const PUBLIC_ASSETS = [
+  'rugved%20logo.png',
+  'rugved%20background.png',
+  'logo192.png',
+  'logo512.png',
+  'favicon.ico',
+  'manifest.json',
+].map(file => `${process.env.PUBLIC_URL}/${file}`);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(PUBLIC_ASSETS_CACHE).then(cache => cache.addAll(PUBLIC_ASSETS)));
+});
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|ico|json)$/.test(url.pathname) && !url.pathname.startsWith('/api/'),
+  new StaleWhileRevalidate({
+    cacheName: PUBLIC_ASSETS_CACHE,
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
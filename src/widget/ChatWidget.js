@@ -0,0 +1,201 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AnimatePresence, MotionConfig, motion } from 'framer-motion';
+import { MessageCircle, Send, Square, X } from 'lucide-react';
+import MessageBubble from '../components/MessageBubble';
+import TypingIndicator from '../components/TypingIndicator';
+import { upsertMessage } from '../lib/conversations';
+import { createTranslator } from '../lib/i18n';
+import { DEFAULT_PERSONAS, findPersona } from '../lib/personas';
+import { PROVIDERS, describeChatError, toChatError } from '../lib/providers';
+import { postToHost } from './events';
+
+// --- Embeddable chat ---
+// A launcher button that opens a small chat panel on the host page. It talks
+// to the RUGVED proxy only; conversations live in memory and end with the
+// page. `config` comes from ./config.
+
+// The widget has no language setting, so its labels stay English
+const t = createTranslator('en');
+
+const greetingMessage = (text) => ({ sender: 'ai', id: 'greeting', createdAt: 0, text, greeting: true });
+
+export default function ChatWidget({ config, provider = PROVIDERS.proxy }) {
+  const [open, setOpen] = useState(false);
+  const [messages, setMessages] = useState(() => (config.greeting ? [greetingMessage(config.greeting)] : []));
+  const [input, setInput] = useState('');
+  const [isTyping, setIsTyping] = useState(false);
+  const abortControllerRef = useRef(null);
+  const messagesEndRef = useRef(null);
+  const textareaRef = useRef(null);
+  const persona = findPersona(DEFAULT_PERSONAS, config.persona);
+  // White stays white on the accent colour in both themes
+  const accent = { backgroundColor: config.accentColor, color: '#fff' };
+  const side = config.position === 'bottom-left' ? 'left-4' : 'right-4';
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView?.({ block: 'end' });
+  }, [messages, open]);
+
+  useEffect(() => {
+    if (open) textareaRef.current?.focus();
+  }, [open]);
+
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  const toggleOpen = (value) => {
+    setOpen(value);
+    postToHost(value ? 'open' : 'close');
+  };
+
+  // `history` is every message up to the one being answered; the greeting
+  // and failed replies aren't sent
+  const requestReply = async (history, replaceId) => {
+    setIsTyping(true);
+    const aiId = Date.now() + 1;
+    const aiMessage = { sender: 'ai', id: aiId, createdAt: aiId };
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    let text = '';
+    if (replaceId) {
+      setMessages(prev => prev.map(msg => (msg.id === replaceId ? { ...aiMessage, text: '', streaming: true } : msg)));
+    }
+
+    try {
+      await provider.streamChat({
+        baseUrl: config.endpoint,
+        apiKey: config.token,
+        systemPrompt: persona.prompt,
+        messages: history
+          .filter(msg => !msg.greeting && !msg.error)
+          .map(msg => ({ role: msg.sender === 'user' ? 'user' : 'assistant', text: msg.text })),
+        signal: controller.signal,
+        onDelta: (delta) => {
+          text += delta;
+          setMessages(prev => upsertMessage(prev, { ...aiMessage, text, streaming: true }));
+        },
+      });
+      setMessages(prev => upsertMessage(prev, { ...aiMessage, text, streaming: false }));
+      postToHost('message', { sender: 'ai', text });
+    } catch (caught) {
+      if (caught.name === 'AbortError') {
+        setMessages(prev => upsertMessage(prev, { ...aiMessage, text, streaming: false, stopped: true }));
+        return;
+      }
+      const error = toChatError(caught);
+      console.error('Error sending message:', error, error.details);
+      setMessages(prev => upsertMessage(prev, { ...aiMessage, text: describeChatError(error, provider), error: true, errorType: error.type }));
+    } finally {
+      abortControllerRef.current = null;
+      setIsTyping(false);
+    }
+  };
+
+  const handleSend = () => {
+    const text = input.trim();
+    if (!text || isTyping) return;
+    const now = Date.now();
+    const userMessage = { sender: 'user', id: now, createdAt: now, text };
+    const history = [...messages, userMessage];
+    setMessages(history);
+    setInput('');
+    postToHost('message', { sender: 'user', text });
+    requestReply(history);
+  };
+
+  const handleRetry = (index) => {
+    if (isTyping) return;
+    requestReply(messages.slice(0, index), messages[index].id);
+  };
+
+  return (
+    <MotionConfig reducedMotion="user">
+      <div className={`fixed bottom-4 ${side} z-[2147483647] flex flex-col gap-3 font-sans text-white ${config.position === 'bottom-left' ? 'items-start' : 'items-end'}`}>
+        <AnimatePresence>
+          {open && (
+            <motion.div
+              initial={{ opacity: 0, y: 16 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: 16 }}
+              transition={{ duration: 0.2 }}
+              role="dialog"
+              aria-label={config.title}
+              onKeyDown={(e) => {
+                if (e.key === 'Escape') toggleOpen(false);
+              }}
+              className="flex flex-col w-[min(24rem,calc(100vw-2rem))] h-[min(36rem,calc(100vh-6rem))] bg-gray-900 border border-gray-700 rounded-2xl shadow-2xl overflow-hidden"
+            >
+              <div className="flex items-center justify-between px-4 py-3" style={accent}>
+                <h2 className="font-semibold">{config.title}</h2>
+                <button onClick={() => toggleOpen(false)} className="p-1 rounded-lg hover:bg-black/20" title="Close chat" aria-label="Close chat">
+                  <X size={18} />
+                </button>
+              </div>
+              <div className="flex-1 overflow-y-auto p-4 space-y-4 text-sm">
+                {messages.map((msg, index) => (
+                  <MessageBubble
+                    key={msg.id}
+                    message={msg}
+                    disabled={isTyping}
+                    onRetry={() => handleRetry(index)}
+                    avatar={config.avatar}
+                    t={t}
+                  />
+                ))}
+                {isTyping && !messages.some(msg => msg.streaming && msg.text) && <TypingIndicator avatar={config.avatar} t={t} />}
+                <div ref={messagesEndRef} />
+              </div>
+              <div className="flex items-end gap-2 p-3 border-t border-gray-700">
+                <textarea
+                  ref={textareaRef}
+                  value={input}
+                  onChange={(e) => setInput(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && !e.shiftKey) {
+                      e.preventDefault();
+                      handleSend();
+                    }
+                  }}
+                  placeholder="Type your message..."
+                  aria-label="Message"
+                  rows={1}
+                  className="flex-1 bg-transparent resize-none outline-none text-sm max-h-32 text-white placeholder-gray-400"
+                />
+                {isTyping ? (
+                  <button
+                    onClick={() => abortControllerRef.current?.abort()}
+                    className="p-2 rounded-xl bg-red-600 hover:bg-red-700 text-white transition-colors"
+                    title="Stop generating"
+                    aria-label="Stop generating"
+                  >
+                    <Square size={18} />
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleSend}
+                    disabled={!input.trim()}
+                    className="p-2 rounded-xl disabled:opacity-50 disabled:cursor-not-allowed transition-opacity"
+                    style={accent}
+                    title="Send message"
+                    aria-label="Send message"
+                  >
+                    <Send size={18} />
+                  </button>
+                )}
+              </div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+        <button
+          onClick={() => toggleOpen(!open)}
+          className="w-14 h-14 flex items-center justify-center rounded-full shadow-lg hover:opacity-90 transition-opacity"
+          style={accent}
+          title={open ? 'Close chat' : 'Open chat'}
+          aria-label={open ? 'Close chat' : 'Open chat'}
+          aria-expanded={open}
+        >
+          {open ? <X size={24} /> : <MessageCircle size={24} />}
+        </button>
+      </div>
+    </MotionConfig>
+  );
+}
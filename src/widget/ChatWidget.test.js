@@ -0,0 +1,59 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import ChatWidget from './ChatWidget';
+import { readConfig } from './config';
+import { createMockProvider } from '../lib/providers';
+
+const config = readConfig((name) => ({ endpoint: 'https://ai.example.org', token: 'site-token', greeting: 'Hello from RUGVED!' })[name] ?? null);
+
+let postMessage;
+
+beforeEach(() => {
+  postMessage = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  postMessage.mockRestore();
+});
+
+test('opens, chats with the proxy and tells the host page', async () => {
+  const provider = createMockProvider([['Tracked ', 'rovers.']]);
+  render(<ChatWidget config={config} provider={provider} />);
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Open chat' }));
+  expect(await screen.findByText('Hello from RUGVED!')).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Message'), { target: { value: 'What do you build?' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send message' }));
+
+  expect(await screen.findByText('Tracked rovers.')).toBeInTheDocument();
+  const [request] = provider.calls;
+  expect(request).toMatchObject({ baseUrl: 'https://ai.example.org', apiKey: 'site-token' });
+  expect(request.messages).toEqual([{ role: 'user', text: 'What do you build?' }]);
+  await waitFor(() => expect(postMessage.mock.calls.map(([data]) => data)).toEqual([
+    { source: 'rugved-chat', type: 'open' },
+    { source: 'rugved-chat', type: 'message', sender: 'user', text: 'What do you build?' },
+    { source: 'rugved-chat', type: 'message', sender: 'ai', text: 'Tracked rovers.' },
+  ]));
+  expect(postMessage).toHaveBeenCalledWith(expect.anything(), window.location.origin);
+});
+
+test('posts events to its own window when the page is framed', async () => {
+  const parentPostMessage = jest.fn();
+  const parent = jest.spyOn(window, 'parent', 'get').mockReturnValue({ postMessage: parentPostMessage });
+  render(<ChatWidget config={config} provider={createMockProvider()} />);
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Open chat' }));
+
+  expect(postMessage).toHaveBeenCalledWith({ source: 'rugved-chat', type: 'open' }, window.location.origin);
+  expect(parentPostMessage).not.toHaveBeenCalled();
+  parent.mockRestore();
+});
+
+test('closes with Escape', async () => {
+  render(<ChatWidget config={config} provider={createMockProvider()} />);
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Open chat' }));
+  fireEvent.keyDown(await screen.findByRole('dialog', { name: 'RUGVED AI' }), { key: 'Escape' });
+
+  await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+  expect(postMessage).toHaveBeenLastCalledWith({ source: 'rugved-chat', type: 'close' }, window.location.origin);
+});
@@ -0,0 +1,51 @@
+import { DEFAULT_PERSONA_ID } from '../lib/personas';
+
+// --- Widget configuration ---
+// Read from the attributes of <rugved-chat>, or from the data- attributes of
+// the script tag that loads the widget:
+//   endpoint       URL of the RUGVED proxy (server/)
+//   token          access token the proxy accepts for the site
+//   persona        id of a built-in persona
+//   greeting       first message shown in the chat
+//   position       bottom-right or bottom-left
+//   accent-color   colour of the launcher, header and send button
+//   theme          dark or light
+//   title          heading of the chat panel
+//   avatar         image shown next to replies
+
+export const WIDGET_ATTRIBUTES = [
+  'endpoint',
+  'token',
+  'persona',
+  'greeting',
+  'position',
+  'accent-color',
+  'theme',
+  'title',
+  'avatar',
+];
+
+export const DEFAULT_GREETING = 'Hi! I am RUGVED AI. Ask me about the team, our robots or robotics in general.';
+
+const POSITIONS = ['bottom-right', 'bottom-left'];
+const THEMES = ['dark', 'light'];
+
+const oneOf = (value, options) => (options.includes(value) ? value : options[0]);
+
+// `getAttribute` returns null for attributes that aren't set; `assetBase` is
+// where the widget script was loaded from
+export const readConfig = (getAttribute, { assetBase = '/' } = {}) => {
+  const value = (name) => (getAttribute(name) || '').trim();
+  return {
+    endpoint: value('endpoint').replace(/\/+$/, ''),
+    token: value('token'),
+    persona: value('persona') || DEFAULT_PERSONA_ID,
+    // An empty greeting attribute turns the greeting off
+    greeting: getAttribute('greeting') ?? DEFAULT_GREETING,
+    position: oneOf(value('position'), POSITIONS),
+    accentColor: value('accent-color') || '#2563eb',
+    theme: oneOf(value('theme'), THEMES),
+    title: value('title') || 'RUGVED AI',
+    avatar: value('avatar') || `${assetBase}rugved%20logo.png`,
+  };
+};
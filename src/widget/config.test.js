@@ -0,0 +1,28 @@
+import { DEFAULT_GREETING, readConfig } from './config';
+
+const attributes = (values) => (name) => (name in values ? values[name] : null);
+
+test('readConfig fills in defaults', () => {
+  const config = readConfig(attributes({ endpoint: 'https://ai.example.org/' }), { assetBase: 'https://ai.example.org/' });
+
+  expect(config).toMatchObject({
+    endpoint: 'https://ai.example.org',
+    greeting: DEFAULT_GREETING,
+    position: 'bottom-right',
+    theme: 'dark',
+    title: 'RUGVED AI',
+    avatar: 'https://ai.example.org/rugved%20logo.png',
+  });
+});
+
+test('readConfig ignores unknown positions and themes', () => {
+  const config = readConfig(attributes({ position: 'top-left', theme: 'sepia' }));
+
+  expect(config.position).toBe('bottom-right');
+  expect(config.theme).toBe('dark');
+  expect(readConfig(attributes({ position: 'bottom-left', theme: 'light' }))).toMatchObject({ position: 'bottom-left', theme: 'light' });
+});
+
+test('an empty greeting turns the greeting off', () => {
+  expect(readConfig(attributes({ greeting: '' })).greeting).toBe('');
+});
@@ -0,0 +1,12 @@
+// --- Events for the page that embeds the widget ---
+// The widget runs in the page's own window (not an iframe), so events are
+// posted to that window as { source: 'rugved-chat', type, ...detail }
+// with type 'open', 'close' or 'message' (detail: { sender, text }). Listen
+// with window.addEventListener('message', ...) and check event.data.source.
+
+export const EVENT_SOURCE = 'rugved-chat';
+
+// Only the page itself may read the events
+export const postToHost = (type, detail = {}) => {
+  window.postMessage({ source: EVENT_SOURCE, type, ...detail }, window.location.origin);
+};
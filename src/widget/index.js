@@ -0,0 +1,68 @@
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import '../index.css';
+import ChatWidget from './ChatWidget';
+import { WIDGET_ATTRIBUTES, readConfig } from './config';
+
+// --- Entry point of the embeddable widget (npm run build:widget) ---
+// Defines <rugved-chat>, which renders ChatWidget inside a shadow root so the
+// host page's CSS and ours don't touch. The widget build collects every
+// stylesheet into STYLES_KEY instead of adding it to the page (see
+// scripts/build-widget.js); each element gets its own copies.
+//
+// Pages that can't add custom elements put data- attributes on the script
+// tag instead, and the element is added to <body> for them:
+//   <script src=".../rugved-chat.js" data-endpoint="https://..." defer></script>
+
+const STYLES_KEY = '__RUGVED_CHAT_STYLES__';
+
+const script = document.currentScript;
+// Images are served next to the widget's folder, like the app's public files
+const assetBase = script?.src ? new URL('../', script.src).href : '/';
+
+class RugvedChat extends HTMLElement {
+  static get observedAttributes() {
+    return WIDGET_ATTRIBUTES;
+  }
+
+  connectedCallback() {
+    if (!this.shadowRoot) {
+      const shadow = this.attachShadow({ mode: 'open' });
+      (window[STYLES_KEY] || []).forEach(style => shadow.appendChild(style.cloneNode(true)));
+      this.mountPoint = document.createElement('div');
+      shadow.appendChild(this.mountPoint);
+    }
+    this.root = ReactDOM.createRoot(this.mountPoint);
+    this.renderWidget();
+  }
+
+  disconnectedCallback() {
+    this.root?.unmount();
+    this.root = null;
+  }
+
+  attributeChangedCallback() {
+    if (this.root) this.renderWidget();
+  }
+
+  renderWidget() {
+    const config = readConfig(name => this.getAttribute(name), { assetBase });
+    this.setAttribute('data-theme', config.theme);
+    this.root.render(<ChatWidget config={config} />);
+  }
+}
+
+if (!customElements.get('rugved-chat')) {
+  customElements.define('rugved-chat', RugvedChat);
+}
+
+if (script?.hasAttribute('data-endpoint')) {
+  const element = document.createElement('rugved-chat');
+  WIDGET_ATTRIBUTES.forEach(name => {
+    const value = script.getAttribute(`data-${name}`);
+    if (value !== null) element.setAttribute(name, value);
+  });
+  const mount = () => document.body.appendChild(element);
+  if (document.body) mount();
+  else document.addEventListener('DOMContentLoaded', mount);
+}
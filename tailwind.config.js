@@ -1,11 +1,33 @@
 /** @type {import('tailwindcss').Config} */
+
+// Greys, white and black come from CSS variables (see src/index.css) so the
+// same classes work in every theme
+const themed = (name) => `rgb(var(--color-${name}) / <alpha-value>)`;
+
+// Accents only in the shades used for text and tinted panels; the rest keep
+// Tailwind's values
+const ACCENTS = ['red', 'yellow', 'amber', 'blue', 'green'];
+const ACCENT_SHADES = [100, 200, 300, 400, 700, 800, 900];
+
 module.exports = {
   content: [
     "./src/**/*.{js,jsx,ts,tsx}",
   ],
   darkMode: 'class',
   theme: {
-    extend: {},
+    extend: {
+      colors: {
+        white: themed('white'),
+        black: themed('black'),
+        gray: Object.fromEntries(
+          [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950].map(shade => [shade, themed(`gray-${shade}`)])
+        ),
+        ...Object.fromEntries(ACCENTS.map(accent => [
+          accent,
+          Object.fromEntries(ACCENT_SHADES.map(shade => [shade, themed(`${accent}-${shade}`)])),
+        ])),
+      },
+    },
   },
   plugins: [],
 }